@@ -0,0 +1,19 @@
+// Sign-in token, session and password reset settings used by utils/auth.js,
+// utils/sessions.js and utils/passwordReset.js.
+// Values are read lazily because dotenv is loaded after module imports are evaluated.
+
+import { numberFromEnv } from './env.js';
+
+export const getAuthConfig = () => ({
+  // Lifetime of access tokens (JWT); clients renew them with POST /api/auth/refresh
+  accessTokenTtlSeconds: numberFromEnv('ACCESS_TOKEN_TTL_MINUTES', 15) * 60,
+  // A session ends if its refresh token goes unused for this long
+  refreshTokenTtlMs: numberFromEnv('REFRESH_TOKEN_TTL_DAYS', 30) * 24 * 60 * 60 * 1000,
+  // The refresh token just replaced is turned away without ending the session for
+  // this long, so two tabs refreshing at once don't look like a stolen token
+  refreshReuseGraceMs: numberFromEnv('REFRESH_REUSE_GRACE_SECONDS', 30) * 1000,
+  // How long a password reset link works
+  passwordResetTtlMs: numberFromEnv('PASSWORD_RESET_TTL_MINUTES', 30) * 60 * 1000,
+  // Frontend page the reset link opens; the token is added as ?token=
+  passwordResetUrl: process.env.PASSWORD_RESET_URL || `${process.env.FRONTEND_URL || 'http://localhost:5174'}/reset-password`,
+});
@@ -0,0 +1,18 @@
+// Customer cancellation policy used by POST /api/orders/:id/cancel (utils/cancellation.js).
+// Values are read lazily because dotenv is loaded after module imports are evaluated.
+
+import { numberFromEnv } from './env.js';
+
+export const getCancellationPolicy = () => ({
+  // Before the restaurant accepts, cancelling is free
+  freeStatuses: ['pending_payment', 'scheduled', 'pending'],
+  // Fee as a percentage of the order total, by status. Statuses not listed here
+  // (picked up, on the way, delivered, ...) can't be cancelled by the customer.
+  feePercentByStatus: {
+    accepted: numberFromEnv('CANCELLATION_ACCEPTED_FEE_PERCENT', 10),
+    awaiting_rider: numberFromEnv('CANCELLATION_ACCEPTED_FEE_PERCENT', 10),
+    rider_assigned: numberFromEnv('CANCELLATION_ACCEPTED_FEE_PERCENT', 10),
+    preparing: numberFromEnv('CANCELLATION_PREPARING_FEE_PERCENT', 50),
+    ready: numberFromEnv('CANCELLATION_PREPARING_FEE_PERCENT', 50),
+  },
+});
@@ -0,0 +1,38 @@
+// Rider dispatch rules used by utils/dispatch.js.
+// Values are read lazily because dotenv is loaded after module imports are evaluated.
+
+import { numberFromEnv, booleanFromEnv } from './env.js';
+
+export const getDispatchConfig = () => ({
+  // Riders offered an order at the same time in each wave
+  waveSize: numberFromEnv('DISPATCH_WAVE_SIZE', 2),
+  // Seconds a rider has to accept an offer before it moves on
+  offerTimeoutSeconds: numberFromEnv('DISPATCH_OFFER_TIMEOUT_SECONDS', 30),
+  // Waves tried before the order is opened to every nearby rider
+  maxWaves: numberFromEnv('DISPATCH_MAX_WAVES', 4),
+  // Only riders within this distance of the restaurant are considered
+  maxRadiusKm: numberFromEnv('DISPATCH_MAX_RADIUS_KM', 10),
+  // Riders already carrying this many orders are skipped
+  maxActiveOrders: numberFromEnv('DISPATCH_MAX_ACTIVE_ORDERS', 1),
+  // Idle time beyond this counts the same when ranking
+  idleCapMinutes: numberFromEnv('DISPATCH_IDLE_CAP_MINUTES', 30),
+  // Ranking weights; each factor is scaled to 0..1 before weighting
+  weights: {
+    distance: numberFromEnv('DISPATCH_WEIGHT_DISTANCE', 0.5),
+    load: numberFromEnv('DISPATCH_WEIGHT_LOAD', 0.2),
+    rating: numberFromEnv('DISPATCH_WEIGHT_RATING', 0.15),
+    idle: numberFromEnv('DISPATCH_WEIGHT_IDLE', 0.15),
+  },
+  // Adding a new order to a rider who is already out on a delivery (utils/batching.js)
+  batching: {
+    enabled: booleanFromEnv('BATCHING_ENABLED', true),
+    // Most orders a rider carries at once
+    maxOrders: numberFromEnv('BATCH_MAX_ORDERS', 2),
+    // Extra km the batch may add before any earlier order is dropped off
+    maxDetourKm: numberFromEnv('BATCH_MAX_DETOUR_KM', 3),
+    // Extra minutes an earlier order's customer may wait because of the batch
+    maxWaitMinutes: numberFromEnv('BATCH_MAX_WAIT_MINUTES', 10),
+    // Used to turn detour distance into waiting time
+    averageSpeedKmh: numberFromEnv('BATCH_AVERAGE_SPEED_KMH', 20),
+  },
+});
@@ -0,0 +1,14 @@
+// Helpers for reading optional settings from the environment.
+// Call them lazily (inside functions) because dotenv is loaded after imports run.
+
+export const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value)
+    ? value
+    : fallback;
+};
+
+export const booleanFromEnv = (name, fallback) => {
+  if (process.env[name] === undefined || process.env[name] === '') return fallback;
+  return ['true', '1', 'yes'].includes(process.env[name].toLowerCase());
+};
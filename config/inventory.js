@@ -0,0 +1,11 @@
+// Daily stock settings used by utils/inventory.js.
+// Values are read lazily because dotenv is loaded after module imports are evaluated.
+
+import { numberFromEnv } from './env.js';
+
+export const getInventoryConfig = () => ({
+  // Local time ("HH:mm", restaurant timezone) at which daily stock is refilled
+  resetTime: process.env.INVENTORY_RESET_TIME || '00:00',
+  // How often the reset job checks for restaurants that have reached their reset time
+  resetIntervalMs: numberFromEnv('INVENTORY_RESET_INTERVAL_MS', 60000),
+});
@@ -0,0 +1,10 @@
+// Outgoing email settings used by utils/mailer.js.
+// Values are read lazily because dotenv is loaded after module imports are evaluated.
+
+export const getMailConfig = () => ({
+  // Transport: 'console' (print to the server log) or 'file' (write to `fileDir`)
+  transport: (process.env.MAIL_TRANSPORT || 'console').trim().toLowerCase(),
+  from: process.env.MAIL_FROM || 'BigBite <no-reply@bigbite.local>',
+  // Directory the file transport writes to, relative to the working directory
+  fileDir: process.env.MAIL_FILE_DIR || 'mail-outbox',
+});
@@ -0,0 +1,21 @@
+// Image upload and storage settings used by utils/media.js and utils/mediaStorage.js.
+// Values are read lazily because dotenv is loaded after module imports are evaluated.
+
+import { numberFromEnv } from './env.js';
+
+export const getMediaConfig = () => ({
+  // Storage backend: 'local' (files on this server, served from `publicPath`)
+  storage: (process.env.MEDIA_STORAGE || 'local').trim().toLowerCase(),
+  // Directory the local backend writes to, relative to the working directory
+  localDir: process.env.MEDIA_LOCAL_DIR || 'uploads',
+  // URL path local files are served from
+  publicPath: '/media',
+  // Origin put in front of local file URLs, since the frontend runs elsewhere
+  publicUrl: (process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, ''),
+  // Largest accepted upload
+  maxUploadBytes: numberFromEnv('MEDIA_MAX_UPLOAD_MB', 5) * 1024 * 1024,
+  // Uploads not used by any menu item or profile are deleted after this long
+  orphanTtlMs: numberFromEnv('MEDIA_ORPHAN_TTL_HOURS', 24) * 60 * 60 * 1000,
+  // How often the orphan cleanup runs
+  cleanupIntervalMs: numberFromEnv('MEDIA_CLEANUP_INTERVAL_MS', 60 * 60 * 1000),
+});
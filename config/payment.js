@@ -0,0 +1,22 @@
+// Payment gateway selection and unpaid order expiry, used by utils/paymentGateway.js
+// and utils/orderPayment.js.
+// Values are read lazily because dotenv is loaded after module imports are evaluated.
+
+import { numberFromEnv } from './env.js';
+
+export const getPaymentConfig = () => ({
+  // 'razorpay' or 'mock' (offline provider for staging and tests)
+  provider: (process.env.PAYMENT_PROVIDER || 'razorpay').trim().toLowerCase(),
+  mock: {
+    // Result of simulated checkouts when the request doesn't choose one: 'success' or 'failure'
+    outcome: process.env.MOCK_PAYMENT_OUTCOME || 'success',
+    // Delay before simulated webhook events (capture, failure, refund) are delivered
+    delayMs: numberFromEnv('MOCK_PAYMENT_DELAY_MS', 1000),
+    // Secret used to sign mock checkout responses and webhooks
+    secret: process.env.MOCK_PAYMENT_SECRET || 'mock_payment_secret',
+  },
+  // Online orders still waiting for payment after this long are cancelled
+  pendingPaymentTtlMs: numberFromEnv('PENDING_PAYMENT_TTL_MINUTES', 30) * 60 * 1000,
+  // How often the expiry job runs
+  pendingPaymentExpiryIntervalMs: numberFromEnv('PENDING_PAYMENT_EXPIRY_INTERVAL_MS', 60000),
+});
@@ -0,0 +1,23 @@
+// Fee and tax rules used by the server-side pricing engine (utils/pricing.js).
+// All amounts are in rupees. Values are read lazily because dotenv is loaded
+// after module imports are evaluated.
+
+import { numberFromEnv } from './env.js';
+
+export const getPricingConfig = () => ({
+  // Delivery fee = base fee for the first `deliveryBaseDistanceKm`, then per-km charge
+  deliveryBaseFee: numberFromEnv('DELIVERY_BASE_FEE', 20),
+  deliveryBaseDistanceKm: numberFromEnv('DELIVERY_BASE_DISTANCE_KM', 2),
+  deliveryFeePerKm: numberFromEnv('DELIVERY_FEE_PER_KM', 5),
+  // Orders with a subtotal at or above this amount get free delivery
+  freeDeliveryThreshold: numberFromEnv('FREE_DELIVERY_THRESHOLD', 500),
+  // Orders farther than this from the restaurant are refused
+  maxDeliveryDistanceKm: numberFromEnv('MAX_DELIVERY_DISTANCE_KM', 25),
+  platformFee: numberFromEnv('PLATFORM_FEE', 5),
+  // GST is charged on the food subtotal
+  gstRate: numberFromEnv('GST_RATE', 0.05),
+  // Allowed difference between client and server totals before it counts as a mismatch
+  tolerance: numberFromEnv('PRICING_TOLERANCE', 1),
+  // 'correct' silently uses server totals, 'reject' fails the request with 409
+  mismatchMode: process.env.PRICING_MISMATCH_MODE === 'reject' ? 'reject' : 'correct',
+});
@@ -0,0 +1,19 @@
+// Rules for scheduled (future-time) orders, used by utils/scheduledOrders.js.
+// Values are read lazily because dotenv is loaded after module imports are evaluated.
+
+import { numberFromEnv } from './env.js';
+
+export const getSchedulingConfig = () => ({
+  // Earliest slot a customer can pick, in minutes from now
+  minLeadMinutes: numberFromEnv('SCHEDULED_ORDER_MIN_LEAD_MINUTES', 60),
+  // How far ahead orders can be scheduled
+  maxDaysAhead: numberFromEnv('SCHEDULED_ORDER_MAX_DAYS_AHEAD', 7),
+  // Scheduled orders are sent to the restaurant this many minutes before the slot
+  releaseLeadMinutes: numberFromEnv('SCHEDULED_ORDER_RELEASE_LEAD_MINUTES', 45),
+  // How often the release job runs
+  releaseIntervalMs: numberFromEnv('SCHEDULED_ORDER_RELEASE_INTERVAL_MS', 60000),
+  // Default operating window (local time) for restaurants that haven't set their hours
+  defaultOpenTime: process.env.DEFAULT_OPEN_TIME || '09:00',
+  defaultCloseTime: process.env.DEFAULT_CLOSE_TIME || '23:00',
+  timeZone: process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata',
+});
@@ -0,0 +1,12 @@
+// Search index settings used by utils/search.js.
+// Values are read lazily because dotenv is loaded after module imports are evaluated.
+
+import { numberFromEnv } from './env.js';
+
+export const getSearchConfig = () => ({
+  // The index is rebuilt after menu changes, and at least this often so changes
+  // made outside the API (e.g. directly in the database) show up too
+  maxIndexAgeMs: numberFromEnv('SEARCH_INDEX_MAX_AGE_MS', 5 * 60 * 1000),
+  // Dishes listed under each restaurant in the results
+  maxDishesPerRestaurant: numberFromEnv('SEARCH_MAX_DISHES_PER_RESTAURANT', 10),
+});
@@ -0,0 +1,21 @@
+// Email and phone verification settings used by utils/verification.js.
+// Values are read lazily because dotenv is loaded after module imports are evaluated.
+
+import { numberFromEnv } from './env.js';
+
+export const getVerificationConfig = () => ({
+  // SMS provider for phone codes: 'console' (print to the server log)
+  smsProvider: (process.env.SMS_PROVIDER || 'console').trim().toLowerCase(),
+  // Digits in a phone code and how long it works
+  otpLength: numberFromEnv('OTP_LENGTH', 6),
+  otpTtlMs: numberFromEnv('OTP_TTL_MINUTES', 10) * 60 * 1000,
+  // Wrong codes allowed before a new one has to be requested
+  otpMaxAttempts: numberFromEnv('OTP_MAX_ATTEMPTS', 5),
+  // How long an email verification link works
+  emailLinkTtlMs: numberFromEnv('EMAIL_VERIFICATION_TTL_HOURS', 24) * 60 * 60 * 1000,
+  // Frontend page the email link opens; the token is added as ?token=
+  emailVerificationUrl: process.env.EMAIL_VERIFICATION_URL || `${process.env.FRONTEND_URL || 'http://localhost:5174'}/verify-email`,
+  // Resend throttling, per user and channel
+  resendIntervalMs: numberFromEnv('VERIFICATION_RESEND_SECONDS', 60) * 1000,
+  maxSendsPerHour: numberFromEnv('VERIFICATION_MAX_SENDS_PER_HOUR', 5),
+});
@@ -1,5 +1,4 @@
-import User from '../models/User.js';
-import { verifyToken } from '../utils/auth.js';
+import { authenticateToken } from '../utils/auth.js';
 
 // Protect routes - verify JWT token
 export const protect = async (req, res, next) => {
@@ -23,38 +22,17 @@ export const protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = verifyToken(token);
+    // Verify token, its session (not logged out or revoked) and the account
+    const { user, sessionId } = await authenticateToken(token);
 
-    if (!decoded) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token',
-      });
-    }
-
-    // Get user from token
-    req.user = await User.findById(decoded.id).select('-password');
-
-    if (!req.user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
-    }
-
-    if (!req.user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account has been deactivated',
-      });
-    }
+    req.user = user;
+    req.authSessionId = sessionId;
 
     next();
   } catch (error) {
     return res.status(401).json({
       success: false,
-      message: 'Not authorized to access this route',
+      message: error.statusCode === 401 ? error.message : 'Not authorized to access this route',
     });
   }
 };
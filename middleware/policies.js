@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { sendError } from '../utils/httpError.js';
+
+// Id of a reference whether or not it has been populated
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+// How the user is involved in the order: 'customer', 'restaurant', 'rider' or
+// 'admin', checked in the order given. Returns null if none of them apply.
+export const orderRelation = (order, user, relations = ['customer', 'restaurant', 'rider', 'admin']) =>
+  relations.find((relation) =>
+    relation === 'admin'
+      ? user.role === 'admin'
+      : refId(order[relation]) === user._id.toString()
+  ) || null;
+
+// Load the order in :id (or :orderId) into req.order, allowing only users with one
+// of the given relations to it. Use after protect. req.orderRelation says which
+// one matched, so handlers can act as that party (e.g. as the transition actor).
+export const orderAccess = (...relations) => async (req, res, next) => {
+  try {
+    const orderId = req.params.id || req.params.orderId;
+
+    const order = mongoose.isValidObjectId(orderId) ? await Order.findById(orderId) : null;
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const relation = orderRelation(order, req.user, relations);
+
+    if (!relation) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this order',
+      });
+    }
+
+    req.order = order;
+    req.orderRelation = relation;
+    next();
+  } catch (error) {
+    console.error('❌ Error checking order access:', error);
+    sendError(res, error, 'Error fetching order');
+  }
+};
+
+// Routes with a user id in the path (e.g. /customer/:customerId) are only for that
+// user and admins. Use after protect.
+export const selfOrAdmin = (param) => (req, res, next) => {
+  if (req.user.role === 'admin' || req.params[param] === req.user._id.toString()) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'You can only access your own records',
+  });
+};
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { authenticateToken } from '../utils/auth.js';
+import { orderRelation } from './policies.js';
+
+// Same token as the REST API: the `auth` payload of io({ auth: { token } }),
+// a Bearer header, or the `token` cookie sent with the handshake
+const getHandshakeToken = ({ auth, headers }) => {
+  if (auth?.token) return auth.token;
+
+  if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+    return headers.authorization.split(' ')[1];
+  }
+
+  const cookie = (headers.cookie || '')
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith('token='));
+  return cookie ? decodeURIComponent(cookie.slice('token='.length)) : null;
+};
+
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.data = { status: 401 };
+  return error;
+};
+
+// Socket.IO middleware: reject connections without a valid token and bind the
+// socket to the verified user. Handlers read socket.user / socket.userId and
+// never take a user id from the event payload.
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const token = getHandshakeToken(socket.handshake);
+
+    if (!token) {
+      return next(unauthorized('Not authorized'));
+    }
+
+    const { user } = await authenticateToken(token);
+
+    socket.user = user;
+    socket.userId = user._id.toString();
+    next();
+  } catch (error) {
+    if (error.statusCode !== 401) {
+      console.error('❌ Error authenticating socket:', error);
+    }
+    next(unauthorized(error.statusCode === 401 ? error.message : 'Not authorized'));
+  }
+};
+
+// Tell the client it may not do something
+export const denySocket = (socket, message = 'Not authorized') => {
+  socket.emit('error', { message, status: 403 });
+};
+
+// Load an order for a socket event if the socket's user has one of the given
+// relations to it (see orderRelation). Emits an error and returns null otherwise.
+export const loadSocketOrder = async (socket, orderId, relations) => {
+  const order = mongoose.isValidObjectId(orderId) ? await Order.findById(orderId) : null;
+
+  if (!order) {
+    socket.emit('error', { message: 'Order not found', status: 404 });
+    return null;
+  }
+
+  const relation = orderRelation(order, socket.user, relations);
+
+  if (!relation) {
+    denySocket(socket, 'You do not have access to this order');
+    return null;
+  }
+
+  return { order, relation };
+};
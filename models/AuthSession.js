@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. Each login starts one; its refresh token is replaced every
+// time it is used (see utils/sessions.js), and only a hash of it is stored.
+// (Named AuthSession because express-session already uses the `sessions` collection.)
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the current refresh token
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The token it replaced, accepted as "already used" for a short grace period
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Device details shown when listing sessions
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  // How the user signed in
+  method: {
+    type: String,
+    enum: ['password', 'google', 'signup'],
+    default: 'password'
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed forward whenever the refresh token is used
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_reset'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+
+export default AuthSession;
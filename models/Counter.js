@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Named sequence counters (e.g. daily order numbers), incremented atomically
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Atomically increment a counter and return the new value
+counterSchema.statics.next = async function (key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+export default Counter;
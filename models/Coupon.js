@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+// Discount code applied at checkout (utils/coupons.js)
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+
+  // percentage: `value`% off the food subtotal, flat: ₹`value` off the food subtotal,
+  // free_delivery: the delivery fee is waived
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'free_delivery'],
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Food subtotal needed before the coupon applies
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Largest discount in rupees (null = no cap)
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+
+  validFrom: Date,
+  validUntil: Date,
+
+  // Redemptions allowed in total and per customer (null = unlimited)
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Only for customers who have never had an order delivered or in progress
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+
+  // Platform coupons work everywhere and the platform pays for them; restaurant
+  // coupons only work at `restaurant`, which pays for them
+  scope: {
+    type: String,
+    enum: ['platform', 'restaurant'],
+    default: 'platform'
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function () {
+      return this.scope === 'restaurant';
+    }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ restaurant: 1, isActive: 1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+export default Coupon;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// One use of a coupon by an order. Released uses (the order was rejected or
+// cancelled) don't count towards the coupon's limits.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  discount: {
+    type: Number, // in rupees
+    required: true
+  },
+  // Which of the customer's uses (1..perUserLimit) this is; unique among their
+  // redeemed uses so two checkouts at once can't go over the limit
+  slot: {
+    type: Number,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['redeemed', 'released'],
+    default: 'redeemed'
+  },
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'redeemed', slot: { $exists: true } } }
+);
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+export default CouponRedemption;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// One offer of an order to a rider, written by utils/dispatch.js
+const dispatchOfferSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  rider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Wave the offer was sent in (1 = first) and the rider's rank within the dispatch
+  wave: {
+    type: Number,
+    required: true
+  },
+  rank: Number,
+
+  // Ranking inputs at the time of the offer
+  score: Number,
+  distanceKm: Number, // rider to restaurant
+  activeOrders: Number,
+  rating: Number,
+  idleMinutes: Number,
+
+  // Offers that add the order to a rider's current delivery (utils/batching.js)
+  batch: {
+    type: Boolean,
+    default: false
+  },
+  detourKm: Number,
+
+  status: {
+    type: String,
+    enum: ['offered', 'accepted', 'declined', 'expired', 'withdrawn'],
+    default: 'offered'
+  },
+  expiresAt: Date,
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+dispatchOfferSchema.index({ order: 1, createdAt: 1 });
+dispatchOfferSchema.index({ order: 1, rider: 1, status: 1 });
+dispatchOfferSchema.index({ rider: 1, createdAt: -1 });
+
+const DispatchOffer = mongoose.model('DispatchOffer', dispatchOfferSchema);
+export default DispatchOffer;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// An uploaded image and its resized copies (utils/media.js). Menu items and
+// profiles use it by storing one of the variant URLs in `image` / `avatar`.
+const mediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['menu_item', 'avatar'],
+    required: true
+  },
+  // Backend the files were written to (utils/mediaStorage.js)
+  storage: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  originalSize: Number,
+  width: Number,
+  height: Number,
+
+  variants: [{
+    _id: false,
+    name: {
+      type: String,
+      enum: ['thumbnail', 'card', 'full'],
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    contentType: String,
+    width: Number,
+    height: Number,
+    size: Number
+  }]
+}, {
+  timestamps: true
+});
+
+mediaSchema.index({ 'variants.url': 1 });
+mediaSchema.index({ createdAt: 1 });
+
+const Media = mongoose.model('Media', mediaSchema);
+export default Media;
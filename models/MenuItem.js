@@ -1,4 +1,85 @@
 import mongoose from 'mongoose';
+import { toGeoPoint } from '../utils/geo.js';
+
+// A choice inside a variant or add-on group, e.g. "Full" or "Extra cheese"
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true,
+    maxlength: [50, 'Option name cannot exceed 50 characters'],
+  },
+  priceDelta: {
+    type: Number,
+    default: 0, // added to the item's base price
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// A group of options with selection rules, e.g. "Size" (pick exactly 1)
+// or "Add-ons" (pick up to 3)
+const optionGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [50, 'Group name cannot exceed 50 characters'],
+  },
+  minSelect: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum selection cannot be negative'],
+  },
+  maxSelect: {
+    type: Number,
+    default: 1,
+    min: [1, 'Maximum selection must be at least 1'],
+  },
+  options: {
+    type: [optionSchema],
+    validate: {
+      validator: (options) => options.length > 0,
+      message: 'Each group needs at least one option',
+    },
+  },
+});
+
+optionGroupSchema.pre('validate', function (next) {
+  if (this.minSelect > this.maxSelect) {
+    return next(new Error(`${this.name}: minimum selection cannot exceed maximum`));
+  }
+  if (this.minSelect > this.options.length) {
+    return next(new Error(`${this.name}: minimum selection exceeds the number of options`));
+  }
+  next();
+});
+
+// Snapshot of a chosen option, stored on cart, wishlist and order items so the
+// kitchen sees exactly what was picked even if the menu changes later
+export const selectedOptionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['variant', 'addon'],
+    required: true,
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  groupName: String,
+  optionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  optionName: String,
+  priceDelta: {
+    type: Number,
+    default: 0,
+  },
+}, { _id: false });
 
 const menuItemSchema = new mongoose.Schema(
   {
@@ -7,6 +88,12 @@ const menuItemSchema = new mongoose.Schema(
       ref: 'User',
       required: [true, 'Restaurant ID is required'],
     },
+    // Restaurant's own item code, used to match rows in menu imports
+    sku: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'SKU cannot exceed 50 characters'],
+    },
     name: {
       type: String,
       required: [true, 'Item name is required'],
@@ -61,6 +148,28 @@ const menuItemSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Sizes and other mutually exclusive choices (e.g. Half / Full)
+    variantGroups: [optionGroupSchema],
+    // Optional paid extras (e.g. Extra cheese, Extra raita)
+    addOnGroups: [optionGroupSchema],
+    // Daily stock (utils/inventory.js). No daily quantity = not counted.
+    stock: {
+      dailyQuantity: {
+        type: Number,
+        default: null,
+        min: [0, 'Daily quantity cannot be negative'],
+      },
+      remaining: {
+        type: Number,
+        default: null,
+      },
+      soldOut: {
+        type: Boolean,
+        default: false,
+      },
+      lastResetDate: String, // "YYYY-MM-DD" in the restaurant's timezone
+      lastResetAt: Date,
+    },
     restaurantLocation: {
       latitude: {
         type: Number,
@@ -71,15 +180,56 @@ const menuItemSchema = new mongoose.Schema(
         required: false,
       },
     },
+    // GeoJSON copy of restaurantLocation for geo queries, kept in sync below
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+menuItemSchema.pre('validate', function (next) {
+  this.set('location', toGeoPoint(this.restaurantLocation));
+  next();
+});
+
+// Options can lower the price (e.g. a "Half" variant), but no combination of
+// choices may take a line below zero: add up the biggest discounts each group allows
+menuItemSchema.pre('validate', function (next) {
+  const groups = [...(this.variantGroups || []), ...(this.addOnGroups || [])];
+  const maxDiscount = groups.reduce((total, group) => {
+    const discounts = group.options
+      .map((option) => option.priceDelta || 0)
+      .filter((delta) => delta < 0)
+      .sort((a, b) => a - b)
+      .slice(0, group.maxSelect);
+    return total + discounts.reduce((sum, delta) => sum + delta, 0);
+  }, 0);
+
+  if (this.price + maxDiscount < 0) {
+    return next(new Error(`${this.name}: option prices cannot take the item price below zero`));
+  }
+  next();
+});
+
 // Index for faster queries
 menuItemSchema.index({ restaurantId: 1, category: 1 });
 menuItemSchema.index({ restaurantId: 1, isAvailable: 1 });
+menuItemSchema.index({ image: 1 });
+menuItemSchema.index({ location: '2dsphere' });
+menuItemSchema.index(
+  { restaurantId: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
 
 const MenuItem = mongoose.model('MenuItem', menuItemSchema);
 
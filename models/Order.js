@@ -1,6 +1,16 @@
 import mongoose from 'mongoose';
+import { generateOrderNumber } from '../utils/orderNumber.js';
+import { selectedOptionSchema } from './MenuItem.js';
 
 const orderSchema = new mongoose.Schema({
+  // Human-readable order number, e.g. BB-20261019-0042 (assigned on first save)
+  orderNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    immutable: true
+  },
+
   // Customer Information
   customer: {
     type: mongoose.Schema.Types.ObjectId,
@@ -23,12 +33,18 @@ const orderSchema = new mongoose.Schema({
       required: true
     },
     name: String,
-    price: Number,
+    price: Number, // unit price including variant and add-on price deltas
     quantity: {
       type: Number,
       required: true,
       min: 1
-    }
+    },
+    customizations: [selectedOptionSchema], // chosen variants and add-ons
+    discount: {
+      type: Number, // restaurant promotion discount on this line
+      default: 0
+    },
+    lineTotal: Number // price * quantity - discount, computed on the server
   }],
   
   // Delivery Information
@@ -48,13 +64,20 @@ const orderSchema = new mongoose.Schema({
   // Payment Information
   paymentMethod: {
     type: String,
-    enum: ['cod', 'online'],
+    enum: ['cod', 'online', 'wallet'], // 'wallet' = paid entirely with BigBite credits
     default: 'cod'
   },
+
+  // Part of the total paid from the customer's wallet; the rest is paid by cod/online
+  walletAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
   
@@ -102,17 +125,113 @@ const orderSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Restaurant promotions (utils/promotions.js), already taken off the item lines
+  // and subtotal. Restaurants pay for their own promotions.
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
+  promotions: [{
+    _id: false,
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    type: {
+      type: String
+    },
+    amount: Number
+  }],
+
+  // Coupon discount, already taken off totalAmount
+  discount: {
+    type: Number,
+    default: 0
+  },
+
+  // Coupon applied at checkout (utils/coupons.js). `fundedBy` says who pays for the
+  // discount: the platform, or the restaurant out of its payout.
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String,
+      enum: ['percentage', 'flat', 'free_delivery']
+    },
+    amount: Number,
+    fundedBy: {
+      type: String,
+      enum: ['platform', 'restaurant']
+    }
+  },
+  
   totalAmount: {
     type: Number,
     required: true
   },
+
+  // Server-side pricing details for reconciliation
+  pricingBreakdown: {
+    distanceKm: Number,
+    gstRate: Number,
+    fees: [{
+      _id: false,
+      code: String,
+      label: String,
+      amount: Number
+    }],
+    clientTotal: Number, // total the client displayed, if it sent one
+    corrected: {
+      type: Boolean, // true when client totals differed and were replaced
+      default: false
+    },
+    computedAt: Date
+  },
   
   // Order Status
   status: {
     type: String,
-    enum: ['pending_payment', 'pending', 'accepted', 'awaiting_rider', 'rejected', 'auto_rejected', 'rider_assigned', 'preparing', 'ready', 'picked_up', 'on_the_way', 'delivered', 'cancelled'],
+    enum: ['pending_payment', 'scheduled', 'pending', 'accepted', 'awaiting_rider', 'rejected', 'auto_rejected', 'rider_assigned', 'preparing', 'ready', 'picked_up', 'on_the_way', 'delivered', 'cancelled'],
     default: 'pending'
   },
+
+  // Append-only audit trail of status changes (written by utils/orderStateMachine.js)
+  statusHistory: [{
+    _id: false,
+    from: {
+      type: String,
+      immutable: true
+    },
+    to: {
+      type: String,
+      required: true,
+      immutable: true
+    },
+    actor: {
+      type: String,
+      enum: ['customer', 'restaurant', 'rider', 'admin', 'system'],
+      required: true,
+      immutable: true
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      immutable: true
+    },
+    reason: {
+      type: String,
+      immutable: true
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+      immutable: true
+    }
+  }],
   
   // Rider Information
   rider: {
@@ -136,26 +255,81 @@ const orderSchema = new mongoose.Schema({
     type: Number, // ₹10 per km
     default: 0
   },
+
+  // Set when the rider carries this order together with others (utils/batching.js)
+  batch: {
+    batchId: String,
+    orders: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    }],
+    // Planned pickup/drop sequence for the whole batch
+    stops: [{
+      _id: false,
+      order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+      },
+      type: {
+        type: String,
+        enum: ['pickup', 'drop']
+      },
+      latitude: Number,
+      longitude: Number
+    }],
+    totalDistanceKm: Number,
+    detourKm: Number
+  },
   
   // Timestamps
   orderedAt: {
     type: Date,
     default: Date.now
   },
+
+  // Scheduled orders: requested delivery slot, and when the order was sent to the restaurant
+  scheduledFor: Date,
+  releasedAt: Date,
   
   acceptedAt: Date,
+  riderAssignedAt: Date,
   preparingAt: Date,
   readyAt: Date,
   pickedUpAt: Date,
   onTheWayAt: Date,
   deliveredAt: Date,
   cancelledAt: Date,
-  
+
+  // When the items were taken out of daily stock on acceptance (utils/inventory.js);
+  // cleared once the stock is given back
+  stockReservedAt: Date,
+
   // Cancellation
   cancellationReason: String,
   cancelledBy: {
     type: String,
-    enum: ['customer', 'restaurant', 'rider', 'admin']
+    enum: ['customer', 'restaurant', 'rider', 'admin', 'system']
+  },
+
+  // Fee charged under the cancellation policy (utils/cancellation.js)
+  cancellationFee: {
+    type: Number,
+    default: 0
+  },
+
+  // Refund summary (gateway and wallet), kept in sync with models/Refund.js by utils/refunds.js
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  refundStatus: {
+    type: String,
+    enum: ['none', 'initiated', 'processed', 'failed'],
+    default: 'none'
+  },
+  razorpay_refund_id: {
+    type: String,
+    default: null
   },
   
   // Estimated delivery time
@@ -185,11 +359,51 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Assign a sequential order number to new orders
+orderSchema.pre('save', async function () {
+  if (this.isNew && !this.orderNumber) {
+    this.orderNumber = await generateOrderNumber(this.orderedAt || new Date());
+  }
+});
+
+// Record the initial status of a newly placed order
+orderSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      to: this.status,
+      actor: 'customer',
+      actorId: this.customer,
+    });
+  }
+
+  // History entries can be added but never removed or rewritten
+  if (!this.isNew && this.isModified('statusHistory')) {
+    const original = this.$locals.statusHistoryLength;
+    if (original !== undefined && this.statusHistory.length < original) {
+      return next(new Error('Order status history is append-only'));
+    }
+  }
+
+  next();
+});
+
+// Remember the history length as loaded so the append-only check above can compare
+orderSchema.post('init', function () {
+  this.$locals.statusHistoryLength = this.statusHistory?.length || 0;
+});
+
+// Clear the status guard set by transitionOrder once the change is persisted
+orderSchema.post('save', function () {
+  this.$where = undefined;
+  this.$locals.statusHistoryLength = this.statusHistory.length;
+});
+
 // Index for faster queries
 orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ restaurant: 1, status: 1 });
 orderSchema.index({ rider: 1, status: 1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ status: 1, scheduledFor: 1 });
 
 const Order = mongoose.model('Order', orderSchema);
 export default Order;
@@ -1,6 +1,13 @@
 import mongoose from 'mongoose';
 
 const paymentSchema = new mongoose.Schema({
+  // Gateway that handled the payment (see utils/paymentGateway.js)
+  provider: {
+    type: String,
+    enum: ['razorpay', 'mock'],
+    default: 'razorpay'
+  },
+
   // Razorpay Payment Details
   razorpay_order_id: {
     type: String,
@@ -43,6 +50,25 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+
+  // Order this payment paid for. Set once, atomically (see claimPayment in
+  // utils/orderPayment.js), so one payment can never pay for two orders.
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+
+  // Failure reason reported by the gateway (payment.failed webhook)
+  errorDescription: String,
+
+  // Refunds processed by the gateway (refund.processed webhook)
+  refunds: [{
+    _id: false,
+    refundId: String,
+    amount: Number, // in paise
+    processedAt: Date
+  }],
   
   // Service Category (for compliance)
   notes: {
@@ -65,6 +91,7 @@ const paymentSchema = new mongoose.Schema({
 
 // Index for faster queries
 paymentSchema.index({ razorpay_order_id: 1 });
+paymentSchema.index({ razorpay_payment_id: 1 });
 paymentSchema.index({ customer: 1, createdAt: -1 });
 paymentSchema.index({ status: 1 });
 
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+// A time-boxed offer a restaurant runs on its own menu (utils/promotions.js).
+// Restaurants pay for their promotions out of their payout.
+const promotionSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [60, 'Promotion name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  // percentage / flat: `value`% or ₹`value` off each matching item
+  // bogo: buy `buyQuantity` matching items, get `getQuantity` more (the cheapest) free
+  // combo: `comboItems` together for `comboPrice`
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'bogo', 'combo'],
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  buyQuantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  comboItems: [{
+    _id: false,
+    menuItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  }],
+  comboPrice: {
+    type: Number,
+    min: 0
+  },
+
+  // Items the offer covers (not used by combos). Empty lists match the whole menu.
+  categories: [String],
+  subCategories: [String],
+  menuItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem'
+  }],
+
+  // When the offer runs, in the restaurant's timezone. Empty days = every day;
+  // no start/end time = all day. A window whose end is before its start runs past midnight.
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  startTime: String, // "HH:mm"
+  endTime: String, // "HH:mm"
+  validFrom: Date,
+  validUntil: Date,
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ restaurant: 1, isActive: 1 });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+export default Promotion;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// A full or partial refund of an online payment, written by utils/refunds.js
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: function () {
+      return this.method === 'gateway';
+    }
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  amount: {
+    type: Number, // in rupees
+    required: true,
+    min: 0
+  },
+
+  // Back to the card/UPI through the gateway, or to the customer's wallet
+  method: {
+    type: String,
+    enum: ['gateway', 'wallet'],
+    default: 'gateway'
+  },
+
+  // Why the money is going back; 'unused_payment' is a payment captured for an
+  // order that had already been cancelled or didn't match its total
+  reason: {
+    type: String,
+    enum: ['rejected', 'auto_rejected', 'cancelled', 'manual', 'unused_payment'],
+    required: true
+  },
+  note: String,
+  initiatedBy: {
+    type: String,
+    enum: ['customer', 'restaurant', 'rider', 'admin', 'system']
+  },
+
+  status: {
+    type: String,
+    enum: ['initiated', 'processed', 'failed'],
+    default: 'initiated'
+  },
+
+  // Gateway details
+  provider: String,
+  gatewayRefundId: String,
+  failureReason: String,
+  processedAt: Date,
+  failedAt: Date,
+
+  // One refund per key, so retried triggers don't refund twice
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ order: 1, createdAt: 1 });
+refundSchema.index({ gatewayRefundId: 1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+export default Refund;
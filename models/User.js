@@ -1,6 +1,8 @@
 import mongoose from 'mongoose';
 import validator from 'validator';
 import bcrypt from 'bcryptjs';
+import { selectedOptionSchema } from './MenuItem.js';
+import { toGeoPoint } from '../utils/geo.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -66,6 +68,8 @@ const userSchema = new mongoose.Schema(
           ref:'User',
           required:true,
         },
+        // Chosen variants and add-ons
+        customizations:[selectedOptionSchema],
       },
     ],
     address: {
@@ -102,15 +106,60 @@ const userSchema = new mongoose.Schema(
         latitude: Number,
         longitude: Number,
       },
+      // GeoJSON copy of address.latitude/longitude for $geoNear, kept in sync below
+      location: {
+        type: {
+          type: String,
+          enum: ['Point'],
+        },
+        coordinates: {
+          type: [Number],
+          default: undefined,
+        },
+      },
       businessLicense: String,
       isVerified: {
         type: Boolean,
         default: false,
       },
+      // Manual override: false closes the kitchen regardless of weeklyHours
       isKitchenOpen: {
         type: Boolean,
         default: true,
       },
+      // IANA timezone the opening hours are written in
+      timezone: {
+        type: String,
+        default: 'Asia/Kolkata',
+      },
+      // Opening slots per weekday (0 = Sunday). A slot closing at or before its
+      // opening time runs past midnight. Empty means the platform default hours.
+      weeklyHours: [
+        {
+          _id: false,
+          day: {
+            type: Number,
+            min: 0,
+            max: 6,
+            required: true,
+          },
+          slots: [
+            {
+              _id: false,
+              open: { type: String, required: true }, // "HH:mm"
+              close: { type: String, required: true }, // "HH:mm"
+            },
+          ],
+        },
+      ],
+      // One-off closures (local dates, "YYYY-MM-DD", inclusive)
+      holidayClosures: [
+        {
+          startDate: { type: String, required: true },
+          endDate: String,
+          reason: String,
+        },
+      ],
       // Restaurant ratings
       rating: {
         average: {
@@ -221,6 +270,30 @@ userSchema.pre('save', async function (next) {
   }
 });
 
+// Keep the restaurant's GeoJSON location in step with its address
+userSchema.pre('validate', function (next) {
+  if (this.isModified('restaurantDetails.address') || this.isNew) {
+    this.set('restaurantDetails.location', toGeoPoint(this.restaurantDetails?.address));
+  }
+  next();
+});
+
+// Same for profile updates, which use findByIdAndUpdate
+userSchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate();
+  const address = update['restaurantDetails.address'] ?? update.$set?.['restaurantDetails.address'];
+
+  if (address !== undefined) {
+    const location = toGeoPoint(address);
+    if (location) {
+      update['restaurantDetails.location'] = location;
+    } else {
+      update.$unset = { ...update.$unset, 'restaurantDetails.location': 1 };
+    }
+  }
+  next();
+});
+
 // Method to compare passwords
 userSchema.methods.comparePassword = async function (candidatePassword) {
   try {
@@ -239,6 +312,10 @@ userSchema.methods.toJSON = function () {
   return user;
 };
 
+// Used to tell which uploaded images are still shown (utils/media.js)
+userSchema.index({ avatar: 1 });
+userSchema.index({ 'restaurantDetails.location': '2dsphere' });
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// The latest email link or phone code sent to a user (see utils/verification.js).
+// There is at most one per user and channel; sending again replaces the code.
+const verificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'phone'],
+    required: true
+  },
+  // The email address or phone number being verified
+  target: {
+    type: String,
+    required: true
+  },
+
+  // HMAC of the code or link token; the code itself is never stored
+  codeHash: {
+    type: String,
+    required: true
+  },
+  // Wrong codes entered for the current code
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set once the code has been used, so it can't be used again
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  // When codes were sent in the last hour, for resend throttling
+  sentAt: [Date]
+}, {
+  timestamps: true
+});
+
+verificationSchema.index({ user: 1, channel: 1 }, { unique: true });
+verificationSchema.index({ codeHash: 1 });
+// Kept for an hour after the code expires so the send history still throttles resends
+verificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+const Verification = mongoose.model('Verification', verificationSchema);
+
+export default Verification;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// One posting in a customer's BigBite credits ledger, written by utils/wallet.js.
+// Postings are never changed or deleted; corrections are new postings.
+const walletTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+
+  amount: {
+    type: Number, // in rupees
+    required: true,
+    min: 0.01
+  },
+
+  // Where the credit came from or what the debit paid for
+  source: {
+    type: String,
+    enum: ['refund', 'referral', 'goodwill', 'adjustment', 'order_payment', 'order_reversal'],
+    required: true
+  },
+  note: String,
+
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // admin who issued an adjustment
+  },
+
+  // Position in the user's ledger (1, 2, 3, ...) and the balance after this posting.
+  // The unique (user, sequence) index stops two concurrent postings from both
+  // building on the same previous balance.
+  sequence: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // One posting per key, so retried requests don't credit or debit twice
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+walletTransactionSchema.index({ user: 1, sequence: -1 }, { unique: true });
+
+// The ledger is append-only
+const rejectChange = function (next) {
+  next(new Error('Wallet transactions cannot be changed or deleted'));
+};
+
+walletTransactionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+walletTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+export default WalletTransaction;
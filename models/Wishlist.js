@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { selectedOptionSchema } from './MenuItem.js';
 
 const wishlistSchema = new mongoose.Schema({
   user: {
@@ -29,7 +30,8 @@ const wishlistSchema = new mongoose.Schema({
       required: true,
       min: 1,
       default: 1
-    }
+    },
+    customizations: [selectedOptionSchema] // chosen variants and add-ons
   }],
   createdAt: {
     type: Date,
@@ -1,12 +1,49 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
-import { sendTokenResponse } from '../utils/auth.js';
-import { protect } from '../middleware/auth.js';
+import {
+  sendTokenResponse,
+  setAuthCookies,
+  clearAuthCookies,
+  verifyToken,
+} from '../utils/auth.js';
+import {
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  endSessionByRefreshToken,
+  listUserSessions,
+} from '../utils/sessions.js';
+import { requestPasswordReset, resetPassword } from '../utils/passwordReset.js';
+import {
+  sendPhoneOtp,
+  verifyPhoneOtp,
+  sendEmailVerification,
+  verifyEmailToken,
+} from '../utils/verification.js';
+import { sendError } from '../utils/httpError.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { releaseMediaUrl } from '../utils/media.js';
+import { syncMenuLocations } from '../utils/discovery.js';
+import { markSearchIndexStale } from '../utils/search.js';
 import passport from 'passport';
 
 const router = express.Router();
 
+// Profile fields users may change themselves. Verification flags, ratings,
+// statistics, opening hours and the kitchen toggle are managed elsewhere.
+const EDITABLE_RESTAURANT_FIELDS = ['kitchenName', 'cuisine', 'description', 'address', 'businessLicense'];
+const EDITABLE_RIDER_FIELDS = [
+  'vehicleType',
+  'vehicleNumber',
+  'drivingLicense',
+  'licenseNumber',
+  'aadharNumber',
+  'bankAccount',
+  'ifscCode',
+];
+
 // @route   POST /api/auth/signup
 // @desc    Register a new user
 // @access  Public
@@ -43,8 +80,9 @@ router.post('/signup', async (req, res) => {
       }
     }
 
-    // Validate role
-    const validRoles = ['customer', 'rider', 'restaurant'];
+    // Validate role. Riders need a verified phone, so they sign up as customers
+    // and then use POST /api/rider/register
+    const validRoles = ['customer', 'restaurant'];
     if (role && !validRoles.includes(role)) {
       return res.status(400).json({
         success: false,
@@ -63,7 +101,12 @@ router.post('/signup', async (req, res) => {
     });
 
     // Send token response
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, req, res, 'signup');
+
+    // Ask the new user to confirm their email; they can request another link later
+    sendEmailVerification(user).catch((error) => {
+      console.error('Error sending verification email:', error);
+    });
   } catch (error) {
     console.error('Signup error:', error);
 
@@ -135,7 +178,7 @@ router.post('/login', async (req, res) => {
     }
 
     // Send token response
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -159,16 +202,8 @@ router.get('/me', protect, async (req, res) => {
       });
     }
 
-    // Generate a fresh token with extended expiry (helps with session persistence)
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' } // 7 days to match session duration
-    );
-
     res.status(200).json({
       success: true,
-      token, // Send refreshed token
       user: {
         id: user._id,
         name: user.name,
@@ -193,22 +228,71 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// Refresh token from its cookie, or the body for clients that don't keep cookies
+const getRefreshToken = (req) => req.cookies.refreshToken || req.body?.refreshToken;
+
+// @route   POST /api/auth/refresh
+// @desc    Swap a refresh token for a new access token and refresh token
+// @access  Public (refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = getRefreshToken(req);
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const { session, refreshToken: nextRefreshToken } = await rotateSession(refreshToken, req);
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await revokeSession(session._id);
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: user ? 'Account has been deactivated' : 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...setAuthCookies(res, user._id, session, nextRefreshToken),
+    });
+  } catch (error) {
+    // The session is gone, so the cookies are no use to the client any more
+    if (error.statusCode === 401) {
+      clearAuthCookies(res);
+    } else {
+      console.error('Refresh token error:', error);
+    }
+    sendError(res, error, 'Error refreshing session');
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user / clear cookie
+// @desc    Logout user: end this device's session and clear the cookies
 // @access  Public
-router.post('/logout', (req, res) => {
-  const cookieOptions = {
-    httpOnly: true,
-    expires: new Date(0),
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.COOKIE_SAMESITE || (process.env.NODE_ENV === 'production' ? 'none' : 'lax'),
-  };
-
-  if (process.env.COOKIE_DOMAIN) {
-    cookieOptions.domain = process.env.COOKIE_DOMAIN;
+router.post('/logout', async (req, res) => {
+  try {
+    // The access token names its session; once it has expired the refresh token does
+    const accessToken = req.cookies.token || req.headers.authorization?.split(' ')[1];
+    const decoded = accessToken ? verifyToken(accessToken) : null;
+
+    if (decoded?.sid && mongoose.isValidObjectId(decoded.sid)) {
+      await revokeSession(decoded.sid, 'logout');
+    } else if (getRefreshToken(req)) {
+      await endSessionByRefreshToken(getRefreshToken(req));
+    }
+  } catch (error) {
+    // Logging out still clears the cookies
+    console.error('Logout error:', error);
   }
 
-  res.cookie('token', '', cookieOptions);
+  clearAuthCookies(res);
 
   res.status(200).json({
     success: true,
@@ -216,12 +300,241 @@ router.post('/logout', (req, res) => {
   });
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide your email',
+    });
+  }
+
+  // Answer before looking the address up, so neither the reply nor its timing
+  // reveals whether an account exists
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent',
+  });
+
+  try {
+    await requestPasswordReset(email);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset link; signs out every device
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reset token and a new password',
+      });
+    }
+
+    await resetPassword(token, password);
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.',
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages[0],
+      });
+    }
+
+    console.error('Reset password error:', error);
+    sendError(res, error, 'Error resetting password');
+  }
+});
+
+// @route   POST /api/auth/verify-phone/send
+// @desc    Text a verification code to the user's phone, or to a new number in `phone`
+// @access  Private
+router.post('/verify-phone/send', protect, async (req, res) => {
+  try {
+    const { phone, expiresAt } = await sendPhoneOtp(req.user, req.body.phone);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification code sent to ${phone}`,
+      expiresAt,
+    });
+  } catch (error) {
+    console.error('Send phone code error:', error);
+    sendError(res, error, 'Error sending verification code');
+  }
+});
+
+// @route   POST /api/auth/verify-phone
+// @desc    Verify the phone number with the code that was texted
+// @access  Private
+router.post('/verify-phone', protect, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the verification code',
+      });
+    }
+
+    const user = await verifyPhoneOtp(req.user, code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone number verified',
+      phone: user.phone,
+      isPhoneVerified: user.isPhoneVerified,
+    });
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    sendError(res, error, 'Error verifying phone number');
+  }
+});
+
+// @route   POST /api/auth/verify-email/send
+// @desc    Email a new verification link
+// @access  Private
+router.post('/verify-email/send', protect, async (req, res) => {
+  try {
+    const { expiresAt } = await sendEmailVerification(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification link sent to ${req.user.email}`,
+      expiresAt,
+    });
+  } catch (error) {
+    console.error('Send verification email error:', error);
+    sendError(res, error, 'Error sending verification email');
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify an email address with the token from the link
+// @access  Public (token)
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.body.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified',
+      email: user.email,
+      isEmailVerified: user.isEmailVerified,
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    sendError(res, error, 'Error verifying email');
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Devices the user is signed in on
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        method: session.method,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSessionId),
+      })),
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    sendError(res, error, 'Error fetching sessions');
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user._id);
+    const session = sessions.find((item) => item._id.toString() === req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await revokeSession(session._id);
+
+    if (session._id.equals(req.authSessionId)) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    sendError(res, error, 'Error revoking session');
+  }
+});
+
+// @route   DELETE /api/auth/sessions?includeCurrent=true
+// @desc    Sign out every other device, or every device including this one
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+
+    const revoked = await revokeUserSessions(req.user._id, 'revoked', {
+      except: includeCurrent ? undefined : req.authSessionId,
+    });
+
+    if (includeCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: includeCurrent ? 'Signed out of all devices' : 'Signed out of all other devices',
+      revoked,
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    sendError(res, error, 'Error revoking sessions');
+  }
+});
+
 // @route   PUT /api/auth/update-profile
 // @desc    Update user profile
 // @access  Private
 router.put('/update-profile', protect, async (req, res) => {
   try {
-    const { name, phone, address, avatar, role, restaurantDetails, riderDetails } = req.body;
+    const { name, phone, address, avatar, restaurantDetails, riderDetails } = req.body;
 
     console.log('📥 Update Profile Request:', {
       name,
@@ -244,26 +557,28 @@ router.put('/update-profile', protect, async (req, res) => {
 
     const fieldsToUpdate = {};
     if (name) fieldsToUpdate.name = name;
-    if (phone) fieldsToUpdate.phone = phone;
+    if (phone && phone !== req.user.phone) {
+      // A new number has to be verified again
+      fieldsToUpdate.phone = phone;
+      fieldsToUpdate.isPhoneVerified = false;
+    }
     if (address) fieldsToUpdate.address = address;
     if (avatar) fieldsToUpdate.avatar = avatar;
-    if (restaurantDetails) fieldsToUpdate.restaurantDetails = restaurantDetails;
+    // Update individual fields so ratings, statistics, opening hours and the
+    // kitchen toggle are kept; anything not editable here is ignored
+    if (restaurantDetails) {
+      EDITABLE_RESTAURANT_FIELDS.forEach((key) => {
+        if (restaurantDetails[key] !== undefined) {
+          fieldsToUpdate[`restaurantDetails.${key}`] = restaurantDetails[key];
+        }
+      });
+    }
     if (riderDetails) {
-      fieldsToUpdate.riderDetails = riderDetails;
-      // Mark nested object as modified for MongoDB
-      fieldsToUpdate.$set = { riderDetails };
-    }
-    
-    // Allow role change
-    if (role) {
-      const validRoles = ['customer', 'rider', 'restaurant', 'admin'];
-      if (!validRoles.includes(role)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid role specified',
-        });
-      }
-      fieldsToUpdate.role = role;
+      EDITABLE_RIDER_FIELDS.forEach((key) => {
+        if (riderDetails[key] !== undefined) {
+          fieldsToUpdate[`riderDetails.${key}`] = riderDetails[key];
+        }
+      });
     }
 
     const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
@@ -271,6 +586,21 @@ router.put('/update-profile', protect, async (req, res) => {
       runValidators: true,
     });
 
+    // Restaurant names and cuisines are searchable
+    if (user.role === 'restaurant' && (name || restaurantDetails)) {
+      markSearchIndexStale();
+    }
+
+    // Menu items carry the restaurant's location for geo queries
+    if (restaurantDetails?.address && user.role === 'restaurant') {
+      await syncMenuLocations(user);
+    }
+
+    // Delete the old uploaded avatar if nothing else shows it
+    if (user.avatar !== req.user.avatar) {
+      await releaseMediaUrl(req.user.avatar);
+    }
+
     res.status(200).json({
       success: true,
       user: {
@@ -303,6 +633,63 @@ router.put('/update-profile', protect, async (req, res) => {
   }
 });
 
+// @route   PATCH /api/auth/users/:id/role
+// @desc    Change a user's role (users can't change their own)
+// @access  Private (Admin)
+router.patch('/users/:id/role', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const validRoles = ['customer', 'rider', 'restaurant', 'admin'];
+
+    if (!validRoles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role specified',
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Same rule as POST /api/rider/register
+    if (role === 'rider' && !user.isPhoneVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'The user must verify their phone number before becoming a rider',
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error('Change role error:', error);
+    sendError(res, error, 'Error changing role');
+  }
+});
+
 // @route   GET /api/auth/google
 // @desc    Initiate Google OAuth
 // @access  Public
@@ -325,20 +712,22 @@ router.get(
     failureRedirect: `${process.env.FRONTEND_URL}/?error=google-auth-failed`,
     session: true,
   }),
-  (req, res) => {
-    // Successful authentication - generate JWT token
-    const token = jwt.sign(
-      { id: req.user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE }
-    );
-    
-    // Get redirect URL from session or use default
-    const redirectUrl = req.session.redirectUrl || '/';
-    delete req.session.redirectUrl;
-    
-    // Redirect to frontend with token in URL fragment
-    res.redirect(`${process.env.FRONTEND_URL}${redirectUrl}#token=${token}`);
+  async (req, res) => {
+    try {
+      // Successful authentication - start a session (the refresh token goes in its cookie)
+      const { session, refreshToken } = await startSession(req.user, req, 'google');
+      const { token } = setAuthCookies(res, req.user._id, session, refreshToken);
+
+      // Get redirect URL from session or use default
+      const redirectUrl = req.session.redirectUrl || '/';
+      delete req.session.redirectUrl;
+
+      // Redirect to frontend with token in URL fragment
+      res.redirect(`${process.env.FRONTEND_URL}${redirectUrl}#token=${token}`);
+    } catch (error) {
+      console.error('Google callback error:', error);
+      res.redirect(`${process.env.FRONTEND_URL}/?error=google-auth-failed`);
+    }
   }
 );
 
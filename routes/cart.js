@@ -1,7 +1,22 @@
 import express from 'express'
 import User from '../models/User.js';
+import MenuItem from '../models/MenuItem.js';
 import { protect } from '../middleware/auth.js';
+import { resolveCustomizations, customizationKey } from '../utils/customizations.js';
+import { createHttpError, sendError } from '../utils/httpError.js';
+import { assertLinesInStock } from '../utils/inventory.js';
 const router =express.Router();
+
+const MENU_ITEM_FIELDS='name description price image isVeg category subCategory cuisine isAvailable variantGroups addOnGroups stock';
+
+// Check the selected variants/add-ons against the current menu and return their snapshots
+const validateCartItem=async(item)=>{
+    const menuItemDoc=await MenuItem.findById(item.menuItem);
+    if(!menuItemDoc){
+        throw createHttpError(404,'Menu item not found');
+    }
+    return resolveCustomizations(menuItemDoc,item.customizations||[]).customizations;
+}
 router.put("/",protect, async(req,res)=>{
     try{
         const {cart}= req.body;
@@ -24,7 +39,9 @@ router.put("/",protect, async(req,res)=>{
                     message:'Quantity must be at least 1',
                 });
             }
+            item.customizations=await validateCartItem(item);
         }
+        await assertLinesInStock(cart);
         const user= await User.findByIdAndUpdate(
             req.user.id,
             {cart},
@@ -37,10 +54,7 @@ router.put("/",protect, async(req,res)=>{
         });
     }catch(error){
         console.log("Update cart error: ",error)
-        res.status(500).json({
-            success:false,
-            message:'Error updating cart',
-        });
+        sendError(res,error,'Error updating cart');
     }
 })
 router.get("/",protect,async(req,res)=>{
@@ -48,7 +62,7 @@ router.get("/",protect,async(req,res)=>{
         const user=await User.findById(req.user.id)
         .populate({
             path:'cart.menuItem',
-            select:'name description price image isVeg category subCategory cuisine isAvailable',
+            select:MENU_ITEM_FIELDS,
         }).populate({
             path:'cart.restaurantId',
             select:'restaurantDetails.kitchenName restaurantDetails.isKitchenOpen restaurantDetails.address',
@@ -67,7 +81,7 @@ router.get("/",protect,async(req,res)=>{
 })
 router.post("/add",protect,async(req,res)=>{
     try{
-        const{ menuItem, quantity, restaurantId}=req.body;
+        const{ menuItem, quantity, restaurantId, customizations}=req.body;
         console.log("📝 Add to cart request:", { menuItem, quantity, restaurantId, userId: req.user.id });
         
         if(!menuItem||!quantity||!restaurantId){
@@ -91,18 +105,23 @@ router.post("/add",protect,async(req,res)=>{
             });
         }
         
-        // Find if item already exists in cart (only check menuItem, not restaurantId)
+        const selectedOptions = await validateCartItem({ menuItem, customizations });
+        const key = customizationKey(selectedOptions);
+
+        // Find if the same item with the same options already exists in cart (not restaurantId)
         const existingItemIndex = user.cart.findIndex(
-            item => item.menuItem.toString() === menuItem.toString()
+            item => item.menuItem.toString() === menuItem.toString() &&
+                customizationKey(item.customizations) === key
         );
         
         if(existingItemIndex > -1){
             user.cart[existingItemIndex].quantity += quantity;
             console.log('✅ Updated existing cart item quantity');
         } else {
-            user.cart.push({menuItem, quantity, restaurantId});
+            user.cart.push({menuItem, quantity, restaurantId, customizations: selectedOptions});
             console.log('✅ Added new item to cart with restaurantId:', restaurantId);
         }
+        await assertLinesInStock(user.cart);
         
         await user.save();
         console.log('✅ Cart saved. Total items:', user.cart.length);
@@ -110,7 +129,7 @@ router.post("/add",protect,async(req,res)=>{
         // Populate cart items before sending response
         await user.populate({
             path: 'cart.menuItem',
-            select: 'name description price image isVeg category subCategory cuisine isAvailable'
+            select: MENU_ITEM_FIELDS
         });
         await user.populate({
             path: 'cart.restaurantId',
@@ -126,22 +145,22 @@ router.post("/add",protect,async(req,res)=>{
         });
     }catch(error){
         console.log("Add to cart error: ",error)
-        res.status(500).json({
-            success:false,
-            message:'Error adding item to cart',
-        });
+        sendError(res,error,'Error adding item to cart');
     }
 })
 router.delete("/remove/:menuItemId",protect,async(req,res)=>{
     try{
         const user=await User.findById(req.user.id);
-        user.cart=user.cart.filter(item=>item.menuItem.toString()!==req.params.menuItemId);
+        // ?lineId= removes a single customized line instead of every line for the item
+        user.cart=user.cart.filter(item=>req.query.lineId
+            ? item._id.toString()!==req.query.lineId
+            : item.menuItem.toString()!==req.params.menuItemId);
         await user.save();
         
         // Populate cart items before sending response
         await user.populate({
             path: 'cart.menuItem',
-            select: 'name description price image isVeg category subCategory cuisine isAvailable'
+            select: MENU_ITEM_FIELDS
         });
         await user.populate({
             path: 'cart.restaurantId',
@@ -0,0 +1,239 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import User from '../models/User.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { sendError } from '../utils/httpError.js';
+import { priceOrder } from '../utils/pricing.js';
+import { COUPON_FIELDS, normalizeCouponCode, validateCouponInput } from '../utils/coupons.js';
+
+const router = express.Router();
+
+// Coupon fields shown to customers at checkout
+const PUBLIC_COUPON_FIELDS = 'code description type value minOrderValue maxDiscount validUntil firstOrderOnly scope restaurant';
+
+const pickCouponFields = (body) =>
+  COUPON_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = field === 'code' ? normalizeCouponCode(body[field]) : body[field];
+    }
+    return fields;
+  }, {});
+
+// @desc    Check a coupon against a cart and show the discounted price
+// @route   POST /api/coupons/validate
+// @access  Private (customer)
+// Body: { code, restaurantId, items, deliveryAddress }
+router.post('/validate', protect, authorize('customer'), async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const { code, restaurantId, items, deliveryAddress } = req.body;
+
+    if (!code || !restaurantId || !items || !deliveryAddress) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields',
+      });
+    }
+
+    const restaurant = await User.findById(restaurantId);
+
+    if (!restaurant || restaurant.role !== 'restaurant') {
+      return res.status(404).json({
+        success: false,
+        message: 'Restaurant not found',
+      });
+    }
+
+    const computed = await priceOrder({ restaurant, items, deliveryAddress, couponCode: code, customerId });
+
+    res.status(200).json({
+      success: true,
+      coupon: computed.coupon,
+      discount: computed.discount,
+      pricing: {
+        subtotal: computed.subtotal,
+        deliveryFee: computed.deliveryFee,
+        platformFee: computed.platformFee,
+        gst: computed.gst,
+        promotionDiscount: computed.promotionDiscount,
+        promotions: computed.promotions,
+        discount: computed.discount,
+        totalAmount: computed.totalAmount,
+        breakdown: computed.breakdown,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error validating coupon:', error);
+    sendError(res, error, 'Failed to validate coupon');
+  }
+});
+
+// @desc    Coupons a customer can use right now, optionally at one restaurant
+// @route   GET /api/coupons/available?restaurantId=
+// @access  Public
+router.get('/available', async (req, res) => {
+  try {
+    const { restaurantId } = req.query;
+    const now = new Date();
+
+    const scopes = [{ scope: 'platform' }];
+    if (restaurantId && mongoose.Types.ObjectId.isValid(restaurantId)) {
+      scopes.push({ scope: 'restaurant', restaurant: restaurantId });
+    }
+
+    const coupons = await Coupon.find({
+      isActive: true,
+      $and: [
+        { $or: scopes },
+        { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+        { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+        { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+      ],
+    })
+      .select(PUBLIC_COUPON_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      coupons,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching available coupons:', error);
+    sendError(res, error, 'Failed to fetch coupons');
+  }
+});
+
+// @desc    List coupons (admins see all, restaurants their own)
+// @route   GET /api/coupons
+// @access  Private (Admin, Restaurant)
+router.get('/', protect, authorize('admin', 'restaurant'), async (req, res) => {
+  try {
+    const filter = req.user.role === 'restaurant' ? { restaurant: req.user._id } : {};
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      coupons,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching coupons:', error);
+    sendError(res, error, 'Failed to fetch coupons');
+  }
+});
+
+// @desc    Create a coupon. Restaurants create coupons for their own restaurant,
+//          paid for out of their payout; admins create platform coupons, or
+//          restaurant coupons with scope 'restaurant' and a restaurantId
+// @route   POST /api/coupons
+// @access  Private (Admin, Restaurant)
+router.post('/', protect, authorize('admin', 'restaurant'), async (req, res) => {
+  try {
+    const fields = pickCouponFields(req.body);
+    const validationError = validateCouponInput(fields);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    if (req.user.role === 'restaurant') {
+      fields.scope = 'restaurant';
+      fields.restaurant = req.user._id;
+    } else if (req.body.scope === 'restaurant') {
+      const restaurant = mongoose.Types.ObjectId.isValid(req.body.restaurantId)
+        ? await User.findById(req.body.restaurantId)
+        : null;
+
+      if (!restaurant || restaurant.role !== 'restaurant') {
+        return res.status(404).json({
+          success: false,
+          message: 'Restaurant not found',
+        });
+      }
+
+      fields.scope = 'restaurant';
+      fields.restaurant = restaurant._id;
+    } else {
+      fields.scope = 'platform';
+    }
+
+    if (await Coupon.exists({ code: fields.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists',
+      });
+    }
+
+    const coupon = await Coupon.create({ ...fields, createdBy: req.user._id });
+
+    console.log(`🎟️ Coupon ${coupon.code} created by ${req.user.role} ${req.user.name}`);
+
+    res.status(201).json({
+      success: true,
+      coupon,
+    });
+  } catch (error) {
+    console.error('❌ Error creating coupon:', error);
+    sendError(res, error, 'Failed to create coupon');
+  }
+});
+
+// @desc    Update or deactivate a coupon
+// @route   PATCH /api/coupons/:id
+// @access  Private (Admin, Restaurant that owns the coupon)
+router.patch('/:id', protect, authorize('admin', 'restaurant'), async (req, res) => {
+  try {
+    const coupon = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Coupon.findById(req.params.id)
+      : null;
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found',
+      });
+    }
+
+    if (req.user.role === 'restaurant' && coupon.restaurant?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change your own coupons',
+      });
+    }
+
+    const updates = pickCouponFields(req.body);
+    const validationError = validateCouponInput({ ...coupon.toObject(), ...updates });
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    if (updates.code && updates.code !== coupon.code && await Coupon.exists({ code: updates.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists',
+      });
+    }
+
+    coupon.set(updates);
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      coupon,
+    });
+  } catch (error) {
+    console.error('❌ Error updating coupon:', error);
+    sendError(res, error, 'Failed to update coupon');
+  }
+});
+
+export default router;
@@ -0,0 +1,87 @@
+import express from 'express';
+import multer from 'multer';
+import { protect } from '../middleware/auth.js';
+import { getMediaConfig } from '../config/media.js';
+import { createHttpError, sendError } from '../utils/httpError.js';
+import { ACCEPTED_MIME_TYPES, formatMedia, storeImage } from '../utils/media.js';
+
+const router = express.Router();
+
+// Keep uploads in memory: they are resized before anything is written
+const receiveImage = (req, res, next) => {
+  const { maxUploadBytes } = getMediaConfig();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxUploadBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!ACCEPTED_MIME_TYPES.includes(file.mimetype)) {
+        return cb(createHttpError(400, 'Image must be a JPEG, PNG or WebP file'));
+      }
+      cb(null, true);
+    },
+  }).single('image');
+
+  upload(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      return next(createHttpError(400, `Image cannot be larger than ${Math.round(maxUploadBytes / (1024 * 1024))} MB`));
+    }
+    if (error instanceof multer.MulterError) {
+      return next(createHttpError(400, error.message));
+    }
+    next(error);
+  });
+};
+
+// @desc    Upload an image for a menu item or a profile picture. The response
+//          has thumbnail, card and full-size URLs; put one in the menu item's
+//          `image` or the profile's `avatar`. Unused uploads are deleted later.
+// @route   POST /api/media
+// @access  Private
+// Body (multipart/form-data): image (file), purpose ('menu_item' or 'avatar')
+router.post('/', protect, receiveImage, async (req, res) => {
+  try {
+    const purpose = req.body.purpose || 'menu_item';
+
+    if (!['menu_item', 'avatar'].includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        message: "Purpose must be 'menu_item' or 'avatar'",
+      });
+    }
+
+    if (purpose === 'menu_item' && req.user.role !== 'restaurant') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only restaurant owners can upload menu images.',
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach an image in the "image" field',
+      });
+    }
+
+    const media = await storeImage(req.file.buffer, {
+      owner: req.user._id,
+      purpose,
+      originalName: req.file.originalname,
+    });
+
+    res.status(201).json({
+      success: true,
+      media: formatMedia(media),
+    });
+  } catch (error) {
+    console.error('❌ Error uploading image:', error);
+    sendError(res, error, 'Failed to upload image');
+  }
+});
+
+// Errors raised while receiving the upload
+router.use((error, req, res, next) => {
+  sendError(res, error, 'Failed to upload image');
+});
+
+export default router;
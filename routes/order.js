@@ -2,41 +2,101 @@ import express from 'express';
 import Order from '../models/Order.js';
 import User from '../models/User.js';
 import Payment from '../models/Payment.js';
-import { io, activeOrdersPool, activeRidersPool } from '../server.js';
+import { io, activeRidersPool } from '../server.js';
+import { calculateDistance } from '../utils/geo.js';
+import { priceOrder, reconcileClientPricing, toOrderPricingFields } from '../utils/pricing.js';
+import { createHttpError, sendError } from '../utils/httpError.js';
+import { transitionOrder } from '../utils/orderStateMachine.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { orderAccess, selfOrAdmin } from '../middleware/policies.js';
+import { evaluateCancellation } from '../utils/cancellation.js';
+import { refundOrder, REFUND_PUBLIC_FIELDS } from '../utils/refunds.js';
+import { populateForRestaurant, notifyRestaurantOfNewOrder } from '../utils/orderNotifications.js';
+import { validateScheduledSlot } from '../utils/scheduledOrders.js';
+import { assertOpenNow } from '../utils/operatingHours.js';
+import { acceptOrderAsRider } from '../utils/riderAssignment.js';
+import { confirmOrderPayment, claimPayment, releasePaymentClaim } from '../utils/orderPayment.js';
+import { resolveWalletAmount, debitWalletForOrder, reverseWalletDebit } from '../utils/wallet.js';
+import { redeemCoupon, releaseCoupon } from '../utils/coupons.js';
+import { finishCancellation, releaseRiderOrder } from '../utils/orderCancellation.js';
+import DispatchOffer from '../models/DispatchOffer.js';
+import Refund from '../models/Refund.js';
 
 const router = express.Router();
 
-// Haversine formula to calculate distance between two coordinates
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Earth's radius in km
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+// Add a delivered order's earnings to the assigned rider's statistics
+const creditRiderForDelivery = async (order) => {
+  if (!order.rider) return;
+
+  const rider = await User.findById(order.rider._id || order.rider);
+  if (!rider || rider.role !== 'rider') return;
+
+  // Check if it's a new day, reset today's earnings
+  const lastReset = new Date(rider.riderDetails.lastEarningsReset);
+  const today = new Date();
+  if (lastReset.toDateString() !== today.toDateString()) {
+    rider.riderDetails.todayEarnings = 0;
+    rider.riderDetails.lastEarningsReset = today;
+  }
+
+  // Update stats
+  rider.riderDetails.totalDeliveries = (rider.riderDetails.totalDeliveries || 0) + 1;
+  rider.riderDetails.totalEarnings = (rider.riderDetails.totalEarnings || 0) + (order.riderEarnings || 0);
+  rider.riderDetails.todayEarnings = (rider.riderDetails.todayEarnings || 0) + (order.riderEarnings || 0);
+
+  await rider.save();
+  console.log(`💰 Rider ${rider.name} earned ₹${order.riderEarnings}. Today: ₹${rider.riderDetails.todayEarnings}, Total: ₹${rider.riderDetails.totalEarnings}`);
+};
+
+// Save a new order, first counting its coupon use and taking its wallet share from
+// the customer's balance. Whatever was done is undone if a later step fails.
+const saveNewOrder = async (order) => {
+  const undo = [];
+
+  try {
+    if (order.coupon?.coupon) {
+      await redeemCoupon(order);
+      undo.push(() => releaseCoupon(order));
+    }
+    if (order.walletAmount > 0) {
+      await debitWalletForOrder(order);
+      undo.push(() => reverseWalletDebit(order));
+    }
+    await order.save();
+  } catch (error) {
+    for (const step of undo.reverse()) {
+      await step();
+    }
+    throw error;
+  }
+};
+
+// An online payment can only be used by the customer who started it
+const assertOwnPayment = (payment, user) => {
+  if (payment && payment.customer !== user._id.toString()) {
+    throw createHttpError(403, 'This payment belongs to another customer');
+  }
 };
 
 // POST /api/orders/pending - Create pending order before payment
-router.post('/pending', async (req, res) => {
+router.post('/pending', protect, authorize('customer'), async (req, res) => {
   try {
+    const customerId = req.user._id;
     const {
-      customerId,
       restaurantId,
       items,
       deliveryAddress,
       paymentMethod,
       pricing,
+      scheduledFor, // Optional delivery slot for scheduled orders
+      walletAmount, // Optional part of the total to pay from the wallet
+      couponCode, // Optional coupon, validated again on the server
     } = req.body;
 
     console.log('📝 Creating pending order for online payment');
 
-    // Validate required fields
-    if (!customerId || !restaurantId || !items || !deliveryAddress || !paymentMethod || !pricing) {
+    // Validate required fields (pricing is recomputed on the server)
+    if (!restaurantId || !items || !deliveryAddress || !paymentMethod) {
       return res.status(400).json({
         success: false,
         message: 'Missing required fields',
@@ -53,19 +113,41 @@ router.post('/pending', async (req, res) => {
       });
     }
 
-    // Create pending order
+    // Scheduled orders must fall inside the restaurant's hours; immediate ones need it open now
+    const slot = scheduledFor ? validateScheduledSlot(restaurant, scheduledFor) : null;
+    if (!slot) {
+      assertOpenNow(restaurant);
+    }
+
+    // Recompute pricing from the menu, fee rules and coupon
+    const computed = await priceOrder({ restaurant, items, deliveryAddress, couponCode, customerId });
+    const mismatches = reconcileClientPricing(computed, pricing);
+
+    if (mismatches.length > 0) {
+      console.warn(`⚠️ Client pricing corrected for pending order: ${mismatches.map((m) => m.field).join(', ')}`);
+    }
+
+    if (paymentMethod === 'wallet') {
+      return res.status(400).json({
+        success: false,
+        message: 'Orders paid entirely from the wallet are placed directly with POST /api/orders',
+      });
+    }
+
+    // Create pending order; its wallet share is held until the order is paid or cancelled
     const order = new Order({
       customer: customerId,
       restaurant: restaurantId,
-      items,
       deliveryAddress,
       paymentMethod,
       paymentStatus: 'pending',
       status: 'pending_payment',
-      ...pricing,
+      scheduledFor: slot || undefined,
+      walletAmount: resolveWalletAmount(paymentMethod, walletAmount, computed.totalAmount),
+      ...toOrderPricingFields(computed, pricing, mismatches),
     });
 
-    await order.save();
+    await saveNewOrder(order);
 
     console.log('✅ Pending order created:', order._id);
 
@@ -74,75 +156,48 @@ router.post('/pending', async (req, res) => {
       order: {
         _id: order._id,
         totalAmount: order.totalAmount,
+        walletAmount: order.walletAmount,
+        amountDue: Math.round((order.totalAmount - order.walletAmount) * 100) / 100, // pay this online
+        pricing: {
+          subtotal: order.subtotal,
+          deliveryFee: order.deliveryFee,
+          platformFee: order.platformFee,
+          gst: order.gst,
+          promotionDiscount: order.promotionDiscount,
+          promotions: order.promotions,
+          discount: order.discount,
+          totalAmount: order.totalAmount,
+          breakdown: order.pricingBreakdown,
+        },
       },
     });
   } catch (error) {
     console.error('❌ Error creating pending order:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create pending order',
-      error: error.message,
-    });
+    sendError(res, error, 'Failed to create pending order');
   }
 });
 
 // POST /api/orders/:orderId/confirm - Confirm order after successful payment
-router.post('/:orderId/confirm', async (req, res) => {
+router.post('/:orderId/confirm', protect, orderAccess('customer'), async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+    const { razorpay_order_id } = req.body;
+    const order = req.order;
 
     console.log('✅ Confirming order after payment:', orderId);
 
-    // Find pending order
-    const order = await Order.findById(orderId);
-    
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found',
-      });
-    }
-
-    // Verify payment
+    // Verify payment; the webhook may already have confirmed the order
     const payment = await Payment.findOne({ razorpay_order_id });
-    
-    if (!payment || payment.status !== 'SUCCESS') {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment verification failed',
-      });
-    }
-
-    // Update order - change from pending_payment to pending (waiting for restaurant)
-    order.status = 'pending';
-    order.paymentStatus = 'paid';
-    order.razorpay_payment_id = razorpay_payment_id;
-    await order.save();
+    assertOwnPayment(payment, req.user);
+    const confirmed = await confirmOrderPayment(order, payment, {
+      actor: 'customer',
+      actorId: order.customer,
+    });
 
-    // Populate order details for socket emission
+    // Populate order details for the response
     await order.populate('customer restaurant items.menuItem');
 
-    console.log('✅ Order confirmed:', orderId);
-
-    // Format order data for socket emission (same format as COD orders)
-    const orderSocketData = {
-      _id: order._id,
-      orderNumber: order.orderNumber,
-      customer: order.customer,
-      restaurant: order.restaurant,
-      items: order.items,
-      totalAmount: order.totalAmount,
-      deliveryAddress: order.deliveryAddress,
-      status: order.status,
-      paymentMethod: order.paymentMethod,
-      paymentStatus: order.paymentStatus,
-      createdAt: order.createdAt,
-    };
-
-    // Emit socket event to restaurant for new order notification
-    console.log(`📡 Emitting new_order_received to restaurant_${order.restaurant._id}`);
-    io.to(`restaurant_${order.restaurant._id}`).emit('new_order_received', orderSocketData);
+    console.log(confirmed ? '✅ Order confirmed:' : 'ℹ️ Order was already confirmed:', orderId);
 
     res.json({
       success: true,
@@ -150,30 +205,30 @@ router.post('/:orderId/confirm', async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error confirming order:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to confirm order',
-      error: error.message,
-    });
+    sendError(res, error, 'Failed to confirm order');
   }
 });
 
 // POST /api/orders - Place a new order
-router.post('/', async (req, res) => {
+router.post('/', protect, authorize('customer'), async (req, res) => {
   try {
+    const customerId = req.user._id;
     const {
-      customerId,
       restaurantId,
       items,
       deliveryAddress,
       paymentMethod,
       pricing,
       razorpay_order_id, // For online payments
+      scheduledFor, // Optional delivery slot for scheduled orders
+      walletAmount, // Optional part of the total to pay from the wallet ('wallet' pays it all)
+      couponCode, // Optional coupon, validated again on the server
     } = req.body;
 
-    console.log('📦 Received order request:', { customerId, restaurantId, items: items?.length, deliveryAddress, paymentMethod, pricing });
+    console.log('📦 Received order request:', { customerId, restaurantId, items: items?.length, paymentMethod });
     
     // If online payment, verify payment success before creating order
+    let payment = null;
     if (paymentMethod === 'online') {
       if (!razorpay_order_id) {
         return res.status(400).json({
@@ -183,7 +238,7 @@ router.post('/', async (req, res) => {
       }
 
       // Verify payment status from database
-      const payment = await Payment.findOne({ razorpay_order_id });
+      payment = await Payment.findOne({ razorpay_order_id });
       
       if (!payment) {
         return res.status(400).json({
@@ -192,6 +247,8 @@ router.post('/', async (req, res) => {
         });
       }
 
+      assertOwnPayment(payment, req.user);
+
       if (payment.status !== 'SUCCESS') {
         return res.status(400).json({
           success: false,
@@ -202,28 +259,34 @@ router.post('/', async (req, res) => {
       console.log('✅ Payment verified for order placement:', razorpay_order_id);
     }
     
-    console.log('💰 PRICING DATA RECEIVED FROM FRONTEND:');
-    console.log('   Subtotal:', pricing?.subtotal);
-    console.log('   Delivery Fee:', pricing?.deliveryFee);
-    console.log('   Platform Fee:', pricing?.platformFee);
-    console.log('   GST:', pricing?.gst);
-    console.log('   Total:', pricing?.totalAmount);
-
-    // Validate required fields
-    if (!customerId || !restaurantId || !items || !deliveryAddress || !paymentMethod || !pricing) {
+    // Validate required fields (pricing is optional - totals are recomputed on the server)
+    if (!restaurantId || !items || !deliveryAddress || !paymentMethod) {
       console.log('❌ VALIDATION FAILED - Missing fields:');
-      console.log('   customerId:', customerId ? '✅' : '❌');
       console.log('   restaurantId:', restaurantId ? '✅' : '❌');
       console.log('   items:', items ? '✅' : '❌');
       console.log('   deliveryAddress:', deliveryAddress ? '✅' : '❌');
       console.log('   paymentMethod:', paymentMethod ? '✅' : '❌');
-      console.log('   pricing:', pricing ? '✅' : '❌');
       return res.status(400).json({
         success: false,
         message: 'Missing required fields',
       });
     }
 
+    if (!['cod', 'online', 'wallet'].includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment method',
+      });
+    }
+
+    // Riders need a number they can reach for cash orders
+    if (paymentMethod === 'cod' && !req.user.isPhoneVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your phone number to pay cash on delivery',
+      });
+    }
+
     // Get restaurant details
     const restaurant = await User.findById(restaurantId);
     console.log('🔍 Found user:', { id: restaurant?._id, role: restaurant?.role });
@@ -242,29 +305,47 @@ router.post('/', async (req, res) => {
 
     console.log('✅ Restaurant validated:', restaurant.restaurantDetails?.kitchenName);
     
-    // Check if restaurant kitchen is open
-    const isKitchenOpen = restaurant.restaurantDetails?.isKitchenOpen ?? true;
+    // Scheduled orders are checked against the restaurant's hours at the chosen slot;
+    // immediate orders need the restaurant open right now
+    const slot = scheduledFor ? validateScheduledSlot(restaurant, scheduledFor) : null;
     
-    if (!isKitchenOpen) {
-      console.log('❌ Restaurant kitchen is closed');
-      return res.status(400).json({
-        success: false,
-        message: 'This restaurant is currently closed and not accepting orders',
-      });
+    if (!slot) {
+      assertOpenNow(restaurant);
     }
     
-    console.log('📍 Delivery coordinates received:', { 
-      latitude: deliveryAddress.latitude, 
-      longitude: deliveryAddress.longitude,
-      fullAddress: deliveryAddress.fullAddress 
-    });
-    console.log('📦 Items received from frontend:', JSON.stringify(items, null, 2));
+    // Recompute pricing from the menu, fee rules and coupon; client totals are only compared
+    const computed = await priceOrder({ restaurant, items, deliveryAddress, couponCode, customerId });
+    const mismatches = reconcileClientPricing(computed, pricing);
+
+    if (mismatches.length > 0) {
+      console.warn(`⚠️ Client pricing corrected: ${mismatches.map((m) => m.field).join(', ')}`);
+    }
+
+    const walletShare = resolveWalletAmount(paymentMethod, walletAmount, computed.totalAmount);
+
+    // Online payments must cover the server-computed total less the wallet share (amount is stored in paise)
+    if (payment) {
+      if (payment.amount !== Math.round((computed.totalAmount - walletShare) * 100)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment amount does not match order total',
+          pricing: {
+            subtotal: computed.subtotal,
+            deliveryFee: computed.deliveryFee,
+            platformFee: computed.platformFee,
+            gst: computed.gst,
+            discount: computed.discount,
+            totalAmount: computed.totalAmount,
+          },
+        });
+      }
+    }
 
-    // Create the order with pricing fields extracted from pricing object
+    // Create the order with server-computed pricing
     const orderData = {
       customer: customerId,
       restaurant: restaurantId,
-      items,
+      ...toOrderPricingFields(computed, pricing, mismatches),
       deliveryAddress: {
         fullAddress: deliveryAddress.fullAddress,
         latitude: Number(deliveryAddress.latitude),
@@ -278,114 +359,58 @@ router.post('/', async (req, res) => {
       deliveryInstructions: deliveryAddress.instructions,
       paymentMethod,
       paymentStatus: paymentMethod === 'cod' ? 'pending' : 'paid',
-      subtotal: pricing.subtotal,
-      deliveryFee: pricing.deliveryFee,
-      platformFee: pricing.platformFee,
-      gst: pricing.gst,
-      totalAmount: pricing.totalAmount,
+      walletAmount: walletShare,
+      status: slot ? 'scheduled' : 'pending',
+      scheduledFor: slot || undefined,
     };
 
-    // If online payment, get payment details from Payment collection
-    if (paymentMethod === 'online' && razorpay_order_id) {
-      const payment = await Payment.findOne({ razorpay_order_id });
-      if (payment && payment.razorpay_payment_id) {
-        orderData.razorpay_payment_id = payment.razorpay_payment_id;
-      }
+    // If online payment, copy the gateway payment ID onto the order
+    if (payment && payment.razorpay_payment_id) {
+      orderData.razorpay_payment_id = payment.razorpay_payment_id;
     }
 
     const order = new Order(orderData);
 
-    await order.save();
+    // Use the payment up so it can't place a second order
+    if (payment) {
+      await claimPayment(payment, order);
+    }
+    try {
+      await saveNewOrder(order);
+    } catch (error) {
+      if (payment) {
+        await releasePaymentClaim(payment, order);
+      }
+      throw error;
+    }
 
     console.log('✅ Order saved successfully:', order._id);
     console.log('💾 Order items in DB before populate:', JSON.stringify(order.items, null, 2));
 
     // Populate order details for response
-    await order.populate([
-      { path: 'customer', select: 'name email phone' },
-      { path: 'restaurant', select: 'restaurantDetails' },
-      { path: 'items.menuItem', select: 'name price image category' },
-    ]);
+    await populateForRestaurant(order);
 
     console.log("📋 Order items after populate:", JSON.stringify(order.items, null, 2));
-    
-    // Format items - handle case where menuItem might not populate
-    const formattedItems = order.items.map(item => {
-      if (!item.menuItem) {
-        console.warn(`⚠️ MenuItem not found for item, using fallback data:`, item);
-        // U se the name/price from the item itself (if they exist in schema)
-        return {
-          menuItem: null,
-          name: item.name || 'Unknown Item',
-          price: item.price || 0,
-          quantity: item.quantity,
-          _id: item._id
-        };
-      }
-      
-      return {
-        menuItem: {
-          _id: item.menuItem._id,
-          name: item.menuItem.name,
-          price: item.menuItem.price,
-          image: item.menuItem.image,
-          category: item.menuItem.category
-        },
-        name: item.menuItem.name,
-        price: item.menuItem.price,
-        quantity: item.quantity,
-        _id: item._id
-      };
-    });
-    
-    const orderSocketData = {
-      orderId: order._id.toString(),
-      orderNumber: order.orderNumber,
-      customerId,
-      restaurantId,
-      customerName: order.customer.name,
-      customerPhone: order.customer.phone,
-      restaurantName: restaurant.restaurantDetails.kitchenName,
-      restaurantCoordinates: {
-        latitude: restaurant.restaurantDetails.address.latitude,
-        longitude: restaurant.restaurantDetails.address.longitude,
-      },
-      deliveryCoordinates: {
-        latitude: order.deliveryAddress.latitude,
-        longitude: order.deliveryAddress.longitude,
-      },
-      deliveryAddress: order.deliveryAddress,
-      status: 'pending',
-      items: formattedItems,
-      subtotal: order.subtotal,
-      deliveryFee: order.deliveryFee,
-      platformFee: order.platformFee,
-      gst: order.gst,
-      totalAmount: order.totalAmount,
-      createdAt: order.createdAt,
-      riderId: null,
-      riderDetails: null,
-      riderCoordinates: null,
-      distanceToRestaurant: 0,
-    };
 
-    // Add to active orders pool
-    activeOrdersPool.set(order._id.toString(), orderSocketData);
-    console.log("socket creating with data:", orderSocketData);
-
-    console.log(`📦 Order added to pool. Pool size: ${activeOrdersPool.size}`);
-    console.log(`🏪 Emitting to room: restaurant_${restaurantId}`);
-    console.log(`🔍 Order socket data:`, JSON.stringify(orderSocketData, null, 2));
-
-    // Emit to notify restaurant
-    const emitted = io.to(`restaurant_${restaurantId}`).emit('new_order_received', orderSocketData);
-    console.log(`✅ Emission result:`, emitted);
+    // Scheduled orders reach the restaurant when the release job sends them
+    if (order.status === 'scheduled') {
+      io.to(`restaurant_${restaurantId}`).emit('scheduled_order_received', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        scheduledFor: order.scheduledFor,
+        totalAmount: order.totalAmount,
+      });
+    } else {
+      notifyRestaurantOfNewOrder(order);
+    }
 
     // Notify customer via order room
     io.to(`order_${order._id}`).emit('order_placed', {
       orderId: order._id,
-      status: 'pending',
-      message: 'Order placed successfully! Waiting for restaurant confirmation...',
+      status: order.status,
+      message: order.status === 'scheduled'
+        ? 'Order scheduled successfully! It will be sent to the restaurant before your delivery slot.'
+        : 'Order placed successfully! Waiting for restaurant confirmation...',
     });
 
     console.log(`📦 Order socket created for order: ${order._id}`);
@@ -399,79 +424,14 @@ router.post('/', async (req, res) => {
   } catch (error) {
     console.error('❌ Error placing order:', error);
     console.error('Error stack:', error.stack);
-    res.status(500).json({
-      success: false,
-      message: 'Error placing order',
-      error: error.message,
-    });
+    sendError(res, error, 'Error placing order');
   }
 });
 
 // POST /api/orders/:id/accept - Rider accepts an order
-router.post('/:id/accept', async (req, res) => {
+router.post('/:id/accept', protect, authorize('rider'), async (req, res) => {
   try {
-    const { riderId } = req.body;
-    const orderId = req.params.id;
-
-    // Find the order
-    const order = await Order.findById(orderId).populate([
-      { path: 'customer', select: 'name email phone' },
-      { path: 'restaurant', select: 'restaurantDetails' },
-    ]);
-
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found',
-      });
-    }
-
-    // Check if order is still awaiting rider assignment
-    if (order.status !== 'awaiting_rider' || order.rider) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order has already been assigned or is not available',
-      });
-    }
-
-    // Get rider details
-    const rider = await User.findById(riderId);
-    if (!rider || rider.role !== 'rider') {
-      return res.status(404).json({
-        success: false,
-        message: 'Rider not found',
-      });
-    }
-
-    // Update order with rider
-    order.rider = riderId;
-    order.status = 'rider_assigned';
-    order.acceptedAt = new Date();
-    await order.save();
-
-    // Notify other riders that order is no longer available
-    activeRidersPool.forEach((otherRider) => {
-      io.to(`rider_${otherRider.riderId}`).emit('order_taken', {
-        orderId: order._id,
-      });
-    });
-
-    // Emit to order room for customer tracking
-    io.to(`order_${order._id}`).emit('order_accepted', {
-      orderId: order._id,
-      status: 'rider_assigned',
-      message: `Rider ${rider.name} accepted your order!`,
-      riderName: rider.name,
-      riderPhone: rider.phone,
-    });
-
-    // Notify restaurant to refresh dashboard
-    io.to(`restaurant_${order.restaurant}`).emit('order_status_changed', {
-      orderId: order._id,
-      status: 'rider_assigned',
-      riderName: rider.name,
-      riderPhone: rider.phone,
-    });
+    const order = await acceptOrderAsRider(req.params.id, req.user);
 
     res.status(200).json({
       success: true,
@@ -480,28 +440,16 @@ router.post('/:id/accept', async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error accepting order:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error accepting order',
-      error: error.message,
-    });
+    sendError(res, error, 'Error accepting order');
   }
 });
 
 // POST /api/orders/:id/verify-pickup-pin - Verify pickup PIN before marking as picked up
-router.post('/:id/verify-pickup-pin', async (req, res) => {
+router.post('/:id/verify-pickup-pin', protect, orderAccess('rider'), async (req, res) => {
   try {
     const { pin } = req.body;
     const orderId = req.params.id;
-
-    const order = await Order.findById(orderId);
-
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found',
-      });
-    }
+    const order = req.order;
 
     // Verify PIN
     if (order.pickupPin !== pin) {
@@ -512,8 +460,7 @@ router.post('/:id/verify-pickup-pin', async (req, res) => {
     }
 
     // Update status to picked_up
-    order.status = 'picked_up';
-    order.pickedUpAt = new Date();
+    transitionOrder(order, 'picked_up', { actor: 'rider', actorId: req.user._id });
     await order.save();
 
     // Populate for socket emission
@@ -545,28 +492,16 @@ router.post('/:id/verify-pickup-pin', async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error verifying pickup PIN:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error verifying pickup PIN',
-      error: error.message,
-    });
+    sendError(res, error, 'Error verifying pickup PIN');
   }
 });
 
 // POST /api/orders/:id/verify-delivery-pin - Verify delivery PIN before marking as delivered
-router.post('/:id/verify-delivery-pin', async (req, res) => {
+router.post('/:id/verify-delivery-pin', protect, orderAccess('rider'), async (req, res) => {
   try {
     const { pin } = req.body;
     const orderId = req.params.id;
-
-    const order = await Order.findById(orderId);
-
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found',
-      });
-    }
+    const order = req.order;
 
     // Verify PIN
     if (order.deliveryPin !== pin) {
@@ -577,33 +512,14 @@ router.post('/:id/verify-delivery-pin', async (req, res) => {
     }
 
     // Update status to delivered
-    order.status = 'delivered';
-    order.deliveredAt = new Date();
-
-    // Update rider statistics
-    if (order.rider) {
-      const rider = await User.findById(order.rider);
-      if (rider && rider.role === 'rider') {
-        // Check if it's a new day, reset today's earnings
-        const lastReset = new Date(rider.riderDetails.lastEarningsReset);
-        const today = new Date();
-        if (lastReset.toDateString() !== today.toDateString()) {
-          rider.riderDetails.todayEarnings = 0;
-          rider.riderDetails.lastEarningsReset = today;
-        }
-        
-        // Update stats
-        rider.riderDetails.totalDeliveries = (rider.riderDetails.totalDeliveries || 0) + 1;
-        rider.riderDetails.totalEarnings = (rider.riderDetails.totalEarnings || 0) + (order.riderEarnings || 0);
-        rider.riderDetails.todayEarnings = (rider.riderDetails.todayEarnings || 0) + (order.riderEarnings || 0);
-        
-        await rider.save();
-        console.log(`💰 Rider ${rider.name} earned ₹${order.riderEarnings}. Today: ₹${rider.riderDetails.todayEarnings}, Total: ₹${rider.riderDetails.totalEarnings}`);
-      }
-    }
+    transitionOrder(order, 'delivered', { actor: 'rider', actorId: req.user._id });
 
     await order.save();
 
+    // Update rider statistics
+    await creditRiderForDelivery(order);
+    releaseRiderOrder(order);
+
     // Populate for socket emission
     await order.populate([
       { path: 'customer', select: 'name email phone' },
@@ -642,18 +558,58 @@ router.post('/:id/verify-delivery-pin', async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error verifying delivery PIN:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error verifying delivery PIN',
-      error: error.message,
+    sendError(res, error, 'Error verifying delivery PIN');
+  }
+});
+
+// POST /api/orders/:id/cancel - Customer cancels their own order
+router.post('/:id/cancel', protect, orderAccess('customer'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const order = req.order;
+
+    // Apply the cancellation policy for the order's current status
+    const cancellation = evaluateCancellation(order);
+
+    if (!cancellation.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: cancellation.message,
+      });
+    }
+
+    transitionOrder(order, 'cancelled', {
+      actor: 'customer',
+      actorId: order.customer,
+      reason: reason || 'Cancelled by customer',
+    });
+    order.cancellationFee = cancellation.fee;
+    order.refundAmount = cancellation.refundAmount;
+    await order.save();
+
+    // Refund (the cancellation stands even if this fails), release stock and coupon, notify everyone
+    await finishCancellation(order, { refundAmount: cancellation.refundAmount });
+
+    res.status(200).json({
+      success: true,
+      message: cancellation.message,
+      cancellationFee: order.cancellationFee,
+      refundAmount: order.refundAmount,
+      refundStatus: order.refundStatus,
+      order,
     });
+  } catch (error) {
+    console.error('❌ Error cancelling order:', error);
+    sendError(res, error, 'Error cancelling order');
   }
 });
 
 // PATCH /api/orders/:id/status - Update order status
-router.patch('/:id/status', async (req, res) => {
+// The restaurant, the assigned rider or an admin; each may only make the moves
+// the order state machine allows for their role
+router.patch('/:id/status', protect, orderAccess('restaurant', 'rider', 'admin'), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, reason } = req.body;
     const orderId = req.params.id;
 
     const validStatuses = [
@@ -672,12 +628,71 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
 
-    const order = await Order.findById(orderId).populate([
+    const order = await req.order.populate([
       { path: 'customer', select: 'name email phone' },
       { path: 'restaurant', select: 'restaurantDetails' },
       { path: 'rider', select: 'name phone' },
     ]);
 
+    transitionOrder(order, status, {
+      actor: req.orderRelation,
+      actorId: req.user._id,
+      reason,
+    });
+
+    await order.save();
+
+    if (status === 'delivered') {
+      await creditRiderForDelivery(order);
+      releaseRiderOrder(order);
+    }
+
+    if (status === 'cancelled') {
+      // Cancelled by the restaurant, rider or an admin: the customer gets everything back
+      await finishCancellation(order);
+    } else {
+      // Emit status update to order room
+      io.to(`order_${orderId}`).emit('order_status_changed', {
+        orderId: order._id,
+        status,
+        timestamp: new Date(),
+        message: getStatusMessage(status),
+      });
+
+      // Also emit to restaurant room to update dashboard
+      io.to(`restaurant_${order.restaurant._id}`).emit('order_status_changed', {
+        orderId: order._id,
+        status,
+        timestamp: new Date(),
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Order status updated',
+      order,
+    });
+  } catch (error) {
+    console.error('❌ Error updating order status:', error);
+    sendError(res, error, 'Error updating order status');
+  }
+});
+
+// POST /api/orders/:id/refund - Refund all or part of what was paid for an order (admin)
+// Body: { amount?: rupees (defaults to everything not yet refunded), toWallet?, note?, idempotencyKey? }
+router.post('/:id/refund', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { amount, toWallet, note, idempotencyKey } = req.body;
+
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund amount must be greater than zero',
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -685,81 +700,43 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
 
-    // Update status and timestamp
-    order.status = status;
-
-    switch (status) {
-      case 'preparing':
-        order.preparingAt = new Date();
-        break;
-      case 'ready':
-        order.readyAt = new Date();
-        break;
-      case 'picked_up':
-        order.pickedUpAt = new Date();
-        break;
-      case 'on_the_way':
-        order.onTheWayAt = new Date();
-        break;
-      case 'delivered':
-        order.deliveredAt = new Date();
-        
-        // Update rider statistics
-        if (order.rider) {
-          const rider = await User.findById(order.rider);
-          if (rider && rider.role === 'rider') {
-            // Check if it's a new day, reset today's earnings
-            const lastReset = new Date(rider.riderDetails.lastEarningsReset);
-            const today = new Date();
-            if (lastReset.toDateString() !== today.toDateString()) {
-              rider.riderDetails.todayEarnings = 0;
-              rider.riderDetails.lastEarningsReset = today;
-            }
-            
-            // Update stats
-            rider.riderDetails.totalDeliveries = (rider.riderDetails.totalDeliveries || 0) + 1;
-            rider.riderDetails.totalEarnings = (rider.riderDetails.totalEarnings || 0) + (order.riderEarnings || 0);
-            rider.riderDetails.todayEarnings = (rider.riderDetails.todayEarnings || 0) + (order.riderEarnings || 0);
-            
-            await rider.save();
-            console.log(`\ud83d\udcb0 Rider ${rider.name} earned \u20b9${order.riderEarnings}. Today: \u20b9${rider.riderDetails.todayEarnings}, Total: \u20b9${rider.riderDetails.totalEarnings}`);
-          }
-        }
-        break;
-      case 'cancelled':
-        order.cancelledAt = new Date();
-        break;
-    }
-
-    await order.save();
-
-    // Emit status update to order room
-    io.to(`order_${orderId}`).emit('order_status_changed', {
-      orderId: order._id,
-      status,
-      timestamp: new Date(),
-      message: getStatusMessage(status),
+    const refunds = await refundOrder(order, {
+      amount: amount !== undefined ? Number(amount) : undefined,
+      reason: 'manual',
+      actor: 'admin',
+      toWallet: Boolean(toWallet),
+      note,
+      idempotencyKey: idempotencyKey || `${order._id}:manual:${Date.now()}`,
     });
+    const failed = refunds.find((refund) => refund.status === 'failed');
 
-    // Also emit to restaurant room to update dashboard
-    io.to(`restaurant_${order.restaurant._id}`).emit('order_status_changed', {
-      orderId: order._id,
-      status,
-      timestamp: new Date(),
+    res.status(failed ? 502 : 200).json({
+      success: !failed,
+      message: failed ? `Refund failed: ${failed.failureReason}` : 'Refund initiated',
+      refunds,
+      paymentStatus: order.paymentStatus,
     });
+  } catch (error) {
+    console.error('❌ Error refunding order:', error);
+    sendError(res, error, 'Error refunding order');
+  }
+});
+
+// GET /api/orders/:id/offers - Rider offers made for an order and their outcome
+router.get('/:id/offers', protect, authorize('admin'), async (req, res) => {
+  try {
+    const offers = await DispatchOffer.find({ order: req.params.id })
+      .populate('rider', 'name phone')
+      .sort({ createdAt: 1 });
 
     res.status(200).json({
       success: true,
-      message: 'Order status updated',
-      order,
+      count: offers.length,
+      offers,
     });
   } catch (error) {
-    console.error('❌ Error updating order status:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error updating order status',
-      error: error.message,
-    });
+    console.error('❌ Error fetching dispatch offers:', error);
+    sendError(res, error, 'Error fetching dispatch offers');
   }
 });
 
@@ -776,12 +753,50 @@ const getStatusMessage = (status) => {
   return messages[status] || 'Order status updated';
 };
 
+// GET /api/orders/search?q=BB-20261019-0042 - Find orders by order number (support)
+router.get('/search', protect, authorize('admin'), async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim().toUpperCase();
+
+    if (q.length < 3) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must be at least 3 characters',
+      });
+    }
+
+    // Prefix match so support can type the start of a number read over the phone
+    const escaped = q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const orders = await Order.find({ orderNumber: { $regex: `^${escaped}` } })
+      .populate([
+        { path: 'customer', select: 'name email phone' },
+        { path: 'restaurant', select: 'restaurantDetails.kitchenName name' },
+        { path: 'rider', select: 'name phone' },
+      ])
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      orders,
+    });
+  } catch (error) {
+    console.error('❌ Error searching orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching orders',
+      error: error.message,
+    });
+  }
+});
+
 // GET /api/orders/customer/:customerId - Get customer orders
-router.get('/customer/:customerId', async (req, res) => {
+router.get('/customer/:customerId', protect, selfOrAdmin('customerId'), async (req, res) => {
   try {
     const { customerId } = req.params;
 
-    // Exclude pending_payment orders (failed payments that were never confirmed)
+    // Exclude orders still waiting for payment; failed or expired ones show up as cancelled
     const orders = await Order.find({ 
       customer: customerId,
       status: { $ne: 'pending_payment' } // Exclude pending_payment status
@@ -808,7 +823,7 @@ router.get('/customer/:customerId', async (req, res) => {
 });
 
 // GET /api/orders/available - Get all available orders from database (awaiting_rider status)
-router.get('/available', async (req, res) => {
+router.get('/available', protect, authorize('rider'), async (req, res) => {
   try {
     let { latitude, longitude } = req.query;
     const MAX_DISTANCE_KM = 1000;
@@ -816,10 +831,10 @@ router.get('/available', async (req, res) => {
     console.log(`📦 Fetching available orders from database`);
     console.log(`📍 Rider location from query: ${latitude}, ${longitude}`);
     
-    // If location not provided in query, try to get from authenticated user
-    if ((!latitude || !longitude) && req.user) {
+    // If location not provided in query, use the rider's last known position
+    if (!latitude || !longitude) {
       // Try to find rider in activeRidersPool
-      const riderData = activeRidersPool.get(req.user.toString());
+      const riderData = activeRidersPool.get(req.user._id.toString());
       if (riderData && riderData.coordinates) {
         latitude = riderData.coordinates.latitude;
         longitude = riderData.coordinates.longitude;
@@ -912,7 +927,7 @@ router.get('/available', async (req, res) => {
 });
 
 // GET /api/orders/rider/:riderId - Get rider orders
-router.get('/rider/:riderId', async (req, res) => {
+router.get('/rider/:riderId', protect, selfOrAdmin('riderId'), async (req, res) => {
   try {
     const { riderId } = req.params;
 
@@ -938,26 +953,24 @@ router.get('/rider/:riderId', async (req, res) => {
   }
 });
 
-// GET /api/orders/:id - Get order details
-router.get('/:id', async (req, res) => {
+// GET /api/orders/:id - Get order details (its customer, restaurant, rider or an admin)
+router.get('/:id', protect, orderAccess('customer', 'restaurant', 'rider', 'admin'), async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id).populate([
+    const order = await req.order.populate([
       { path: 'customer', select: 'name email phone' },
       { path: 'restaurant', select: 'restaurantDetails' },
       { path: 'rider', select: 'name phone riderDetails' },
       { path: 'items.menuItem', select: 'name price' },
     ]);
 
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found',
-      });
-    }
+    const refunds = await Refund.find({ order: order._id })
+      .select(REFUND_PUBLIC_FIELDS)
+      .sort({ createdAt: 1 });
 
     res.status(200).json({
       success: true,
       order,
+      refunds,
     });
   } catch (error) {
     console.error('❌ Error fetching order:', error);
@@ -970,19 +983,11 @@ router.get('/:id', async (req, res) => {
 });
 
 // PATCH /api/orders/:id/rider-location - Update rider location
-router.patch('/:id/rider-location', async (req, res) => {
+router.patch('/:id/rider-location', protect, orderAccess('rider'), async (req, res) => {
   try {
     const { latitude, longitude } = req.body;
     const orderId = req.params.id;
-
-    const order = await Order.findById(orderId);
-
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found',
-      });
-    }
+    const order = req.order;
 
     order.riderLocation = {
       latitude,
@@ -1014,7 +1019,7 @@ router.patch('/:id/rider-location', async (req, res) => {
 });
 
 // GET /api/orders/restaurant/:restaurantId - Get restaurant orders
-router.get('/restaurant/:restaurantId', async (req, res) => {
+router.get('/restaurant/:restaurantId', protect, selfOrAdmin('restaurantId'), async (req, res) => {
   try {
     const { restaurantId } = req.params;
 
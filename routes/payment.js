@@ -1,55 +1,65 @@
 import express from 'express';
-import Razorpay from 'razorpay';
-import crypto from 'crypto';
+import mongoose from 'mongoose';
 import Payment from '../models/Payment.js';
-import { protect } from '../middleware/auth.js';
+import Order from '../models/Order.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { sendError } from '../utils/httpError.js';
+import { getPaymentGateway, getGatewayForPayment } from '../utils/paymentGateway.js';
+import { handlePaymentEvent } from '../utils/paymentWebhooks.js';
 
 const router = express.Router();
 
-// Lazy initialization - Razorpay instance will be created when first needed
-let razorpay = null;
-let razorpayInitialized = false;
-
-// Function to initialize Razorpay (called on first request)
-const initializeRazorpay = () => {
-  if (razorpayInitialized) return;
-  
-  const KEY_ID = process.env.RAZORPAY_KEY_ID?.trim();
-  const KEY_SECRET = process.env.RAZORPAY_KEY_SECRET?.trim();
-
-  if (KEY_ID && KEY_SECRET) {
-    razorpay = new Razorpay({
-      key_id: KEY_ID,
-      key_secret: KEY_SECRET,
-    });
-    console.log('✅ Razorpay payment gateway initialized');
-  } else {
-    console.warn('⚠️ Razorpay credentials not configured. Payment routes will return errors.');
-  }
-  
-  razorpayInitialized = true;
-};
+// Only the customer who started a payment (or an admin) can see or verify it
+const isOwnPayment = (payment, user) =>
+  user.role === 'admin' || payment.customer === user._id.toString();
 
-// POST /api/payment/create-order - Create Razorpay order
-// Can be called with or without auth (for approved site)
-router.post('/create-order', async (req, res) => {
+// POST /api/payment/create-order - Create a gateway (Razorpay or mock) order
+router.post('/create-order', protect, authorize('customer'), async (req, res) => {
   try {
-    console.log('🔵 /create-order endpoint hit - NO AUTH REQUIRED');
     console.log('🔵 Request origin:', req.headers.origin);
-    console.log('🔵 Has auth token?', !!req.cookies.token || !!req.headers.authorization);
-    
-    // Initialize Razorpay on first use
-    initializeRazorpay();
+
+    const gateway = getPaymentGateway();
     
-    if (!razorpay) {
+    if (!gateway.isConfigured()) {
       return res.status(503).json({
         success: false,
         message: 'Payment gateway not configured. Please use Cash on Delivery.',
       });
     }
     
-    const { amount, referenceId } = req.body; // amount in rupees, referenceId is order ID
-    const customerId = req.user?.id || 'guest';
+    const { referenceId } = req.body; // referenceId is the pending order's ID
+    const customerId = req.user.id;
+    let { amount } = req.body; // in rupees
+
+    // Payments for a pending order can only be made by its customer, and the
+    // order decides the amount: its total less the wallet share
+    if (referenceId) {
+      const order = mongoose.isValidObjectId(referenceId) ? await Order.findById(referenceId) : null;
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found',
+        });
+      }
+
+      if (order.customer.toString() !== customerId) {
+        return res.status(403).json({
+          success: false,
+          message: 'This order belongs to another customer',
+        });
+      }
+
+      if (order.status !== 'pending_payment') {
+        return res.status(409).json({
+          success: false,
+          message: 'Order is no longer waiting for payment',
+          currentStatus: order.status,
+        });
+      }
+
+      amount = Math.round((order.totalAmount - (order.walletAmount || 0)) * 100) / 100;
+    }
 
     console.log('💳 Creating payment order for amount:', amount, 'ref:', referenceId);
 
@@ -60,13 +70,13 @@ router.post('/create-order', async (req, res) => {
       });
     }
 
-    // Convert amount to paise (Razorpay requires amount in paise)
+    // Convert amount to paise (the gateway requires amount in paise)
     const amountInPaise = Math.round(amount * 100);
 
     // Generate unique receipt ID using referenceId (order ID)
     const receiptId = referenceId ? `edu_proj_${referenceId}` : `edu_proj_${Date.now()}_${customerId.slice(-6)}`;
 
-    // STRICT COMPLIANCE: Create Razorpay order with service-based structure
+    // STRICT COMPLIANCE: Create gateway order with service-based structure
     const options = {
       amount: amountInPaise,
       currency: 'INR',
@@ -78,20 +88,21 @@ router.post('/create-order', async (req, res) => {
       },
     };
 
-    console.log('📝 Creating Razorpay order with options:', options);
+    console.log(`📝 Creating ${gateway.name} order with options:`, options);
 
-    const razorpayOrder = await razorpay.orders.create(options);
+    const gatewayOrder = await gateway.createOrder(options);
 
-    console.log('✅ Razorpay order created:', razorpayOrder.id);
+    console.log(`✅ ${gateway.name} order created:`, gatewayOrder.id);
 
     // Store payment record in database with CREATED status
     const payment = new Payment({
-      razorpay_order_id: razorpayOrder.id,
+      provider: gateway.name,
+      razorpay_order_id: gatewayOrder.id,
       amount: amountInPaise,
       currency: 'INR',
       status: 'CREATED',
       customer: customerId,
-      referenceId: referenceId, // Link to order ID
+      referenceId: referenceId || null, // Link to order ID
       notes: {
         category: 'service',
         purpose: 'educational project demo',
@@ -106,36 +117,22 @@ router.post('/create-order', async (req, res) => {
     res.status(200).json({
       success: true,
       order: {
-        id: razorpayOrder.id,
+        id: gatewayOrder.id,
         amount: amountInPaise,
-        currency: razorpayOrder.currency,
+        currency: gatewayOrder.currency,
       },
-      key: process.env.RAZORPAY_KEY_ID, // Send key_id to frontend
+      provider: gateway.name,
+      key: gateway.publicKey, // Send key_id to frontend
     });
   } catch (error) {
     console.error('❌ Error creating payment order:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create payment order',
-      error: error.message,
-    });
+    sendError(res, error, 'Failed to create payment order');
   }
 });
 
 // POST /api/payment/verify - Verify payment signature
-// Can be called without auth (from approved site)
-router.post('/verify', async (req, res) => {
+router.post('/verify', protect, async (req, res) => {
   try {
-    // Initialize Razorpay on first use
-    initializeRazorpay();
-    
-    if (!razorpay) {
-      return res.status(503).json({
-        success: false,
-        message: 'Payment gateway not configured.',
-      });
-    }
-    
     const {
       razorpay_order_id,
       razorpay_payment_id,
@@ -164,19 +161,32 @@ router.post('/verify', async (req, res) => {
       });
     }
 
-    // Verify signature
-    const generatedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-      .digest('hex');
+    if (!isOwnPayment(payment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This payment belongs to another customer',
+      });
+    }
+
+    // Verify signature with the gateway that created the order
+    const gateway = getGatewayForPayment(payment);
+
+    if (!gateway.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Payment gateway not configured.',
+      });
+    }
 
-    console.log('🔍 Signature verification:', {
-      generated: generatedSignature,
-      received: razorpay_signature,
-      match: generatedSignature === razorpay_signature,
+    const signatureValid = gateway.verifySignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature,
     });
 
-    if (generatedSignature === razorpay_signature) {
+    console.log('🔍 Signature verification:', { provider: gateway.name, match: signatureValid });
+
+    if (signatureValid) {
       // Update payment record with SUCCESS status
       payment.razorpay_payment_id = razorpay_payment_id;
       payment.razorpay_signature = razorpay_signature;
@@ -191,9 +201,11 @@ router.post('/verify', async (req, res) => {
         paymentId: razorpay_payment_id,
       });
     } else {
-      // Mark payment as FAILED
-      payment.status = 'FAILED';
-      await payment.save();
+      // Mark payment as FAILED (unless the webhook has already seen it captured)
+      if (payment.status !== 'SUCCESS') {
+        payment.status = 'FAILED';
+        await payment.save();
+      }
 
       console.log('❌ Payment verification failed - signature mismatch');
 
@@ -226,9 +238,17 @@ router.get('/status/:orderId', protect, async (req, res) => {
       });
     }
 
+    if (!isOwnPayment(payment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This payment belongs to another customer',
+      });
+    }
+
     res.status(200).json({
       success: true,
       payment: {
+        provider: payment.provider,
         orderId: payment.razorpay_order_id,
         paymentId: payment.razorpay_payment_id,
         amount: payment.amount / 100, // Convert back to rupees
@@ -246,4 +266,59 @@ router.get('/status/:orderId', protect, async (req, res) => {
   }
 });
 
+// POST /api/payment/webhook - Payment gateway webhook events
+// Receives the raw body (see server.js) so the signature can be checked
+router.post('/webhook', async (req, res) => {
+  try {
+    const event = getPaymentGateway().parseWebhook(req.body, req.headers['x-razorpay-signature']);
+    await handlePaymentEvent(event);
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    // A non-2xx response makes the gateway retry the event later
+    console.error('❌ Error processing payment webhook:', error.message);
+    sendError(res, error, 'Error processing webhook');
+  }
+});
+
+// POST /api/payment/mock/checkout - Simulate the customer paying (mock provider only)
+// Body: { orderId: gateway order id, outcome?: 'success' | 'failure' }
+// Returns the fields the checkout widget would pass to /verify.
+router.post('/mock/checkout', async (req, res) => {
+  try {
+    const gateway = getPaymentGateway();
+
+    if (gateway.name !== 'mock') {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found',
+      });
+    }
+
+    const { orderId, outcome } = req.body;
+    const payment = await Payment.findOne({ razorpay_order_id: orderId, provider: 'mock' });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment record not found',
+      });
+    }
+
+    if (outcome && !['success', 'failure'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: "outcome must be 'success' or 'failure'",
+      });
+    }
+
+    const result = gateway.simulateCheckout(orderId, { amount: payment.amount, outcome });
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('❌ Error in mock checkout:', error);
+    sendError(res, error, 'Mock checkout failed');
+  }
+});
+
 export default router;
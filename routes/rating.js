@@ -1,23 +1,16 @@
 import express from 'express';
-import Order from '../models/Order.js';
 import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { orderAccess } from '../middleware/policies.js';
 
 const router = express.Router();
 
-// POST /api/rating/order/:orderId - Rate restaurant and rider after delivery
-router.post('/order/:orderId', async (req, res) => {
+// POST /api/rating/order/:orderId - Rate restaurant and rider after delivery (the order's customer)
+router.post('/order/:orderId', protect, orderAccess('customer'), async (req, res) => {
   try {
-    const { orderId } = req.params;
     const { restaurantRating, restaurantReview, riderRating, riderReview } = req.body;
 
-    const order = await Order.findById(orderId).populate('restaurant rider');
-    
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found'
-      });
-    }
+    const order = await req.order.populate('restaurant rider');
 
     if (order.status !== 'delivered') {
       return res.status(400).json({
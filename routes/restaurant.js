@@ -2,10 +2,41 @@ import express from 'express';
 import MenuItem from '../models/MenuItem.js';
 import User from '../models/User.js';
 import Order from '../models/Order.js';
+import Promotion from '../models/Promotion.js';
 import { protect } from '../middleware/auth.js';
+import { sendError } from '../utils/httpError.js';
+import {
+  getOpenStatus,
+  isValidDate,
+  isValidTimeZone,
+  validateWeeklyHours,
+} from '../utils/operatingHours.js';
+import {
+  PROMOTION_FIELDS,
+  describePromotion,
+  getActivePromotions,
+  getItemOffers,
+  getRestaurantTimeZone,
+  isPromotionActive,
+  validatePromotionInput,
+} from '../utils/promotions.js';
+import { setItemStock } from '../utils/inventory.js';
+import { csvToRows, menuToCsv, menuToJson, previewMenuImport, applyMenuImport } from '../utils/menuImport.js';
+import { releaseMediaUrl } from '../utils/media.js';
+import { findRestaurantsWithMenus } from '../utils/discovery.js';
+import { toGeoPoint } from '../utils/geo.js';
+import { markSearchIndexStale } from '../utils/search.js';
 
 const router = express.Router();
 
+// Menu items with the offers running on them right now: `offerPrice` is the price
+// after the best percentage/flat promotion (shown next to the struck-through `price`)
+const withOffers = (menuItems, promotions) =>
+  menuItems.map((menuItem) => ({
+    ...menuItem.toObject(),
+    ...getItemOffers(menuItem, promotions),
+  }));
+
 // @desc    Get all menu items for a restaurant
 // @route   GET /api/restaurant/menu
 // @access  Private (Restaurant owner)
@@ -22,11 +53,12 @@ router.get('/menu', protect, async (req, res) => {
     const menuItems = await MenuItem.find({ restaurantId: req.user._id }).sort({
       createdAt: -1,
     });
+    const promotions = await getActivePromotions(req.user);
 
     res.status(200).json({
       success: true,
       count: menuItems.length,
-      data: menuItems,
+      data: withOffers(menuItems, promotions),
     });
   } catch (error) {
     console.error('Error fetching menu items:', error);
@@ -38,6 +70,99 @@ router.get('/menu', protect, async (req, res) => {
   }
 });
 
+// @desc    Export the restaurant's menu for editing offline
+// @route   GET /api/restaurant/menu/export?format=csv|json
+// @access  Private (Restaurant owner)
+router.get('/menu/export', protect, async (req, res) => {
+  try {
+    // Verify user is a restaurant owner
+    if (req.user.role !== 'restaurant') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only restaurant owners can export menus.',
+      });
+    }
+
+    const menuItems = await MenuItem.find({ restaurantId: req.user._id }).sort({ category: 1, name: 1 });
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="menu.csv"');
+      return res.status(200).send(menuToCsv(menuItems));
+    }
+
+    res.status(200).json({
+      success: true,
+      count: menuItems.length,
+      items: menuToJson(menuItems),
+    });
+  } catch (error) {
+    console.error('Error exporting menu:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export menu',
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Create and update many menu items at once
+// @route   POST /api/restaurant/menu/import?dryRun=true
+// @access  Private (Restaurant owner)
+// Body: raw CSV (Content-Type: text/csv) with the export's header row, or JSON
+// { items: [...] } in the export's format. Rows are matched to existing items by
+// sku, then by name. With dryRun the per-row report is returned and nothing is
+// saved; otherwise every row is saved, or none if any row has errors.
+router.post('/menu/import', protect, async (req, res) => {
+  try {
+    // Verify user is a restaurant owner
+    if (req.user.role !== 'restaurant') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only restaurant owners can import menus.',
+      });
+    }
+
+    const rows = typeof req.body === 'string' ? csvToRows(req.body) : req.body?.items;
+    const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+    const preview = await previewMenuImport(req.user, rows);
+    const valid = preview.summary.errors === 0;
+
+    if (dryRun || !valid) {
+      return res.status(valid ? 200 : 400).json({
+        success: valid,
+        message: valid ? 'Import is valid' : 'Some rows have errors. Nothing was saved.',
+        dryRun,
+        summary: preview.summary,
+        rows: preview.rows,
+      });
+    }
+
+    await applyMenuImport(preview);
+    markSearchIndexStale();
+
+    for (const { menuItem, previous } of preview.items) {
+      if (previous && previous.image !== menuItem.image) {
+        await releaseMediaUrl(previous.image);
+      }
+    }
+
+    console.log(`📥 Menu import for ${req.user.name}: ${preview.summary.create} created, ${preview.summary.update} updated`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Menu imported successfully',
+      dryRun,
+      summary: preview.summary,
+      rows: preview.rows,
+    });
+  } catch (error) {
+    console.error('Error importing menu:', error);
+    sendError(res, error, 'Failed to import menu');
+  }
+});
+
 // @desc    Create a new menu item
 // @route   POST /api/restaurant/menu
 // @access  Private (Restaurant owner)
@@ -51,7 +176,7 @@ router.post('/menu', protect, async (req, res) => {
       });
     }
 
-    const { name, description, price, category, cuisine, subCategory, image, isVeg, isAvailable } = req.body;
+    const { sku, name, description, price, category, cuisine, subCategory, image, isVeg, isAvailable, variantGroups, addOnGroups } = req.body;
 
     // Validate required fields
     if (!name || !description || !price || !category || !cuisine || !image) {
@@ -70,6 +195,7 @@ router.post('/menu', protect, async (req, res) => {
 
     const menuItem = await MenuItem.create({
       restaurantId: req.user._id,
+      sku,
       name,
       description,
       price: Number(price),
@@ -79,8 +205,11 @@ router.post('/menu', protect, async (req, res) => {
       image,
       isVeg: isVeg !== undefined ? isVeg : true,
       isAvailable: isAvailable !== undefined ? isAvailable : true,
+      variantGroups: variantGroups || [],
+      addOnGroups: addOnGroups || [],
       restaurantLocation,
     });
+    markSearchIndexStale();
 
     res.status(201).json({
       success: true,
@@ -89,6 +218,15 @@ router.post('/menu', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating menu item:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages[0],
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to create menu item',
@@ -127,9 +265,11 @@ router.put('/menu/:id', protect, async (req, res) => {
       });
     }
 
-    const { name, description, price, category, cuisine, subCategory, image, isVeg, isAvailable } = req.body;
+    const { sku, name, description, price, category, cuisine, subCategory, image, isVeg, isAvailable, variantGroups, addOnGroups } = req.body;
+    const previousImage = menuItem.image;
 
     // Update fields
+    if (sku !== undefined) menuItem.sku = sku || undefined;
     if (name !== undefined) menuItem.name = name;
     if (description !== undefined) menuItem.description = description;
     if (price !== undefined) menuItem.price = Number(price);
@@ -139,8 +279,16 @@ router.put('/menu/:id', protect, async (req, res) => {
     if (image !== undefined) menuItem.image = image;
     if (isVeg !== undefined) menuItem.isVeg = isVeg;
     if (isAvailable !== undefined) menuItem.isAvailable = isAvailable;
+    if (variantGroups !== undefined) menuItem.variantGroups = variantGroups;
+    if (addOnGroups !== undefined) menuItem.addOnGroups = addOnGroups;
 
     await menuItem.save();
+    markSearchIndexStale();
+
+    // Delete the old uploaded image if nothing else shows it
+    if (menuItem.image !== previousImage) {
+      await releaseMediaUrl(previousImage);
+    }
 
     res.status(200).json({
       success: true,
@@ -149,6 +297,15 @@ router.put('/menu/:id', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating menu item:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages[0],
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to update menu item',
@@ -157,6 +314,74 @@ router.put('/menu/:id', protect, async (req, res) => {
   }
 });
 
+// @desc    Set a menu item's daily stock
+// @route   PUT /api/restaurant/menu/:id/stock
+// @access  Private (Restaurant owner)
+// Body: { dailyQuantity, remaining }. dailyQuantity null stops counting stock;
+// remaining (default dailyQuantity) sets what is left today.
+router.put('/menu/:id/stock', protect, async (req, res) => {
+  try {
+    // Verify user is a restaurant owner
+    if (req.user.role !== 'restaurant') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only restaurant owners can update menu items.',
+      });
+    }
+
+    const menuItem = await MenuItem.findById(req.params.id);
+
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found',
+      });
+    }
+
+    // Verify the menu item belongs to this restaurant
+    if (menuItem.restaurantId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only update your own menu items.',
+      });
+    }
+
+    const { dailyQuantity, remaining } = req.body;
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+    if (dailyQuantity !== null && !isCount(dailyQuantity)) {
+      return res.status(400).json({
+        success: false,
+        message: 'dailyQuantity must be a whole number of at least 0, or null to stop counting stock',
+      });
+    }
+
+    if (remaining !== undefined && (dailyQuantity === null || !isCount(remaining) || remaining > dailyQuantity)) {
+      return res.status(400).json({
+        success: false,
+        message: 'remaining must be a whole number no greater than dailyQuantity',
+      });
+    }
+
+    await setItemStock(menuItem, { dailyQuantity, remaining }, req.user);
+
+    console.log(`📦 Stock for ${menuItem.name} set to ${dailyQuantity === null ? 'unlimited' : `${menuItem.stock.remaining}/${dailyQuantity}`}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock updated successfully',
+      data: menuItem,
+    });
+  } catch (error) {
+    console.error('Error updating stock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update stock',
+      error: error.message,
+    });
+  }
+});
+
 // @desc    Delete a menu item
 // @route   DELETE /api/restaurant/menu/:id
 // @access  Private (Restaurant owner)
@@ -188,6 +413,8 @@ router.delete('/menu/:id', protect, async (req, res) => {
     }
 
     await MenuItem.findByIdAndDelete(req.params.id);
+    markSearchIndexStale();
+    await releaseMediaUrl(menuItem.image);
 
     res.status(200).json({
       success: true,
@@ -271,100 +498,420 @@ router.put('/toggle-kitchen', protect, async (req, res) => {
   }
 });
 
-// @desc    Get all restaurants with their menu items (filtered by location)
-// @route   GET /api/restaurant/all?latitude=LAT&longitude=LON&maxDistance=25
-// @access  Public
-router.get('/all', async (req, res) => {
+// Shape of the opening-hours response shared by the hours endpoints
+const formatHours = (user) => ({
+  timezone: user.restaurantDetails?.timezone,
+  weeklyHours: user.restaurantDetails?.weeklyHours || [],
+  holidayClosures: user.restaurantDetails?.holidayClosures || [],
+  isKitchenOpen: user.restaurantDetails?.isKitchenOpen ?? true,
+  status: getOpenStatus(user),
+});
+
+// @desc    Get opening hours and holiday closures
+// @route   GET /api/restaurant/hours
+// @access  Private (Restaurant owner)
+router.get('/hours', protect, async (req, res) => {
   try {
-    const { latitude, longitude, maxDistance = 25 } = req.query;
+    if (req.user.role !== 'restaurant') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only restaurant owners can view opening hours.',
+      });
+    }
 
-    // Haversine formula to calculate distance between two coordinates
-    const calculateDistance = (lat1, lon1, lat2, lon2) => {
-      const R = 6371; // Earth's radius in km
-      const dLat = (lat2 - lat1) * Math.PI / 180;
-      const dLon = (lon2 - lon1) * Math.PI / 180;
-      const a = 
-        Math.sin(dLat/2) * Math.sin(dLat/2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLon/2) * Math.sin(dLon/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-      return R * c; // distance in km
-    };
+    res.status(200).json({
+      success: true,
+      data: formatHours(req.user),
+    });
+  } catch (error) {
+    console.error('Error fetching opening hours:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch opening hours',
+      error: error.message,
+    });
+  }
+});
 
-    const restaurants = await User.find({ role: 'restaurant' }).select(
-      'name avatar restaurantDetails'
-    );
+// @desc    Set the weekly schedule and timezone
+// @route   PUT /api/restaurant/hours
+// @access  Private (Restaurant owner)
+router.put('/hours', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'restaurant') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only restaurant owners can update opening hours.',
+      });
+    }
 
-    let restaurantsWithMenu = await Promise.all(
-      restaurants.map(async (restaurant) => {
-        const menuItems = await MenuItem.find({ 
-          restaurantId: restaurant._id,
-          isAvailable: true 
-        });
+    const { weeklyHours, timezone } = req.body;
 
-        return {
-          id: restaurant._id,
-          name: restaurant.restaurantDetails?.kitchenName || restaurant.name,
-          avatar: restaurant.avatar,
-          cuisine: restaurant.restaurantDetails?.cuisine || '',
-          description: restaurant.restaurantDetails?.description || '',
-          address: restaurant.restaurantDetails?.address || {},
-          isKitchenOpen: restaurant.restaurantDetails?.isKitchenOpen ?? true,
-          restaurantDetails: {
-            kitchenName: restaurant.restaurantDetails?.kitchenName || restaurant.name,
-            rating: restaurant.restaurantDetails?.rating || { average: 0, count: 0 }
-          },
-          menuItems: menuItems,
-          menuCount: menuItems.length,
-        };
-      })
-    );
-
-    // Filter out restaurants without menu items
-    restaurantsWithMenu = restaurantsWithMenu.filter(r => r.menuCount > 0);
-
-    // If location provided, filter by distance
-    if (latitude && longitude) {
-      const userLat = parseFloat(latitude);
-      const userLon = parseFloat(longitude);
-      const maxDist = parseFloat(maxDistance);
-      
-      console.log('🎯 Backend - Filtering restaurants by location:', {
-        userCoords: { latitude: userLat, longitude: userLon },
-        maxDistance: maxDist,
-        totalRestaurants: restaurantsWithMenu.length
-      });
-
-      const filteredResults = [];
-      restaurantsWithMenu.forEach(restaurant => {
-        const restLat = restaurant.address?.latitude;
-        const restLon = restaurant.address?.longitude;
-        
-        // Skip restaurants without coordinates
-        if (!restLat || !restLon) {
-          console.log(`❌ ${restaurant.name} - No coordinates:`, restaurant.address);
-          return;
-        }
-        
-        const distance = calculateDistance(userLat, userLon, restLat, restLon);
-        console.log(`📏 ${restaurant.name} - Distance: ${distance.toFixed(2)}km`, {
-          restaurantCoords: { latitude: restLat, longitude: restLon },
-          withinRange: distance <= maxDist
+    if (weeklyHours !== undefined) {
+      const hoursError = validateWeeklyHours(weeklyHours);
+      if (hoursError) {
+        return res.status(400).json({
+          success: false,
+          message: hoursError,
         });
-        
-        if (distance <= maxDist) {
-          filteredResults.push(restaurant);
-        }
+      }
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timezone. Use an IANA name such as Asia/Kolkata',
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.restaurantDetails) {
+      user.restaurantDetails = {};
+    }
+    if (weeklyHours !== undefined) user.restaurantDetails.weeklyHours = weeklyHours;
+    if (timezone !== undefined) user.restaurantDetails.timezone = timezone;
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Opening hours updated successfully',
+      data: formatHours(user),
+    });
+  } catch (error) {
+    console.error('Error updating opening hours:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update opening hours',
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Add a holiday closure
+// @route   POST /api/restaurant/holidays
+// @access  Private (Restaurant owner)
+router.post('/holidays', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'restaurant') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only restaurant owners can add holidays.',
+      });
+    }
+
+    const { startDate, endDate, reason } = req.body;
+
+    if (!isValidDate(startDate) || (endDate !== undefined && !isValidDate(endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dates must use YYYY-MM-DD format',
+      });
+    }
+
+    if (endDate && endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date cannot be before start date',
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.restaurantDetails) {
+      user.restaurantDetails = {};
+    }
+    user.restaurantDetails.holidayClosures.push({ startDate, endDate: endDate || startDate, reason });
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday closure added successfully',
+      data: formatHours(user),
+    });
+  } catch (error) {
+    console.error('Error adding holiday closure:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add holiday closure',
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Remove a holiday closure
+// @route   DELETE /api/restaurant/holidays/:id
+// @access  Private (Restaurant owner)
+router.delete('/holidays/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'restaurant') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only restaurant owners can remove holidays.',
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const holiday = user.restaurantDetails?.holidayClosures?.id(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday closure not found',
+      });
+    }
+
+    user.restaurantDetails.holidayClosures.pull(req.params.id);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday closure removed successfully',
+      data: formatHours(user),
+    });
+  } catch (error) {
+    console.error('Error removing holiday closure:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove holiday closure',
+      error: error.message,
+    });
+  }
+});
+
+// Promotion as shown on the dashboard, with whether it is running right now
+const formatPromotion = (promotion, restaurant) => ({
+  ...promotion.toObject(),
+  label: describePromotion(promotion),
+  isRunningNow: isPromotionActive(promotion, new Date(), getRestaurantTimeZone(restaurant)),
+});
+
+const pickPromotionFields = (body) =>
+  PROMOTION_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+// @desc    List the restaurant's promotions
+// @route   GET /api/restaurant/promotions
+// @access  Private (Restaurant owner)
+router.get('/promotions', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'restaurant') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only restaurant owners can view promotions.',
+      });
+    }
+
+    const promotions = await Promotion.find({ restaurant: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: promotions.length,
+      data: promotions.map((promotion) => formatPromotion(promotion, req.user)),
+    });
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotions',
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Create a promotion, e.g. 20% off desserts 15:00-18:00 or buy 1 get 1 on beverages
+// @route   POST /api/restaurant/promotions
+// @access  Private (Restaurant owner)
+router.post('/promotions', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'restaurant') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only restaurant owners can create promotions.',
+      });
+    }
+
+    const fields = pickPromotionFields(req.body);
+    const validationError = await validatePromotionInput(fields, req.user._id);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const promotion = await Promotion.create({ ...fields, restaurant: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: formatPromotion(promotion, req.user),
+    });
+  } catch (error) {
+    console.error('Error creating promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promotion',
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Update, pause or resume a promotion
+// @route   PUT /api/restaurant/promotions/:id
+// @access  Private (Restaurant owner)
+router.put('/promotions/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'restaurant') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only restaurant owners can update promotions.',
+      });
+    }
+
+    const promotion = await Promotion.findOne({ _id: req.params.id, restaurant: req.user._id }).catch(() => null);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+      });
+    }
+
+    const updates = pickPromotionFields(req.body);
+    const validationError = await validatePromotionInput({ ...promotion.toObject(), ...updates }, req.user._id);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    promotion.set(updates);
+    await promotion.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: formatPromotion(promotion, req.user),
+    });
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promotion',
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Delete a promotion
+// @route   DELETE /api/restaurant/promotions/:id
+// @access  Private (Restaurant owner)
+router.delete('/promotions/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'restaurant') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only restaurant owners can delete promotions.',
       });
-      
-      restaurantsWithMenu = filteredResults;
-      console.log(`✅ Found ${filteredResults.length} restaurants within ${maxDist}km`);
     }
 
+    const promotion = await Promotion.findOneAndDelete({ _id: req.params.id, restaurant: req.user._id }).catch(() => null);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promotion',
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Get restaurants with their menu items, nearest first when a location is given
+// @route   GET /api/restaurant/all?latitude=LAT&longitude=LON&maxDistance=25&page=1&limit=20
+// @access  Public
+router.get('/all', async (req, res) => {
+  try {
+    const { latitude, longitude, maxDistance = 25 } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const hasLocation = latitude !== undefined && longitude !== undefined;
+    const near = hasLocation ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) } : null;
+    const maxDistanceKm = parseFloat(maxDistance);
+
+    if (hasLocation && (!toGeoPoint(near) || !(maxDistanceKm > 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'latitude, longitude and maxDistance must be valid numbers',
+      });
+    }
+
+    const { restaurants, total } = await findRestaurantsWithMenus({ near, maxDistanceKm, page, limit });
+
+    const data = restaurants.map(({ restaurant, menuItems, promotions: allPromotions, distance }) => {
+      const openStatus = getOpenStatus(restaurant);
+      const timeZone = getRestaurantTimeZone(restaurant);
+      const promotions = allPromotions.filter((promotion) => isPromotionActive(promotion, new Date(), timeZone));
+
+      return {
+        id: restaurant._id,
+        name: restaurant.restaurantDetails?.kitchenName || restaurant.name,
+        avatar: restaurant.avatar,
+        cuisine: restaurant.restaurantDetails?.cuisine || '',
+        description: restaurant.restaurantDetails?.description || '',
+        address: restaurant.restaurantDetails?.address || {},
+        // Distance from the given location in km (null without one)
+        distance,
+        isKitchenOpen: restaurant.restaurantDetails?.isKitchenOpen ?? true,
+        // Combines the weekly schedule, holidays and the manual toggle
+        isOpenNow: openStatus.isOpen,
+        opensAt: openStatus.isOpen ? null : openStatus.opensAt,
+        closesAt: openStatus.isOpen ? openStatus.closesAt : null,
+        closedReason: openStatus.isOpen ? null : openStatus.reason,
+        restaurantDetails: {
+          kitchenName: restaurant.restaurantDetails?.kitchenName || restaurant.name,
+          rating: restaurant.restaurantDetails?.rating || { average: 0, count: 0 }
+        },
+        // Offers running now, with their effect on each menu item
+        promotions: promotions.map((promotion) => ({
+          id: promotion._id,
+          name: promotion.name,
+          description: promotion.description,
+          type: promotion.type,
+          label: describePromotion(promotion),
+        })),
+        menuItems: withOffers(menuItems, promotions),
+        menuCount: menuItems.length,
+      };
+    });
+
     res.status(200).json({
       success: true,
-      count: restaurantsWithMenu.length,
-      data: restaurantsWithMenu,
+      count: data.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data,
     });
   } catch (error) {
     console.error('Error fetching restaurants:', error);
@@ -1,7 +1,8 @@
 import express from 'express';
 import User from '../models/User.js';
 import Order from '../models/Order.js';
-import { protect } from '../middleware/auth.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { selfOrAdmin } from '../middleware/policies.js';
 
 const router = express.Router();
 
@@ -37,6 +38,14 @@ router.post('/register', protect, async (req, res) => {
       });
     }
 
+    // Customers and restaurants call riders, so the number has to be real
+    if (!user.isPhoneVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your phone number before registering as a rider',
+      });
+    }
+
     // Update user to rider role with details
     user.role = 'rider';
     user.riderDetails = {
@@ -120,8 +129,8 @@ router.get('/stats', protect, async (req, res) => {
   }
 });
 
-// GET /api/rider/stats/:riderId - Get specific rider statistics
-router.get('/stats/:riderId', async (req, res) => {
+// GET /api/rider/stats/:riderId - Get specific rider statistics (that rider or an admin)
+router.get('/stats/:riderId', protect, selfOrAdmin('riderId'), async (req, res) => {
   try {
     const { riderId } = req.params;
 
@@ -165,9 +174,10 @@ router.get('/stats/:riderId', async (req, res) => {
 
 
 // PATCH /api/rider/availability - Toggle rider availability
-router.patch('/availability', async (req, res) => {
+router.patch('/availability', protect, authorize('rider'), async (req, res) => {
   try {
-    const { riderId, isAvailable } = req.body;
+    const riderId = req.user._id;
+    const { isAvailable } = req.body;
 
     const rider = await User.findById(riderId);
     
@@ -203,9 +213,10 @@ router.patch('/availability', async (req, res) => {
 });
 
 // PATCH /api/rider/location - Update rider location
-router.patch('/location', async (req, res) => {
+router.patch('/location', protect, authorize('rider'), async (req, res) => {
   try {
-    const { riderId, latitude, longitude } = req.body;
+    const riderId = req.user._id;
+    const { latitude, longitude } = req.body;
 
     const rider = await User.findById(riderId);
     
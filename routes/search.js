@@ -0,0 +1,71 @@
+import express from 'express';
+import { sendError } from '../utils/httpError.js';
+import { searchMenus } from '../utils/search.js';
+
+const router = express.Router();
+
+// Optional numeric query parameter: undefined when absent, NaN when invalid
+const numberParam = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+// @desc    Search dishes and restaurants, grouped by restaurant
+// @route   GET /api/search?q=paneer tikka&veg=true&minPrice=&maxPrice=&minRating=
+//          &openNow=true&latitude=&longitude=&maxDistance=&page=1&limit=10
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+
+    if (query.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search text must be at least 2 characters',
+      });
+    }
+
+    const filters = {
+      vegOnly: req.query.veg === 'true',
+      openNow: req.query.openNow === 'true',
+      minPrice: numberParam(req.query.minPrice),
+      maxPrice: numberParam(req.query.maxPrice),
+      minRating: numberParam(req.query.minRating),
+      maxDistanceKm: numberParam(req.query.maxDistance),
+    };
+
+    const latitude = numberParam(req.query.latitude);
+    const longitude = numberParam(req.query.longitude);
+    if (latitude !== undefined || longitude !== undefined) {
+      filters.near = { latitude, longitude };
+      filters.maxDistanceKm ??= 25;
+    }
+
+    const invalid = ['minPrice', 'maxPrice', 'minRating', 'maxDistanceKm'].find((key) => Number.isNaN(filters[key])) ||
+      (filters.near && !(Number.isFinite(latitude) && Number.isFinite(longitude)) && 'latitude/longitude');
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalid}`,
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+
+    const { total, results } = await searchMenus(query, filters, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      query,
+      count: results.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      results,
+    });
+  } catch (error) {
+    console.error('❌ Error searching:', error);
+    sendError(res, error, 'Search failed');
+  }
+});
+
+export default router;
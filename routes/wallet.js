@@ -0,0 +1,151 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { sendError } from '../utils/httpError.js';
+import {
+  ADJUSTMENT_SOURCES,
+  getWalletBalance,
+  getWalletHistory,
+  postWalletTransaction,
+} from '../utils/wallet.js';
+
+const router = express.Router();
+
+// Page and page size from the query string (at most 100 per page)
+const parsePaging = (query) => ({
+  page: Math.max(1, parseInt(query.page, 10) || 1),
+  limit: Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20)),
+});
+
+// @desc    Get the logged-in user's wallet balance
+// @route   GET /api/wallet
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const balance = await getWalletBalance(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      balance,
+      currency: 'INR',
+    });
+  } catch (error) {
+    console.error('❌ Error fetching wallet balance:', error);
+    sendError(res, error, 'Failed to fetch wallet balance');
+  }
+});
+
+// @desc    Get the logged-in user's wallet transactions, newest first
+// @route   GET /api/wallet/transactions?page=1&limit=20
+// @access  Private
+router.get('/transactions', protect, async (req, res) => {
+  try {
+    const [balance, history] = await Promise.all([
+      getWalletBalance(req.user._id),
+      getWalletHistory(req.user._id, parsePaging(req.query)),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      balance,
+      ...history,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching wallet transactions:', error);
+    sendError(res, error, 'Failed to fetch wallet transactions');
+  }
+});
+
+// @desc    Get any user's wallet balance and transactions
+// @route   GET /api/wallet/users/:userId?page=1&limit=20
+// @access  Private (Admin)
+router.get('/users/:userId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID',
+      });
+    }
+
+    const [balance, history] = await Promise.all([
+      getWalletBalance(userId),
+      getWalletHistory(userId, parsePaging(req.query)),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      balance,
+      ...history,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching wallet for user:', error);
+    sendError(res, error, 'Failed to fetch wallet');
+  }
+});
+
+// @desc    Credit or debit a user's wallet (goodwill, referral bonus, correction)
+// @route   POST /api/wallet/adjustments
+// @access  Private (Admin)
+// Body: { userId, type: 'credit'|'debit', amount, source?: 'goodwill'|'referral'|'adjustment', note, idempotencyKey? }
+router.post('/adjustments', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { userId, type, amount, source = 'adjustment', note, idempotencyKey } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid userId is required',
+      });
+    }
+
+    if (!ADJUSTMENT_SOURCES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: `Source must be one of: ${ADJUSTMENT_SOURCES.join(', ')}`,
+      });
+    }
+
+    if (typeof note !== 'string' || !note.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining the adjustment is required',
+      });
+    }
+
+    const user = await User.findById(userId).select('name role');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const transaction = await postWalletTransaction({
+      user: user._id,
+      type,
+      amount,
+      source,
+      note: note.trim(),
+      createdBy: req.user._id,
+      idempotencyKey: idempotencyKey || `admin:${req.user._id}:${Date.now()}`,
+    });
+
+    console.log(`👛 Admin ${req.user.name} posted a wallet ${type} of ₹${transaction.amount} for ${user.name}`);
+
+    res.status(201).json({
+      success: true,
+      transaction,
+      balance: await getWalletBalance(user._id),
+    });
+  } catch (error) {
+    console.error('❌ Error posting wallet adjustment:', error);
+    sendError(res, error, 'Failed to post wallet adjustment');
+  }
+});
+
+export default router;
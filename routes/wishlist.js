@@ -3,9 +3,30 @@ import Wishlist from '../models/Wishlist.js';
 import User from '../models/User.js';
 import MenuItem from '../models/MenuItem.js';
 import { protect } from '../middleware/auth.js';
+import { resolveCustomizations, customizationKey } from '../utils/customizations.js';
+import { createHttpError, sendError } from '../utils/httpError.js';
 
 const router = express.Router();
 
+// Validate a wishlist item against the restaurant's current menu, pricing any
+// selected variants and add-ons
+const buildWishlistItem = async (restaurantId, { menuItem, quantity, customizations }) => {
+  const menuItemDoc = await MenuItem.findById(menuItem);
+  if (!menuItemDoc || menuItemDoc.restaurantId.toString() !== restaurantId.toString()) {
+    throw createHttpError(400, 'Item must be from the same restaurant');
+  }
+
+  const resolved = resolveCustomizations(menuItemDoc, customizations || []);
+
+  return {
+    menuItem: menuItemDoc._id,
+    name: menuItemDoc.name,
+    price: resolved.unitPrice,
+    quantity: quantity || 1,
+    customizations: resolved.customizations,
+  };
+};
+
 // @desc    Get all wishlists for a user
 // @route   GET /api/wishlist
 // @access  Private
@@ -70,7 +91,7 @@ router.post('/', protect, async (req, res) => {
       user: userId,
       name,
       restaurant: restaurant,
-      items
+      items: await Promise.all(items.map((item) => buildWishlistItem(restaurant, item)))
     });
 
     await wishlist.save();
@@ -87,11 +108,7 @@ router.post('/', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error creating wishlist:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create wishlist',
-      error: error.message
-    });
+    sendError(res, error, 'Failed to create wishlist');
   }
 });
 
@@ -145,7 +162,7 @@ router.patch('/:id/name', protect, async (req, res) => {
 router.post('/:id/items', protect, async (req, res) => {
   try {
     const { id } = req.params;
-    const { menuItem, name, price, quantity } = req.body;
+    const { menuItem, quantity, customizations } = req.body;
     const userId = req.user.id;
 
     const wishlist = await Wishlist.findOne({ _id: id, user: userId });
@@ -157,24 +174,19 @@ router.post('/:id/items', protect, async (req, res) => {
       });
     }
 
-    // Verify menu item belongs to same restaurant
-    const menuItemDoc = await MenuItem.findById(menuItem);
-    if (!menuItemDoc || menuItemDoc.restaurant.toString() !== wishlist.restaurant.toString()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Item must be from the same restaurant'
-      });
-    }
+    // Verify menu item belongs to same restaurant and the options are valid
+    const newItem = await buildWishlistItem(wishlist.restaurant, { menuItem, quantity, customizations });
 
-    // Check if item already exists
+    // Check if the same item with the same options already exists
     const existingItem = wishlist.items.find(item => 
-      item.menuItem.toString() === menuItem
+      item.menuItem.toString() === newItem.menuItem.toString() &&
+      customizationKey(item.customizations) === customizationKey(newItem.customizations)
     );
 
     if (existingItem) {
-      existingItem.quantity += quantity || 1;
+      existingItem.quantity += newItem.quantity;
     } else {
-      wishlist.items.push({ menuItem, name, price, quantity: quantity || 1 });
+      wishlist.items.push(newItem);
     }
 
     wishlist.updatedAt = Date.now();
@@ -188,11 +200,7 @@ router.post('/:id/items', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Error adding item to wishlist:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to add item',
-      error: error.message
-    });
+    sendError(res, error, 'Failed to add item');
   }
 });
 
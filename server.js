@@ -21,6 +21,31 @@ import riderRoutes from "./routes/rider.js";
 import ratingRoutes from "./routes/rating.js";
 import wishlistRoutes from "./routes/wishlist.js";
 import chatbotRoutes from "./routes/chatbot.js";
+import paymentRoutes from "./routes/payment.js";
+import walletRoutes from "./routes/wallet.js";
+import couponRoutes from "./routes/coupon.js";
+import mediaRoutes from "./routes/media.js";
+import searchRoutes from "./routes/search.js";
+// Import utils
+import { transitionOrder } from './utils/orderStateMachine.js';
+import { releaseDueScheduledOrders } from './utils/scheduledOrders.js';
+import { getSchedulingConfig } from './config/scheduling.js';
+import { startDispatch, declineOffer } from './utils/dispatch.js';
+import { acceptOrderAsRider } from './utils/riderAssignment.js';
+import { autoRefundOrder } from './utils/refunds.js';
+import { releaseCoupon } from './utils/coupons.js';
+import { reserveOrderStock, undoStockReservation, restoreOrderStock, resetDailyStock } from './utils/inventory.js';
+import { getInventoryConfig } from './config/inventory.js';
+import { cleanupOrphanedMedia } from './utils/media.js';
+import { getMediaStorage } from './utils/mediaStorage.js';
+import { getMediaConfig } from './config/media.js';
+import { backfillLocations } from './utils/discovery.js';
+import { evaluateCancellation } from './utils/cancellation.js';
+import { expireUnpaidOrders } from './utils/orderPayment.js';
+import { getPaymentConfig } from './config/payment.js';
+import { finishCancellation } from './utils/orderCancellation.js';
+import { authenticateSocket, denySocket, loadSocketOrder } from './middleware/socketAuth.js';
+import { protect, authorize } from './middleware/auth.js';
 
 // Load env vars
 dotenv.config();
@@ -53,6 +78,10 @@ app.use(
 // app.use(cors())
 app.options('*', cors()); // Enable pre-flight for all routes(means all routes will accept OPTIONS method, here OPTIONS method is preflight request ,preflight is an initial request made to check if the actual request is safe to send)
 app.use(cookieParser()); 
+// Razorpay webhooks are signed over the raw body, so keep it unparsed for that route
+app.use('/api/payment/webhook', express.raw({ type: 'application/json' }));
+// Menu imports can be sent as raw CSV and are larger than the default body limit
+app.use('/api/restaurant/menu/import', express.json({ limit: '2mb' }), express.text({ type: 'text/csv', limit: '2mb' }));
 app.use(express.json())
 
 if (!process.env.SESSION_SECRET) {
@@ -99,6 +128,10 @@ mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('MongoDB connected successfully');
+    // Restaurants and menu items saved before GeoJSON locations need one for $geoNear
+    backfillLocations().catch((error) => {
+      console.error('❌ Error adding locations:', error);
+    });
   })
   .catch((err) => {
     console.error('MongoDB connection error:', err);
@@ -114,22 +147,55 @@ app.use("/api/rider", riderRoutes);
 app.use("/api/rating", ratingRoutes);
 app.use("/api/wishlist", wishlistRoutes);
 app.use("/api/chatbot", chatbotRoutes);
+app.use("/api/payment", paymentRoutes);
+app.use("/api/wallet", walletRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/media", mediaRoutes);
+app.use("/api/search", searchRoutes);
+
+// Uploaded images kept on this server's disk
+if (getMediaStorage().staticDir) {
+  app.use(getMediaConfig().publicPath, express.static(getMediaStorage().staticDir, {
+    maxAge: '30d',
+    immutable: true,
+  }));
+}
 
 // Active riders pool - stores rider socket connections with live data
 export const activeRidersPool = new Map();
 // Active orders pool - stores order details with real-time updates
 export const activeOrdersPool = new Map();
 
+// Sockets connect with the same JWT as the REST API (see middleware/socketAuth.js)
+io.use(authenticateSocket);
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('🔌 Client connected:', socket.id);
-  
+  console.log('🔌 Client connected:', socket.id, `(${socket.user.role} ${socket.userId})`);
+
+  // Every socket gets its user's room; riders and restaurants also get theirs
+  socket.join(`user_${socket.userId}`);
+  if (socket.user.role === 'rider') {
+    socket.riderId = socket.userId;
+    socket.join(`rider_${socket.userId}`);
+  }
+  if (socket.user.role === 'restaurant') {
+    socket.restaurantId = socket.userId;
+    socket.join(`restaurant_${socket.userId}`);
+  }
+
+  // The authenticate events only confirm the identity verified at connection;
+  // a different user id in the payload is refused
+  const claimsOtherUser = (userId) => userId && userId.toString() !== socket.userId;
+
   // User authentication
   socket.on('authenticate', (userId) => {
     try {
-      socket.userId = userId;
-      socket.join(`user_${userId}`);
-      console.log(`✅ User ${userId} authenticated`);
+      if (claimsOtherUser(userId)) {
+        denySocket(socket);
+        return;
+      }
+      console.log(`✅ User ${socket.userId} authenticated`);
     } catch (error) {
       console.error('❌ Error in authenticate:', error);
     }
@@ -138,19 +204,25 @@ io.on('connection', (socket) => {
   // Rider authentication - join rider room
   socket.on('rider_authenticate', (userId) => {
     try {
-      socket.userId = userId;
-      socket.riderId = userId;
-      socket.join(`user_${userId}`);
-      socket.join(`rider_${userId}`);
-      console.log(`✅ Rider ${userId} authenticated and joined rider room`);
+      if (!socket.riderId || claimsOtherUser(userId)) {
+        denySocket(socket);
+        return;
+      }
+      console.log(`✅ Rider ${socket.riderId} authenticated and joined rider room`);
     } catch (error) {
       console.error('❌ Error in rider_authenticate:', error);
     }
   });
   
   // Rider joins active pool when available
-  socket.on('rider_join_pool', async ({ riderId, coordinates }) => {
+  socket.on('rider_join_pool', async ({ coordinates } = {}) => {
     try {
+      if (!socket.riderId) {
+        socket.emit('error', { message: 'Invalid rider' });
+        return;
+      }
+
+      const riderId = socket.riderId;
       const rider = await User.findById(riderId);
       if (!rider || rider.role !== 'rider') {
         socket.emit('error', { message: 'Invalid rider' });
@@ -171,12 +243,10 @@ io.on('connection', (socket) => {
         phone: rider.phone,
         coordinates: riderCoords,
         activeOrders: [],
+        joinedAt: new Date(),
         lastUpdate: new Date(),
       });
 
-      socket.riderId = riderId;
-      socket.join(`rider_${riderId}`);
-      
       console.log(`🏍️ Rider ${rider.name} (${riderId}) joined active pool at [${riderCoords.latitude}, ${riderCoords.longitude}]`);
       console.log(`📊 Total active riders: ${activeRidersPool.size}`);
       socket.emit('joined_pool', { message: 'Successfully joined active riders pool' });
@@ -186,10 +256,12 @@ io.on('connection', (socket) => {
   });
 
   // Rider leaves active pool when unavailable
-  socket.on('rider_leave_pool', ({ riderId }) => {
+  socket.on('rider_leave_pool', () => {
     try {
+      if (!socket.riderId) return;
+
+      const riderId = socket.riderId;
       activeRidersPool.delete(riderId);
-      socket.leave(`rider_${riderId}`);
       console.log(`🚫 Rider ${riderId} left active pool. Total active: ${activeRidersPool.size}`);
       socket.emit('left_pool', { message: 'Left active riders pool' });
     } catch (error) {
@@ -198,10 +270,11 @@ io.on('connection', (socket) => {
   });
 
   // Rider live location update (every 10 seconds, not saved to DB)
-  socket.on('rider_location_update', ({ riderId, coordinates }) => {
+  socket.on('rider_location_update', ({ coordinates } = {}) => {
     try {
-      const riderData = activeRidersPool.get(riderId);
-      if (riderData) {
+      const riderId = socket.riderId;
+      const riderData = riderId && activeRidersPool.get(riderId);
+      if (riderData && coordinates) {
         riderData.coordinates = coordinates;
         riderData.lastUpdate = new Date();
         activeRidersPool.set(riderId, riderData);
@@ -228,9 +301,12 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Customer joins order tracking room
-  socket.on('join_order_tracking', (orderId) => {
+  // Customer joins order tracking room (also open to the order's restaurant, rider and admins)
+  socket.on('join_order_tracking', async (orderId) => {
     try {
+      const access = await loadSocketOrder(socket, orderId, ['customer', 'restaurant', 'rider', 'admin']);
+      if (!access) return;
+
       socket.join(`order_${orderId}`);
       
       // Send current order status if exists
@@ -239,18 +315,20 @@ io.on('connection', (socket) => {
         socket.emit('order_status', orderSocket);
       }
       
-      console.log(`👤 Customer joined order tracking: ${orderId}`);
+      console.log(`👤 ${access.relation} ${socket.userId} joined order tracking: ${orderId}`);
     } catch (error) {
       console.error('❌ Error in join_order_tracking:', error);
     }
   });
 
   // Restaurant authentication
-  socket.on('restaurant_authenticate', ({ restaurantId }) => {
+  socket.on('restaurant_authenticate', ({ restaurantId } = {}) => {
     try {
-      socket.restaurantId = restaurantId;
-      socket.join(`restaurant_${restaurantId}`);
-      console.log(`🏪 Restaurant ${restaurantId} authenticated and joined room`);
+      if (!socket.restaurantId || claimsOtherUser(restaurantId)) {
+        denySocket(socket);
+        return;
+      }
+      console.log(`🏪 Restaurant ${socket.restaurantId} authenticated and joined room`);
       socket.emit('authenticated', { message: 'Restaurant authenticated successfully' });
     } catch (error) {
       console.error('❌ Error in restaurant_authenticate:', error);
@@ -258,18 +336,26 @@ io.on('connection', (socket) => {
   });
 
   // Restaurant accepts order
-  socket.on('restaurant_accept_order', async ({ orderId, restaurantId }) => {
+  socket.on('restaurant_accept_order', async ({ orderId } = {}) => {
     try {
-      const order = await Order.findById(orderId);
-      if (!order) {
-        socket.emit('error', { message: 'Order not found' });
-        return;
+      // Only the restaurant the order was placed with
+      const access = await loadSocketOrder(socket, orderId, ['restaurant']);
+      if (!access) return;
+
+      const { order } = access;
+      const restaurantId = socket.restaurantId;
+
+      transitionOrder(order, 'accepted', { actor: 'restaurant', actorId: restaurantId });
+
+      // Take the items out of today's stock; refused if anything has sold out meanwhile
+      await reserveOrderStock(order);
+      try {
+        await order.save();
+      } catch (error) {
+        await undoStockReservation(order);
+        throw error;
       }
 
-      order.status = 'accepted';
-      order.acceptedAt = new Date();
-      await order.save();
-
       // Update order socket
       const orderSocket = activeOrdersPool.get(orderId);
       if (orderSocket) {
@@ -292,27 +378,36 @@ io.on('connection', (socket) => {
         message: 'Order accepted successfully',
       });
 
-      // Notify nearby riders
-      await notifyNearbyRiders(order);
+      // Offer the order to the best-ranked riders nearby
+      await startDispatch(order);
 
       console.log(`✅ Restaurant accepted order: ${orderId}`);
     } catch (error) {
       console.error('❌ Error in restaurant_accept_order:', error);
+      socket.emit('error', { message: error.statusCode ? error.message : 'Failed to accept order' });
     }
   });
 
   // Restaurant rejects order
-  socket.on('restaurant_reject_order', async ({ orderId, reason }) => {
+  socket.on('restaurant_reject_order', async ({ orderId, reason } = {}) => {
     try {
-      const order = await Order.findById(orderId);
-      if (!order) return;
+      const access = await loadSocketOrder(socket, orderId, ['restaurant']);
+      if (!access) return;
+
+      const { order } = access;
 
-      order.status = 'rejected';
-      order.cancelledAt = new Date();
-      order.cancellationReason = reason;
-      order.cancelledBy = 'restaurant';
+      transitionOrder(order, 'rejected', {
+        actor: 'restaurant',
+        actorId: socket.restaurantId,
+        reason,
+      });
       await order.save();
 
+      // Give online payments back in full
+      await autoRefundOrder(order, { reason: 'rejected', actor: 'restaurant' });
+      await releaseCoupon(order);
+      await restoreOrderStock(order);
+
       // Remove from active orders
       activeOrdersPool.delete(orderId);
 
@@ -327,93 +422,19 @@ io.on('connection', (socket) => {
       console.log(`❌ Restaurant rejected order: ${orderId}`);
     } catch (error) {
       console.error('❌ Error in restaurant_reject_order:', error);
+      socket.emit('error', { message: error.statusCode ? error.message : 'Failed to reject order' });
     }
   });
 
   // Rider accepts order
-  socket.on('rider_accept_order', async ({ orderId, riderId }) => {
+  socket.on('rider_accept_order', async ({ orderId } = {}) => {
     try {
-      const order = await Order.findById(orderId).populate('restaurant customer rider');
-      if (!order || order.status !== 'accepted') {
-        socket.emit('error', { message: 'Order not available' });
+      if (!socket.riderId) {
+        denySocket(socket, 'Only riders can accept orders');
         return;
       }
 
-      // Calculate distance from restaurant to customer
-      const restaurant = await User.findById(order.restaurant._id);
-      const distanceToCustomer = calculateDistance(
-        restaurant.restaurantDetails.address.latitude,
-        restaurant.restaurantDetails.address.longitude,
-        order.deliveryAddress.latitude,
-        order.deliveryAddress.longitude
-      );
-      
-      // Rider earnings logic:
-      // - If customer paid delivery fee (order < ₹500): rider gets same amount
-      // - If customer got free delivery (order ≥ ₹500): calculate rider earnings separately (₹8/km)
-      const riderEarnings = order.deliveryFee > 0 
-        ? order.deliveryFee 
-        : Math.round(distanceToCustomer * 8);
-
-      order.rider = riderId;
-      order.status = 'rider_assigned';
-      order.acceptedAt = new Date();
-      order.distanceToCustomer = distanceToCustomer;
-      order.riderEarnings = riderEarnings;
-      await order.save();
-
-      // Get rider details
-      const riderData = activeRidersPool.get(riderId);
-      const riderUser = await User.findById(riderId);
-
-      // Update rider's active orders
-      if (riderData) {
-        riderData.activeOrders.push(orderId);
-        activeRidersPool.set(riderId, riderData);
-      }
-
-      // Update order socket
-      const orderSocket = activeOrdersPool.get(orderId);
-      if (orderSocket) {
-        orderSocket.status = 'rider_assigned';
-        orderSocket.riderId = riderId;
-        orderSocket.riderDetails = riderData;
-        orderSocket.riderCoordinates = riderData?.coordinates;
-        activeOrdersPool.set(orderId, orderSocket);
-      }
-
-      // Remove from other riders' available list
-      Array.from(activeRidersPool.keys()).forEach(otherId => {
-        if (otherId !== riderId) {
-          io.to(`rider_${otherId}`).emit('order_taken', { orderId });
-        }
-      });
-
-      // Notify customer via order room
-      io.to(`order_${orderId}`).emit('order_status_changed', {
-        orderId,
-        status: 'rider_assigned',
-        message: `Rider ${riderUser?.name || 'A rider'} accepted your order!`,
-        riderName: riderUser?.name,
-        riderPhone: riderUser?.phone,
-      });
-
-      // Also emit order_accepted event for customer
-      io.to(`order_${orderId}`).emit('order_accepted', {
-        orderId,
-        status: 'rider_assigned',
-        message: `Rider ${riderUser?.name || 'A rider'} accepted your order!`,
-        riderName: riderUser?.name,
-        riderPhone: riderUser?.phone,
-      });
-
-      // Notify restaurant to refresh dashboard
-      io.to(`restaurant_${order.restaurant._id}`).emit('order_status_changed', {
-        orderId,
-        status: 'rider_assigned',
-        riderName: riderUser?.name,
-        riderPhone: riderUser?.phone,
-      });
+      await acceptOrderAsRider(orderId, socket.user);
 
       // Confirm acceptance to the rider
       socket.emit('order_accepted_confirmation', {
@@ -421,35 +442,74 @@ io.on('connection', (socket) => {
         success: true,
         message: 'Order accepted successfully'
       });
-
-      console.log(`🏍️ Rider ${riderId} accepted order: ${orderId}`);
     } catch (error) {
       console.error('❌ Error in rider_accept_order:', error);
       socket.emit('order_accept_error', {
-        message: 'Failed to accept order',
+        message: error.statusCode ? error.message : 'Failed to accept order',
         error: error.message
       });
     }
   });
 
+  // Rider turns down an order offer
+  socket.on('rider_decline_order', async ({ orderId } = {}) => {
+    try {
+      if (!socket.riderId) return;
+
+      const riderId = socket.riderId;
+      const declined = await declineOffer(orderId, riderId);
+      socket.emit('order_decline_confirmation', { orderId, success: declined });
+      console.log(`🙅 Rider ${riderId} declined order: ${orderId}`);
+    } catch (error) {
+      console.error('❌ Error in rider_decline_order:', error);
+      socket.emit('error', { message: 'Failed to decline order' });
+    }
+  });
+
   // Update order status
-  socket.on('update_order_status', async ({ orderId, status }) => {
+  socket.on('update_order_status', async ({ orderId, status } = {}) => {
     try {
-      const order = await Order.findById(orderId);
-      if (!order) return;
+      // The user acts as whichever party they are to this order; the state
+      // machine then decides whether that party may make the move
+      const access = await loadSocketOrder(socket, orderId, ['customer', 'restaurant', 'rider', 'admin']);
+      if (!access) return;
+
+      const { order, relation: actor } = access;
+
+      // Customers cancelling are held to the cancellation policy; anyone else
+      // cancelling refunds the customer in full
+      const cancellation = status === 'cancelled' && actor === 'customer'
+        ? evaluateCancellation(order)
+        : null;
+      if (cancellation && !cancellation.allowed) {
+        socket.emit('error', { message: cancellation.message });
+        return;
+      }
 
-      order.status = status;
-      
-      // Update timestamps based on status
-      if (status === 'accepted') order.acceptedAt = new Date();
-      if (status === 'picked_up') order.pickedUpAt = new Date();
-      if (status === 'delivered') order.deliveredAt = new Date();
+      transitionOrder(order, status, {
+        actor,
+        actorId: socket.userId,
+      });
+      if (cancellation) {
+        order.cancellationFee = cancellation.fee;
+        order.refundAmount = cancellation.refundAmount;
+      }
+      if (status === 'accepted') {
+        await reserveOrderStock(order);
+      }
+      try {
+        await order.save();
+      } catch (error) {
+        await undoStockReservation(order);
+        throw error;
+      }
+
+      // Same refund, stock, coupon and notifications as POST /api/orders/:id/cancel
       if (status === 'cancelled') {
-        order.cancelledAt = new Date();
-        order.cancelledBy = 'rider';
+        await finishCancellation(order, { refundAmount: cancellation?.refundAmount });
+        console.log(`🚫 Order ${orderId} cancelled by ${actor}`);
+        return;
       }
-      
-      await order.save();
 
       // Update order socket
       const orderSocket = activeOrdersPool.get(orderId);
@@ -465,6 +525,11 @@ io.on('connection', (socket) => {
         timestamp: new Date(),
       });
 
+      // Offer the order to the best-ranked riders nearby
+      if (status === 'accepted') {
+        await startDispatch(order);
+      }
+
       // If delivered, remove from active pools
       if (status === 'delivered') {
         const riderId = order.rider;
@@ -479,6 +544,7 @@ io.on('connection', (socket) => {
       console.log(`📊 Order ${orderId} status updated to: ${status}`);
     } catch (error) {
       console.error('❌ Error in update_order_status:', error);
+      socket.emit('error', { message: error.statusCode ? error.message : 'Failed to update order status' });
     }
   });
 
@@ -509,124 +575,30 @@ io.on('connection', (socket) => {
 
 });
 
-// Helper function to notify nearby riders
-async function notifyNearbyRiders(order) {
-  try {
-    console.log('🔔 notifyNearbyRiders called for order:', order._id);
-    
-    const restaurant = await User.findById(order.restaurant);
-    if (!restaurant) {
-      console.error('❌ Restaurant not found:', order.restaurant);
-      return;
-    }
-    
-    console.log('🏪 Restaurant found:', restaurant.restaurantDetails?.kitchenName);
-    console.log('📍 Restaurant address:', restaurant.restaurantDetails?.address);
-    
-    if (!restaurant.restaurantDetails?.address?.latitude || !restaurant.restaurantDetails?.address?.longitude) {
-      console.error('❌ Restaurant does not have valid coordinates');
-      return;
-    }
-    
-    const restaurantLat = restaurant.restaurantDetails.address.latitude;
-    const restaurantLon = restaurant.restaurantDetails.address.longitude;
-
-    const nearbyRiders = [];
-    
-    console.log(`\n🔍 Searching for riders within 200km radius...`);
-    console.log(`📍 Restaurant Location: Lat ${restaurantLat}, Lon ${restaurantLon}`);
-    console.log(`👥 Total active riders in pool: ${activeRidersPool.size}`);
-    
-    activeRidersPool.forEach((riderData, riderId) => {
-      // Calculate distance from rider to restaurant
-      const distance = calculateDistance(
-        restaurantLat,
-        restaurantLon,
-        riderData.coordinates.latitude,
-        riderData.coordinates.longitude
-      );
-
-      console.log(`\n🏍️ Rider: ${riderData.name} (ID: ${riderId})`);
-      console.log(`   📍 Location: Lat ${riderData.coordinates.latitude}, Lon ${riderData.coordinates.longitude}`);
-      console.log(`   📏 Distance: ${distance.toFixed(2)} km`);
-      console.log(`   ${distance <= 1000 ? '✅ Within range!' : '❌ Too far'}`);
-
-      if (distance <= 1000) {
-        nearbyRiders.push({ riderId, riderName: riderData.name, distance });
-      }
-    });
-
-    console.log(`\n✅ Found ${nearbyRiders.length} riders within 1000km:`);
-    nearbyRiders.forEach(({ riderName, distance }) => {
-      console.log(`   🏍️ ${riderName} - ${distance.toFixed(2)} km away`);
-    });
-
-    // Send notification to nearby riders
-    nearbyRiders.forEach(({ riderId, riderName, distance }) => {
-      console.log(`📤 Sending order notification to: ${riderName} (rider_${riderId})`);
-      
-      // Calculate distance from restaurant to customer for display
-      const distanceToCustomer = calculateDistance(
-        restaurantLat,
-        restaurantLon,
-        order.deliveryAddress.latitude,
-        order.deliveryAddress.longitude
-      );
-      
-      // Rider earnings logic:
-      // - If customer paid delivery fee (order < ₹500): rider gets same amount
-      // - If customer got free delivery (order ≥ ₹500): calculate rider earnings separately
-      const riderEarnings = order.deliveryFee > 0 
-        ? order.deliveryFee 
-        : Math.round(distanceToCustomer * 8);
-      
-      io.to(`rider_${riderId}`).emit('new_order_available', {
-        orderId: order._id,
-        restaurantName: restaurant.restaurantDetails.kitchenName,
-        restaurantAddress: restaurant.restaurantDetails.address,
-        deliveryAddress: order.deliveryAddress,
-        totalAmount: order.totalAmount,
-        distance: distance.toFixed(2), // Distance from rider to restaurant
-        distanceToCustomer: distanceToCustomer.toFixed(2), // Distance from restaurant to customer
-        riderEarnings, // Earnings based on delivery distance
-        paymentMethod: order.paymentMethod, // Payment mode (cod or online)
-        items: order.items,
-      });
-    });
-    
-    console.log('✅ Notification process completed');
-  } catch (error) {
-    console.error('❌ Error notifying nearby riders:', error);
-  }
-}
-
-// Haversine formula for distance calculation
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); // c is the angular distance in radians
-  return R * c;
-}
-
 // Auto-reject orders after 10 minutes of no action
 setInterval(async () => {
   try {
     const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
+    // Released scheduled orders are timed from their release, not their creation
     const pendingOrders = await Order.find({
       status: 'pending',
-      createdAt: { $lt: tenMinutesAgo },
+      $or: [
+        { releasedAt: { $lt: tenMinutesAgo } },
+        { releasedAt: null, createdAt: { $lt: tenMinutesAgo } },
+      ],
     });
 
     for (const order of pendingOrders) {
-      order.status = 'auto_rejected';
-      order.rejectionReason = 'Restaurant did not respond within 10 minutes';
+      transitionOrder(order, 'auto_rejected', {
+        actor: 'system',
+        reason: 'Restaurant did not respond within 10 minutes',
+      });
       await order.save();
 
+      await autoRefundOrder(order, { reason: 'auto_rejected', actor: 'system' });
+      await releaseCoupon(order);
+      await restoreOrderStock(order);
+
       activeOrdersPool.delete(order._id.toString());
 
       io.to(`order_${order._id}`).emit('order_status_changed', {
@@ -642,6 +614,42 @@ setInterval(async () => {
   }
 }, 60000); // Check every minute
 
+// Release scheduled orders to their restaurant shortly before the delivery slot
+setInterval(async () => {
+  try {
+    await releaseDueScheduledOrders();
+  } catch (error) {
+    console.error('❌ Error in scheduled order release:', error);
+  }
+}, getSchedulingConfig().releaseIntervalMs);
+
+// Cancel online orders whose payment never arrived and give back their wallet share
+setInterval(async () => {
+  try {
+    await expireUnpaidOrders();
+  } catch (error) {
+    console.error('❌ Error in unpaid order expiry:', error);
+  }
+}, getPaymentConfig().pendingPaymentExpiryIntervalMs);
+
+// Refill daily menu stock once each restaurant reaches its reset time
+setInterval(async () => {
+  try {
+    await resetDailyStock();
+  } catch (error) {
+    console.error('❌ Error in daily stock reset:', error);
+  }
+}, getInventoryConfig().resetIntervalMs);
+
+// Delete uploaded images that no menu item or profile uses
+setInterval(async () => {
+  try {
+    await cleanupOrphanedMedia();
+  } catch (error) {
+    console.error('❌ Error in media cleanup:', error);
+  }
+}, getMediaConfig().cleanupIntervalMs);
+
 // Health check route
 app.get('/api/health', (req, res) => {
   res.status(200).json({
@@ -651,8 +659,8 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Debug route to check socket pools
-app.get('/api/debug/pools', (req, res) => {
+// Debug route to check socket pools (admins only: it lists who is connected)
+app.get('/api/debug/pools', protect, authorize('admin'), (req, res) => {
   const connectedSockets = [];
   io.sockets.sockets.forEach((socket) => {
     connectedSockets.push({
@@ -0,0 +1,261 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import esmock from 'esmock';
+
+const customerId = new mongoose.Types.ObjectId();
+
+// Payments by id, as the Payment collection would hold them
+let payments;
+// Calls made to the stand-ins below
+let calls;
+// Orders Order.find returns, and the filter it was called with
+let unpaidOrders;
+let findFilter;
+
+const recordCall = (name) => async (...args) => {
+  calls.push([name, ...args]);
+};
+
+// Only the guarded claim update that utils/orderPayment.js makes
+const Payment = {
+  findOneAndUpdate: async (filter, update) => {
+    const payment = payments.get(filter._id.toString());
+    const claimable = filter.order.$in.some((id) => String(id) === String(payment?.order));
+    if (!payment || payment.status !== filter.status || !claimable) return null;
+    payment.order = update.$set.order;
+    return payment;
+  },
+  updateOne: async () => ({ modifiedCount: 1 }),
+};
+
+const Order = {
+  find: async (filter) => {
+    findFilter = filter;
+    return unpaidOrders;
+  },
+};
+
+const io = {
+  to: (room) => ({ emit: (event, data) => calls.push(['emit', room, event, data]) }),
+};
+
+const {
+  confirmOrderPayment,
+  claimPayment,
+  cancelUnpaidOrder,
+  expireUnpaidOrders,
+} = await esmock.strict('../utils/orderPayment.js', {
+  '../models/Payment.js': { default: Payment },
+  '../models/Order.js': { default: Order },
+  '../server.js': { io },
+  '../utils/orderNotifications.js': {
+    populateForRestaurant: recordCall('populateForRestaurant'),
+    notifyRestaurantOfNewOrder: recordCall('notifyRestaurantOfNewOrder'),
+  },
+  '../utils/wallet.js': { reverseWalletDebit: recordCall('reverseWalletDebit') },
+  '../utils/coupons.js': { releaseCoupon: recordCall('releaseCoupon') },
+});
+
+const makeOrder = (fields = {}) => {
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    customer: customerId,
+    status: 'pending_payment',
+    paymentStatus: 'pending',
+    totalAmount: 250,
+    walletAmount: 50,
+    statusHistory: [],
+    ...fields,
+  };
+  order.save = async () => {
+    calls.push(['save', order.status]);
+    return order;
+  };
+  return order;
+};
+
+// A captured payment for `order`: ₹200 online after the ₹50 wallet share
+const makePayment = (order, fields = {}) => {
+  const payment = {
+    _id: new mongoose.Types.ObjectId(),
+    status: 'SUCCESS',
+    razorpay_payment_id: 'pay_123',
+    amount: 20000,
+    customer: customerId.toString(),
+    referenceId: order._id.toString(),
+    order: null,
+    ...fields,
+  };
+  payments.set(payment._id.toString(), payment);
+  return payment;
+};
+
+beforeEach(() => {
+  payments = new Map();
+  calls = [];
+  unpaidOrders = [];
+  findFilter = null;
+});
+
+describe('confirmOrderPayment', () => {
+  test('moves a paid order to pending, claims the payment and notifies the restaurant', async () => {
+    const order = makeOrder();
+    const payment = makePayment(order);
+
+    const confirmed = await confirmOrderPayment(order, payment, { actor: 'system' });
+
+    assert.equal(confirmed, true);
+    assert.equal(order.status, 'pending');
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.razorpay_payment_id, 'pay_123');
+    assert.equal(payment.order, order._id);
+    assert.deepEqual(calls.map(([name]) => name), ['save', 'populateForRestaurant', 'notifyRestaurantOfNewOrder']);
+  });
+
+  test('holds scheduled orders back from the restaurant', async () => {
+    const order = makeOrder({ scheduledFor: new Date(Date.now() + 3 * 60 * 60 * 1000) });
+
+    await confirmOrderPayment(order, makePayment(order), { actor: 'customer' });
+
+    assert.equal(order.status, 'scheduled');
+    assert.deepEqual(calls.map(([name]) => name), ['save']);
+  });
+
+  test('does nothing for an order that is already paid', async () => {
+    const order = makeOrder({ status: 'pending', paymentStatus: 'paid' });
+
+    assert.equal(await confirmOrderPayment(order, makePayment(order)), false);
+    assert.deepEqual(calls, []);
+  });
+
+  test('refuses orders that are no longer waiting for payment', async () => {
+    const order = makeOrder({ status: 'cancelled' });
+
+    await assert.rejects(confirmOrderPayment(order, makePayment(order)), { statusCode: 409 });
+  });
+
+  test('refuses payments that have not succeeded', async () => {
+    const order = makeOrder();
+
+    await assert.rejects(confirmOrderPayment(order, null), { statusCode: 400 });
+    await assert.rejects(
+      confirmOrderPayment(order, makePayment(order, { status: 'FAILED' })),
+      { statusCode: 400 }
+    );
+  });
+
+  test('refuses payments made without an order reference', async () => {
+    const order = makeOrder();
+
+    await assert.rejects(
+      confirmOrderPayment(order, makePayment(order, { referenceId: null })),
+      { statusCode: 400, message: 'Payment does not belong to this order' }
+    );
+    assert.equal(order.status, 'pending_payment');
+  });
+
+  test("refuses another customer's payment", async () => {
+    const order = makeOrder();
+    const payment = makePayment(order, { customer: new mongoose.Types.ObjectId().toString() });
+
+    await assert.rejects(confirmOrderPayment(order, payment), { statusCode: 400 });
+    assert.equal(payment.order, null);
+  });
+
+  test('refuses a payment that does not cover the total less the wallet share', async () => {
+    const order = makeOrder();
+
+    await assert.rejects(
+      confirmOrderPayment(order, makePayment(order, { amount: 25000 })),
+      { statusCode: 400, message: 'Payment amount does not match order total' }
+    );
+  });
+
+  test('refuses a payment already used for another order', async () => {
+    const order = makeOrder();
+    const payment = makePayment(order, { order: new mongoose.Types.ObjectId() });
+
+    await assert.rejects(confirmOrderPayment(order, payment), { statusCode: 409 });
+    assert.equal(order.status, 'pending_payment');
+    assert.deepEqual(calls, []);
+  });
+});
+
+describe('claimPayment', () => {
+  test('lets only one order claim a payment', async () => {
+    const first = makeOrder();
+    const second = makeOrder();
+    const payment = makePayment(first, { referenceId: null });
+
+    await claimPayment(payment, first);
+    await assert.rejects(claimPayment(payment, second), { statusCode: 409 });
+    assert.equal(payment.order, first._id);
+  });
+
+  test('can claim again for the same order', async () => {
+    const order = makeOrder();
+    const payment = makePayment(order);
+
+    await claimPayment(payment, order);
+    const claimed = await claimPayment(payment, order);
+
+    assert.equal(claimed.order, order._id);
+  });
+
+  test('refuses payments that have not succeeded', async () => {
+    const order = makeOrder();
+
+    await assert.rejects(claimPayment(makePayment(order, { status: 'CREATED' }), order), { statusCode: 409 });
+  });
+});
+
+describe('cancelUnpaidOrder', () => {
+  test('cancels the order, returns the wallet share and the coupon and tells the customer', async () => {
+    const order = makeOrder();
+
+    assert.equal(await cancelUnpaidOrder(order, 'Payment was not completed in time'), true);
+
+    assert.equal(order.status, 'cancelled');
+    assert.equal(order.cancelledBy, 'system');
+    assert.equal(order.paymentStatus, 'failed');
+    assert.deepEqual(calls.map(([name]) => name), ['save', 'reverseWalletDebit', 'releaseCoupon', 'emit']);
+    assert.equal(calls[3][1], `order_${order._id}`);
+  });
+
+  test('skips the wallet when none of it was used', async () => {
+    await cancelUnpaidOrder(makeOrder({ walletAmount: 0 }), 'Payment was not completed in time');
+
+    assert.ok(!calls.some(([name]) => name === 'reverseWalletDebit'));
+  });
+
+  test('leaves orders that are no longer waiting for payment', async () => {
+    const order = makeOrder({ status: 'pending', paymentStatus: 'paid' });
+
+    assert.equal(await cancelUnpaidOrder(order, 'Payment was not completed in time'), false);
+    assert.equal(order.status, 'pending');
+    assert.deepEqual(calls, []);
+  });
+
+  test('gives up when the order was paid while it was being cancelled', async () => {
+    const order = makeOrder();
+    order.save = async () => {
+      throw Object.assign(new Error('No document found'), { name: 'DocumentNotFoundError' });
+    };
+
+    assert.equal(await cancelUnpaidOrder(order, 'Payment was not completed in time'), false);
+    assert.deepEqual(calls, []);
+  });
+});
+
+describe('expireUnpaidOrders', () => {
+  test('cancels orders left waiting for payment past the time limit', async () => {
+    unpaidOrders = [makeOrder(), makeOrder({ walletAmount: 0 })];
+
+    await expireUnpaidOrders();
+
+    assert.equal(findFilter.status, 'pending_payment');
+    assert.ok(findFilter.createdAt.$lt < new Date());
+    assert.deepEqual(unpaidOrders.map((order) => order.status), ['cancelled', 'cancelled']);
+  });
+});
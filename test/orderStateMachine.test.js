@@ -0,0 +1,108 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  transitionOrder,
+  canTransition,
+  getAllowedTransitions,
+  TERMINAL_STATUSES,
+} from '../utils/orderStateMachine.js';
+
+const makeOrder = (status) => ({ status, statusHistory: [] });
+
+describe('canTransition', () => {
+  test('allows the restaurant to accept a pending order', () => {
+    assert.equal(canTransition('pending', 'accepted', 'restaurant'), true);
+  });
+
+  test('refuses moves the actor may not make', () => {
+    assert.equal(canTransition('pending', 'accepted', 'customer'), false);
+    assert.equal(canTransition('pending', 'auto_rejected', 'restaurant'), false);
+  });
+
+  test('lets riders take accepted and awaiting_rider orders', () => {
+    assert.equal(canTransition('accepted', 'rider_assigned', 'rider'), true);
+    assert.equal(canTransition('awaiting_rider', 'rider_assigned', 'rider'), true);
+    assert.equal(canTransition('pending', 'rider_assigned', 'rider'), false);
+  });
+
+  test('lets the system start dispatch', () => {
+    assert.equal(canTransition('accepted', 'awaiting_rider', 'system'), true);
+  });
+
+  test('never leaves a terminal status', () => {
+    for (const status of TERMINAL_STATUSES) {
+      assert.deepEqual(getAllowedTransitions(status), []);
+    }
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  test('limits the list to one actor', () => {
+    assert.deepEqual(getAllowedTransitions('pending_payment', 'admin'), ['cancelled']);
+    assert.deepEqual(getAllowedTransitions('picked_up', 'rider'), ['on_the_way', 'delivered']);
+  });
+});
+
+describe('transitionOrder', () => {
+  test('moves the order, stamps the timestamp and records the change', () => {
+    const order = makeOrder('pending');
+
+    transitionOrder(order, 'accepted', { actor: 'restaurant', actorId: 'r1' });
+
+    assert.equal(order.status, 'accepted');
+    assert.ok(order.acceptedAt instanceof Date);
+    assert.equal(order.statusHistory.length, 1);
+    assert.deepEqual(
+      { ...order.statusHistory[0], at: undefined },
+      { from: 'pending', to: 'accepted', actor: 'restaurant', actorId: 'r1', reason: undefined, at: undefined }
+    );
+  });
+
+  test('guards the save on the status the order was read in', () => {
+    const order = makeOrder('pending');
+
+    transitionOrder(order, 'accepted', { actor: 'restaurant' });
+    transitionOrder(order, 'cancelled', { actor: 'customer' });
+
+    assert.deepEqual(order.$where, { status: 'pending' });
+    assert.equal(order.statusHistory.length, 2);
+  });
+
+  test('records who cancelled and why', () => {
+    const order = makeOrder('accepted');
+
+    transitionOrder(order, 'cancelled', { actor: 'customer', reason: 'Changed my mind' });
+
+    assert.equal(order.cancelledBy, 'customer');
+    assert.equal(order.cancellationReason, 'Changed my mind');
+    assert.ok(order.cancelledAt instanceof Date);
+  });
+
+  test('rejects unknown actors with a 400', () => {
+    assert.throws(
+      () => transitionOrder(makeOrder('pending'), 'accepted', { actor: 'stranger' }),
+      { statusCode: 400 }
+    );
+  });
+
+  test('rejects illegal moves with a 409 listing the allowed ones', () => {
+    const order = makeOrder('delivered');
+
+    assert.throws(
+      () => transitionOrder(order, 'cancelled', { actor: 'admin' }),
+      (error) => error.statusCode === 409 && error.details.currentStatus === 'delivered'
+    );
+    assert.equal(order.status, 'delivered');
+    assert.equal(order.statusHistory.length, 0);
+  });
+
+  test('rejects legal moves by the wrong actor with a 403', () => {
+    const order = makeOrder('ready');
+
+    assert.throws(
+      () => transitionOrder(order, 'picked_up', { actor: 'customer' }),
+      { statusCode: 403 }
+    );
+    assert.equal(order.status, 'ready');
+  });
+});
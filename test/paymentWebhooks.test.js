@@ -0,0 +1,179 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import esmock from 'esmock';
+import { createHttpError } from '../utils/httpError.js';
+
+const customerId = new mongoose.Types.ObjectId();
+
+// Payments and orders as the collections would hold them
+let payments;
+let orders;
+// What confirmOrderPayment does for the next webhook, and the refunds started
+let confirmResult;
+let refunds;
+
+const Payment = {
+  findOne: async ({ razorpay_order_id }) =>
+    [...payments.values()].find((payment) => payment.razorpay_order_id === razorpay_order_id) || null,
+  findById: async (id) => payments.get(id.toString()) || null,
+};
+
+const Order = {
+  findById: async (id) => orders.get(id.toString()) || null,
+};
+
+const { handlePaymentEvent } = await esmock.strict('../utils/paymentWebhooks.js', {
+  '../models/Payment.js': { default: Payment },
+  '../models/Order.js': { default: Order },
+  '../utils/orderPayment.js': {
+    confirmOrderPayment: async (order, payment) => {
+      if (confirmResult instanceof Error) throw confirmResult;
+      if (confirmResult) payment.order = order._id;
+      return confirmResult;
+    },
+  },
+  '../utils/refunds.js': {
+    applyRefundEvent: async () => {},
+    refundUnusedPayment: async (payment, order) => {
+      refunds.push({ payment, order });
+      return { status: 'initiated' };
+    },
+  },
+});
+
+const makeOrder = (fields = {}) => {
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    customer: customerId,
+    status: 'pending_payment',
+    paymentStatus: 'pending',
+    paymentMethod: 'online',
+    saved: 0,
+    ...fields,
+  };
+  order.save = async () => {
+    order.saved += 1;
+    return order;
+  };
+  orders.set(order._id.toString(), order);
+  return order;
+};
+
+const makePayment = (order, fields = {}) => {
+  const payment = {
+    _id: new mongoose.Types.ObjectId(),
+    razorpay_order_id: 'order_gw_1',
+    status: 'CREATED',
+    customer: customerId.toString(),
+    referenceId: order._id.toString(),
+    order: null,
+    ...fields,
+  };
+  payment.save = async () => payment;
+  payments.set(payment._id.toString(), payment);
+  return payment;
+};
+
+const paymentEvent = (event, entity = {}) => ({
+  event,
+  payload: { payment: { entity: { id: 'pay_gw_1', order_id: 'order_gw_1', ...entity } } },
+});
+
+beforeEach(() => {
+  payments = new Map();
+  orders = new Map();
+  confirmResult = true;
+  refunds = [];
+});
+
+describe('handlePaymentEvent', () => {
+  test('ignores events it does not handle', async () => {
+    assert.equal(await handlePaymentEvent({ event: 'invoice.paid', payload: {} }), false);
+  });
+
+  test('marks a captured payment successful and confirms its order', async () => {
+    const order = makeOrder();
+    const payment = makePayment(order);
+
+    assert.equal(await handlePaymentEvent(paymentEvent('payment.captured')), true);
+
+    assert.equal(payment.status, 'SUCCESS');
+    assert.equal(payment.razorpay_payment_id, 'pay_gw_1');
+    assert.equal(payment.order, order._id);
+    assert.deepEqual(refunds, []);
+  });
+
+  test('refunds a capture for an order that was cancelled meanwhile', async () => {
+    const order = makeOrder({ status: 'cancelled' });
+    const payment = makePayment(order);
+    confirmResult = createHttpError(409, 'Order is no longer awaiting payment');
+
+    await handlePaymentEvent(paymentEvent('order.paid'));
+
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].payment, payment);
+    assert.equal(refunds[0].order, order);
+  });
+
+  test('refunds a capture for an order paid with another payment', async () => {
+    const order = makeOrder({ status: 'pending', paymentStatus: 'paid' });
+    makePayment(order);
+    confirmResult = false;
+
+    await handlePaymentEvent(paymentEvent('payment.captured'));
+
+    assert.equal(refunds.length, 1);
+  });
+
+  test('does not refund a payment that already paid for its order', async () => {
+    const order = makeOrder({ status: 'pending', paymentStatus: 'paid' });
+    makePayment(order, { status: 'SUCCESS', order: order._id });
+    confirmResult = false;
+
+    await handlePaymentEvent(paymentEvent('payment.captured'));
+
+    assert.deepEqual(refunds, []);
+  });
+
+  test("leaves another customer's order alone", async () => {
+    const order = makeOrder({ customer: new mongoose.Types.ObjectId() });
+    const payment = makePayment(order);
+
+    await handlePaymentEvent(paymentEvent('payment.captured'));
+
+    assert.equal(payment.status, 'SUCCESS');
+    assert.equal(payment.order, null);
+    assert.deepEqual(refunds, []);
+  });
+
+  test('passes unexpected errors on so the webhook is retried', async () => {
+    makePayment(makeOrder());
+    confirmResult = new Error('connection lost');
+
+    await assert.rejects(handlePaymentEvent(paymentEvent('payment.captured')), { message: 'connection lost' });
+    assert.deepEqual(refunds, []);
+  });
+
+  test('records a failed attempt but keeps the order open for a retry', async () => {
+    const order = makeOrder();
+    const payment = makePayment(order);
+
+    await handlePaymentEvent(paymentEvent('payment.failed', { error_description: 'Card declined' }));
+
+    assert.equal(payment.status, 'FAILED');
+    assert.equal(payment.errorDescription, 'Card declined');
+    assert.equal(order.status, 'pending_payment');
+    assert.equal(order.paymentStatus, 'failed');
+  });
+
+  test('ignores a failure reported after the payment succeeded', async () => {
+    const order = makeOrder();
+    const payment = makePayment(order, { status: 'SUCCESS' });
+
+    await handlePaymentEvent(paymentEvent('payment.failed'));
+
+    assert.equal(payment.status, 'SUCCESS');
+    assert.equal(order.saved, 0);
+  });
+});
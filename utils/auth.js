@@ -1,9 +1,13 @@
 import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { getAuthConfig } from '../config/auth.js';
+import { createHttpError } from './httpError.js';
+import { startSession, findActiveSession } from './sessions.js';
 
-// Generate JWT token
-export const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Generate a short-lived access token (JWT) tied to a session
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: getAuthConfig().accessTokenTtlSeconds,
   });
 };
 
@@ -16,19 +20,44 @@ export const verifyToken = (token) => {
   }
 };
 
-// Send token in cookie
-export const sendTokenResponse = (user, statusCode, res) => {
-  const token = generateToken(user._id);
+// Resolve an access token to its user and session, as protect and the socket
+// handshake do. Throws a 401 error if the token, session or account isn't valid.
+export const authenticateToken = async (token) => {
+  const decoded = verifyToken(token);
 
+  if (!decoded) {
+    throw createHttpError(401, 'Invalid token');
+  }
+
+  // Tokens issued before sessions existed carry no session id and are refused
+  const session = decoded.sid ? await findActiveSession(decoded.sid, decoded.id) : null;
+
+  if (!session) {
+    throw createHttpError(401, 'Session has expired. Please log in again.');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    throw createHttpError(401, 'User not found');
+  }
+
+  if (!user.isActive) {
+    throw createHttpError(401, 'Account has been deactivated');
+  }
+
+  return { user, sessionId: session._id };
+};
+
+// Options for the auth cookies; pass `expires: new Date(0)` to clear one
+export const authCookieOptions = (overrides = {}) => {
   const options = {
-    expires: new Date(
-      Date.now() + 30 * 24 * 60 * 60 * 1000 // 30 days
-    ),
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production',
     sameSite: process.env.COOKIE_SAMESITE || (process.env.NODE_ENV === 'production' ? 'none' : 'lax'),
     // When deployed, use `sameSite=none` so cross-site requests (from Vercel frontend)
     // can include the cookie. In non-production default to 'lax'.
+    ...overrides,
   };
 
   // Optionally set cookie domain if provided via env
@@ -36,9 +65,42 @@ export const sendTokenResponse = (user, statusCode, res) => {
     options.domain = process.env.COOKIE_DOMAIN;
   }
 
-  res.status(statusCode).cookie('token', token, options).json({
+  return options;
+};
+
+// The refresh token cookie is only sent to the auth routes
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Set the access and refresh token cookies.
+// Returns the values also sent in the JSON body for clients that don't use cookies.
+export const setAuthCookies = (res, userId, session, refreshToken) => {
+  const token = generateToken(userId, session._id);
+  const { accessTokenTtlSeconds } = getAuthConfig();
+
+  res.cookie('token', token, authCookieOptions({
+    expires: new Date(Date.now() + accessTokenTtlSeconds * 1000),
+  }));
+  res.cookie('refreshToken', refreshToken, authCookieOptions({
+    expires: session.expiresAt,
+    path: REFRESH_COOKIE_PATH,
+  }));
+
+  return { token, refreshToken, expiresIn: accessTokenTtlSeconds };
+};
+
+export const clearAuthCookies = (res) => {
+  res.cookie('token', '', authCookieOptions({ expires: new Date(0) }));
+  res.cookie('refreshToken', '', authCookieOptions({ expires: new Date(0), path: REFRESH_COOKIE_PATH }));
+};
+
+// Start a session and send its tokens in cookies and the response body
+export const sendTokenResponse = async (user, statusCode, req, res, method = 'password') => {
+  const { session, refreshToken } = await startSession(user, req, method);
+  const tokens = setAuthCookies(res, user._id, session, refreshToken);
+
+  res.status(statusCode).json({
     success: true,
-    token,
+    ...tokens,
     user: {
       id: user._id,
       name: user.name,
@@ -0,0 +1,213 @@
+import Order from '../models/Order.js';
+import { io, activeRidersPool } from '../server.js';
+import { getDispatchConfig } from '../config/dispatch.js';
+import { calculateDistance, hasCoordinates } from './geo.js';
+import { estimateRiderEarnings } from './dispatch.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Statuses of orders a rider is still working on
+const IN_PROGRESS_STATUSES = ['rider_assigned', 'preparing', 'ready', 'picked_up', 'on_the_way'];
+// Orders in these statuses are already with the rider, so only their drop remains
+const PICKED_UP_STATUSES = ['picked_up', 'on_the_way'];
+
+const legKm = (from, to) =>
+  calculateDistance(
+    Number(from.latitude),
+    Number(from.longitude),
+    Number(to.latitude),
+    Number(to.longitude)
+  );
+
+// Remaining pickup/drop stops for an order. Expects `restaurant` populated.
+const stopsForOrder = (order, restaurantAddress = order.restaurant.restaurantDetails.address) => {
+  const stops = [];
+
+  if (!PICKED_UP_STATUSES.includes(order.status)) {
+    stops.push({
+      order: order._id,
+      type: 'pickup',
+      latitude: Number(restaurantAddress.latitude),
+      longitude: Number(restaurantAddress.longitude),
+    });
+  }
+
+  stops.push({
+    order: order._id,
+    type: 'drop',
+    latitude: Number(order.deliveryAddress.latitude),
+    longitude: Number(order.deliveryAddress.longitude),
+  });
+
+  return stops;
+};
+
+// Every order of visiting `stops` from `start` in which each pickup comes before its
+// drop, with the total distance and the distance travelled before each pickup and drop.
+// Batches are small (a few stops), so trying every order is cheap.
+const listRoutes = (start, stops) => {
+  const routes = [];
+
+  const visit = (position, remaining, sequence, distanceKm, pickupKm, dropKm) => {
+    if (remaining.length === 0) {
+      routes.push({ stops: sequence, totalKm: distanceKm, pickupKm, dropKm });
+      return;
+    }
+
+    remaining.forEach((stop, index) => {
+      const orderId = stop.order.toString();
+      const pickupPending = stop.type === 'drop' &&
+        remaining.some((other) => other.type === 'pickup' && other.order.toString() === orderId);
+      if (pickupPending) return;
+
+      const travelled = distanceKm + legKm(position, stop);
+      visit(
+        stop,
+        remaining.filter((_, i) => i !== index),
+        [...sequence, stop],
+        travelled,
+        stop.type === 'pickup' ? { ...pickupKm, [orderId]: travelled } : pickupKm,
+        stop.type === 'drop' ? { ...dropKm, [orderId]: travelled } : dropKm
+      );
+    });
+  };
+
+  visit(start, stops, [], 0, {}, {});
+  return routes;
+};
+
+const shortestRoute = (routes) =>
+  routes.reduce((best, route) => (!best || route.totalKm < best.totalKm ? route : best), null);
+
+// Plan adding `order` (from `restaurant`) to a rider at `start` who already carries
+// `currentOrders`. The detour is the most extra distance any order travels: earlier
+// orders compared with the rider's route without the new one, the new order compared
+// with going straight from its restaurant to the customer. Returns null when every
+// sequence breaks the detour or wait limits. The new order earns for the extra
+// distance the batch adds (or its delivery fee, as for a single order); earlier
+// orders keep their earnings.
+export const planBatch = (start, currentOrders, order, restaurant, limits = getDispatchConfig().batching) => {
+  const currentStops = currentOrders.flatMap((current) => stopsForOrder(current));
+  const solo = shortestRoute(listRoutes(start, currentStops));
+  const newStops = stopsForOrder(order, restaurant.restaurantDetails.address);
+  const newId = order._id.toString();
+  const directKm = legKm(newStops[0], newStops[1]);
+
+  const plans = listRoutes(start, [...currentStops, ...newStops])
+    .map((route) => {
+      const detourKm = Math.max(
+        0,
+        route.dropKm[newId] - route.pickupKm[newId] - directKm,
+        ...currentOrders.map((current) => {
+          const id = current._id.toString();
+          return route.dropKm[id] - solo.dropKm[id];
+        })
+      );
+      return { ...route, detourKm };
+    })
+    .filter((route) =>
+      route.detourKm <= limits.maxDetourKm &&
+      (route.detourKm / limits.averageSpeedKmh) * 60 <= limits.maxWaitMinutes
+    );
+
+  const best = shortestRoute(plans);
+  if (!best) return null;
+
+  const extraKm = Math.max(0, best.totalKm - solo.totalKm);
+  const restaurantId = restaurant._id.toString();
+
+  return {
+    batchId: currentOrders[0].batch?.batchId || currentOrders[0]._id.toString(),
+    sameRestaurant: currentOrders.some(
+      (current) => (current.restaurant._id || current.restaurant).toString() === restaurantId
+    ),
+    stops: best.stops,
+    totalDistanceKm: round2(best.totalKm),
+    detourKm: round2(best.detourKm),
+    extraWaitMinutes: Math.round((best.detourKm / limits.averageSpeedKmh) * 60),
+    earnings: [
+      ...currentOrders.map((current) => ({ order: current._id, amount: current.riderEarnings || 0 })),
+      { order: order._id, amount: estimateRiderEarnings(order, extraKm) },
+    ],
+  };
+};
+
+// Find the busy rider the order fits best, preferring riders at the same restaurant
+// and then the smallest detour. Returns { riderId, riderData, plan } or null.
+export const findBatchCandidate = async ({ order, restaurant }) => {
+  const { batching } = getDispatchConfig();
+  if (!batching.enabled) return null;
+
+  const riders = Array.from(activeRidersPool.entries()).filter(([, riderData]) =>
+    riderData.activeOrders.length > 0 &&
+    riderData.activeOrders.length < batching.maxOrders &&
+    hasCoordinates(riderData.coordinates)
+  );
+  if (riders.length === 0) return null;
+
+  const currentOrders = await Order.find({
+    _id: { $in: riders.flatMap(([, riderData]) => riderData.activeOrders) },
+    status: { $in: IN_PROGRESS_STATUSES },
+  }).populate('restaurant', 'restaurantDetails.address');
+
+  let best = null;
+
+  for (const [riderId, riderData] of riders) {
+    const carrying = currentOrders.filter((current) => current.rider?.toString() === riderId);
+    if (carrying.length === 0) continue;
+    if (carrying.some((current) => !hasCoordinates(current.restaurant?.restaurantDetails?.address))) continue;
+
+    const plan = planBatch(riderData.coordinates, carrying, order, restaurant, batching);
+    if (!plan) continue;
+
+    const better = !best ||
+      (plan.sameRestaurant && !best.plan.sameRestaurant) ||
+      (plan.sameRestaurant === best.plan.sameRestaurant && plan.detourKm < best.plan.detourKm);
+    if (better) {
+      best = { riderId, riderData, plan };
+    }
+  }
+
+  return best;
+};
+
+// Batch details sent to the rider app with offers and `batch_assigned`
+export const buildBatchData = (plan) => ({
+  batchId: plan.batchId,
+  sameRestaurant: plan.sameRestaurant,
+  stops: plan.stops,
+  totalDistanceKm: plan.totalDistanceKm,
+  detourKm: plan.detourKm,
+  extraWaitMinutes: plan.extraWaitMinutes,
+  earnings: plan.earnings,
+  totalEarnings: round2(plan.earnings.reduce((sum, entry) => sum + entry.amount, 0)),
+});
+
+// Record an accepted batch on every order in it and send the route to the rider.
+// `order` is the newly assigned order, already saved with its rider.
+export const assignBatch = async (order, riderId, plan) => {
+  const batch = {
+    batchId: plan.batchId,
+    orders: plan.earnings.map((entry) => entry.order),
+    stops: plan.stops,
+    totalDistanceKm: plan.totalDistanceKm,
+    detourKm: plan.detourKm,
+  };
+  const orderId = order._id.toString();
+
+  order.batch = batch;
+  order.riderEarnings = plan.earnings.find((entry) => entry.order.toString() === orderId).amount;
+  await order.save();
+
+  await Order.updateMany(
+    { _id: { $in: batch.orders.filter((id) => id.toString() !== orderId) }, rider: riderId },
+    { batch }
+  );
+
+  io.to(`rider_${riderId}`).emit('batch_assigned', {
+    orderId: order._id,
+    ...buildBatchData(plan),
+  });
+
+  console.log(`📦 Order ${orderId} batched with ${batch.orders.length - 1} other order(s) for rider ${riderId}`);
+};
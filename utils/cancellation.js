@@ -0,0 +1,42 @@
+import { getCancellationPolicy } from '../config/cancellation.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// What the customer has paid so far: everything once the order is paid, otherwise
+// just the wallet share of a cash or not-yet-paid online order
+const getPaidAmount = (order) => (order.paymentStatus === 'paid' ? order.totalAmount : order.walletAmount || 0);
+
+// Work out whether a customer may cancel an order right now, and at what cost.
+// Returns { allowed, fee, refundAmount, message }.
+export const evaluateCancellation = (order) => {
+  const policy = getCancellationPolicy();
+
+  if (policy.freeStatuses.includes(order.status)) {
+    return {
+      allowed: true,
+      fee: 0,
+      refundAmount: getPaidAmount(order),
+      message: 'Order cancelled free of charge',
+    };
+  }
+
+  const feePercent = policy.feePercentByStatus[order.status];
+
+  if (feePercent === undefined) {
+    return {
+      allowed: false,
+      fee: 0,
+      refundAmount: 0,
+      message: `Orders that are ${order.status.replace(/_/g, ' ')} can no longer be cancelled`,
+    };
+  }
+
+  const fee = round2(Math.min(order.totalAmount, (order.totalAmount * feePercent) / 100));
+
+  return {
+    allowed: true,
+    fee,
+    refundAmount: round2(Math.max(0, getPaidAmount(order) - fee)),
+    message: `Order cancelled with a cancellation fee of ₹${fee}`,
+  };
+};
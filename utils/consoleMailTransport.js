@@ -0,0 +1,10 @@
+// Prints emails to the server log instead of sending them (local development)
+const consoleMailTransport = {
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    console.log(`📧 Email to ${to} from ${from}\n   Subject: ${subject}\n${text.replace(/^/gm, '   ')}`);
+  },
+};
+
+export default consoleMailTransport;
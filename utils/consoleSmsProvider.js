@@ -0,0 +1,10 @@
+// Prints text messages to the server log instead of sending them (local development)
+const consoleSmsProvider = {
+  name: 'console',
+
+  async send({ to, text }) {
+    console.log(`📱 SMS to ${to}: ${text}`);
+  },
+};
+
+export default consoleSmsProvider;
@@ -0,0 +1,223 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Order from '../models/Order.js';
+import { createHttpError } from './httpError.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Orders that don't make a customer a returning customer
+const NOT_PLACED_STATUSES = ['pending_payment', 'rejected', 'auto_rejected', 'cancelled'];
+
+// Redemptions retry this many times when another checkout by the same customer takes their slot
+const MAX_REDEEM_ATTEMPTS = 5;
+
+// Coupon fields admins and restaurants can set
+export const COUPON_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'minOrderValue',
+  'maxDiscount',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perUserLimit',
+  'firstOrderOnly',
+  'isActive',
+];
+
+export const normalizeCouponCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Discount in rupees a coupon gives on a food subtotal and delivery fee
+export const calculateDiscount = (coupon, { subtotal, deliveryFee }) => {
+  let discount = 0;
+
+  if (coupon.type === 'percentage') {
+    discount = (subtotal * coupon.value) / 100;
+  } else if (coupon.type === 'flat') {
+    discount = Math.min(coupon.value, subtotal);
+  } else if (coupon.type === 'free_delivery') {
+    discount = deliveryFee;
+  }
+
+  if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return round2(Math.max(0, discount));
+};
+
+// Check a coupon code against an order and work out its discount. Throws 400 with
+// the reason the coupon can't be used. Returns the fields recorded on the order.
+export const validateCoupon = async ({ code, customerId, restaurantId, subtotal, deliveryFee, at = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+
+  if (!coupon || !coupon.isActive) {
+    throw createHttpError(400, 'This coupon code is not valid');
+  }
+  if (coupon.validFrom && at < coupon.validFrom) {
+    throw createHttpError(400, 'This coupon is not active yet', { validFrom: coupon.validFrom });
+  }
+  if (coupon.validUntil && at > coupon.validUntil) {
+    throw createHttpError(400, 'This coupon has expired');
+  }
+  if (coupon.scope === 'restaurant' && coupon.restaurant.toString() !== restaurantId.toString()) {
+    throw createHttpError(400, 'This coupon is not valid at this restaurant');
+  }
+  if (subtotal < coupon.minOrderValue) {
+    throw createHttpError(400, `Add items worth ₹${round2(coupon.minOrderValue - subtotal)} more to use this coupon`, {
+      minOrderValue: coupon.minOrderValue,
+    });
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw createHttpError(400, 'This coupon has been fully redeemed');
+  }
+
+  if (!customerId) {
+    throw createHttpError(400, 'A customer is required to use a coupon');
+  }
+
+  if (coupon.firstOrderOnly) {
+    const hasOrdered = await Order.exists({
+      customer: customerId,
+      status: { $nin: NOT_PLACED_STATUSES },
+    });
+    if (hasOrdered) {
+      throw createHttpError(400, 'This coupon is only for your first order');
+    }
+  }
+
+  const amount = calculateDiscount(coupon, { subtotal, deliveryFee });
+  if (amount <= 0) {
+    throw createHttpError(400, 'This coupon gives no discount on this order');
+  }
+
+  return {
+    coupon: coupon._id,
+    code: coupon.code,
+    type: coupon.type,
+    amount,
+    fundedBy: coupon.scope,
+  };
+};
+
+// Record a customer's use of a coupon. With a perUserLimit the use takes the first
+// free one of the customer's slots; the slot index is unique, so a checkout that
+// loses the race for a slot tries the next one and is refused once all are taken.
+const createRedemption = async (coupon, order) => {
+  const redemption = {
+    coupon: coupon._id,
+    user: order.customer._id || order.customer,
+    order: order._id,
+    discount: order.discount,
+  };
+
+  if (coupon.perUserLimit === null) {
+    return CouponRedemption.create(redemption);
+  }
+
+  for (let attempt = 0; attempt < MAX_REDEEM_ATTEMPTS; attempt += 1) {
+    const redeemed = await CouponRedemption.find({
+      coupon: coupon._id,
+      user: redemption.user,
+      status: 'redeemed',
+    }).select('slot');
+    if (redeemed.length >= coupon.perUserLimit) {
+      throw createHttpError(400, 'You have already used this coupon');
+    }
+
+    const taken = new Set(redeemed.map((entry) => entry.slot));
+    let slot = 1;
+    while (taken.has(slot)) slot += 1;
+
+    try {
+      return await CouponRedemption.create({ ...redemption, slot });
+    } catch (error) {
+      // Another checkout took this slot; look again
+      if (error.code !== 11000 || !error.keyPattern?.slot) throw error;
+    }
+  }
+
+  throw createHttpError(409, 'Coupon is busy, please try again');
+};
+
+// Count a coupon use for a new (not yet saved) order. The global and per-customer
+// limits are both checked atomically so two checkouts can't both take the last use.
+export const redeemCoupon = async (order) => {
+  const applied = order.coupon;
+
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      _id: applied.coupon,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+
+  if (!coupon) {
+    throw createHttpError(409, 'This coupon has just been fully redeemed');
+  }
+
+  try {
+    await createRedemption(coupon, order);
+  } catch (error) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+    throw error;
+  }
+};
+
+// Give a coupon use back when its order is rejected, cancelled or never saved.
+// Safe to call for orders without a coupon and more than once.
+export const releaseCoupon = async (order) => {
+  if (!order.coupon?.coupon) return;
+
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: order._id, status: 'redeemed' },
+    { status: 'released', releasedAt: new Date() }
+  );
+
+  if (redemption) {
+    await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { usedCount: -1 } });
+    console.log(`🎟️ Coupon ${order.coupon.code} released from order ${order._id}`);
+  }
+};
+
+// Validate a coupon from the admin or restaurant dashboard (for updates, the stored
+// coupon merged with the changes). Returns an error message or null.
+export const validateCouponInput = (data) => {
+  if (!/^[A-Z0-9_-]{3,20}$/.test(normalizeCouponCode(data.code))) {
+    return 'Code must be 3-20 letters, digits, dashes or underscores';
+  }
+  if (!['percentage', 'flat', 'free_delivery'].includes(data.type)) {
+    return 'Type must be percentage, flat or free_delivery';
+  }
+  if (data.type === 'percentage' && !(data.value > 0 && data.value <= 100)) {
+    return 'Percentage coupons need a value between 1 and 100';
+  }
+  if (data.type === 'flat' && !(data.value > 0)) {
+    return 'Flat coupons need a value greater than zero';
+  }
+
+  for (const field of ['minOrderValue', 'maxDiscount']) {
+    if (data[field] !== undefined && data[field] !== null && !(Number(data[field]) >= 0)) {
+      return `${field} must be zero or more`;
+    }
+  }
+  for (const field of ['usageLimit', 'perUserLimit']) {
+    if (data[field] !== undefined && data[field] !== null && !(Number.isInteger(data[field]) && data[field] >= 1)) {
+      return `${field} must be a whole number of at least 1`;
+    }
+  }
+  for (const field of ['validFrom', 'validUntil']) {
+    if (data[field] && Number.isNaN(new Date(data[field]).getTime())) {
+      return `${field} must be a date`;
+    }
+  }
+  if (data.validFrom && data.validUntil && new Date(data.validFrom) >= new Date(data.validUntil)) {
+    return 'validUntil must be after validFrom';
+  }
+
+  return null;
+};
@@ -0,0 +1,81 @@
+import { createHttpError } from './httpError.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Check a customer's option selections against a menu item's current variant and
+// add-on groups. `selections` is a list of { groupId, optionId }.
+// Returns { customizations, unitPrice } where customizations are snapshots for storage.
+export const resolveCustomizations = (menuItem, selections = []) => {
+  if (!Array.isArray(selections)) {
+    throw createHttpError(400, 'customizations must be an array');
+  }
+
+  const groups = [
+    ...(menuItem.variantGroups || []).map((group) => ({ kind: 'variant', group })),
+    ...(menuItem.addOnGroups || []).map((group) => ({ kind: 'addon', group })),
+  ];
+
+  const chosenByGroup = new Map();
+  const customizations = [];
+
+  for (const selection of selections) {
+    const groupId = selection?.groupId?.toString();
+    const optionId = selection?.optionId?.toString();
+    const match = groups.find(({ group }) => group._id.toString() === groupId);
+
+    if (!match) {
+      throw createHttpError(400, `${menuItem.name}: unknown customization group`);
+    }
+
+    const option = match.group.options.find((opt) => opt._id.toString() === optionId);
+
+    if (!option) {
+      throw createHttpError(400, `${menuItem.name}: unknown option in ${match.group.name}`);
+    }
+    if (!option.isAvailable) {
+      throw createHttpError(400, `${menuItem.name}: ${option.name} is currently unavailable`);
+    }
+
+    const chosen = chosenByGroup.get(groupId) || new Set();
+    if (chosen.has(optionId)) {
+      throw createHttpError(400, `${menuItem.name}: ${option.name} was selected twice`);
+    }
+    chosen.add(optionId);
+    chosenByGroup.set(groupId, chosen);
+
+    customizations.push({
+      kind: match.kind,
+      groupId: match.group._id,
+      groupName: match.group.name,
+      optionId: option._id,
+      optionName: option.name,
+      priceDelta: option.priceDelta || 0,
+    });
+  }
+
+  for (const { group } of groups) {
+    const count = chosenByGroup.get(group._id.toString())?.size || 0;
+
+    if (count < group.minSelect) {
+      throw createHttpError(400, `${menuItem.name}: choose at least ${group.minSelect} from ${group.name}`);
+    }
+    if (count > group.maxSelect) {
+      throw createHttpError(400, `${menuItem.name}: choose at most ${group.maxSelect} from ${group.name}`);
+    }
+  }
+
+  // Never below zero, even for items saved before option prices were checked
+  const unitPrice = round2(Math.max(
+    0,
+    menuItem.price + customizations.reduce((sum, choice) => sum + choice.priceDelta, 0)
+  ));
+
+  return { customizations, unitPrice };
+};
+
+// Stable key for a set of selections, used to merge identical cart lines
+export const customizationKey = (customizations = []) =>
+  customizations
+    .map((choice) => `${choice.groupId}:${choice.optionId}`)
+    .sort()
+    .join('|');
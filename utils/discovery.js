@@ -0,0 +1,141 @@
+import MenuItem from '../models/MenuItem.js';
+import Promotion from '../models/Promotion.js';
+import User from '../models/User.js';
+import { toGeoPoint } from './geo.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Latitude/longitude ranges a 2dsphere index accepts, excluding the 0,0 placeholder
+const validCoordinates = (latitudePath, longitudePath) => ({
+  [latitudePath]: { $type: 'number', $gte: -90, $lte: 90 },
+  [longitudePath]: { $type: 'number', $gte: -180, $lte: 180 },
+  $nor: [{ [latitudePath]: 0, [longitudePath]: 0 }],
+});
+
+// Give restaurants and menu items saved before GeoJSON locations existed a location
+export const backfillLocations = async () => {
+  const restaurants = await User.updateMany(
+    {
+      'restaurantDetails.location': { $exists: false },
+      ...validCoordinates('restaurantDetails.address.latitude', 'restaurantDetails.address.longitude'),
+    },
+    [{
+      $set: {
+        'restaurantDetails.location': {
+          type: 'Point',
+          coordinates: ['$restaurantDetails.address.longitude', '$restaurantDetails.address.latitude'],
+        },
+      },
+    }]
+  );
+
+  const menuItems = await MenuItem.updateMany(
+    {
+      location: { $exists: false },
+      ...validCoordinates('restaurantLocation.latitude', 'restaurantLocation.longitude'),
+    },
+    [{
+      $set: {
+        location: {
+          type: 'Point',
+          coordinates: ['$restaurantLocation.longitude', '$restaurantLocation.latitude'],
+        },
+      },
+    }]
+  );
+
+  if (restaurants.modifiedCount + menuItems.modifiedCount > 0) {
+    console.log(`📍 Added locations to ${restaurants.modifiedCount} restaurant(s) and ${menuItems.modifiedCount} menu item(s)`);
+  }
+};
+
+// Move a restaurant's menu items to its current address
+export const syncMenuLocations = async (restaurant) => {
+  const address = restaurant.restaurantDetails?.address;
+  const location = toGeoPoint(address);
+
+  const restaurantLocation = { latitude: address?.latitude, longitude: address?.longitude };
+
+  await MenuItem.updateMany(
+    { restaurantId: restaurant._id },
+    location
+      ? { $set: { restaurantLocation, location } }
+      : { $set: { restaurantLocation }, $unset: { location: 1 } }
+  );
+};
+
+// One page of restaurants that have something on the menu, with their available
+// menu items and active promotions, in a single aggregate. With a `near` point
+// ({ latitude, longitude }) only restaurants within `maxDistanceKm` are returned,
+// nearest first, each with its `distance` in km; otherwise oldest first.
+// Returns { restaurants, total }; promotions still need their time window checked.
+export const findRestaurantsWithMenus = async ({ near, maxDistanceKm, page, limit }) => {
+  const point = near ? toGeoPoint(near) : undefined;
+
+  const pipeline = point
+    ? [{
+      $geoNear: {
+        near: point,
+        key: 'restaurantDetails.location',
+        distanceField: 'distance',
+        maxDistance: maxDistanceKm * 1000,
+        spherical: true,
+        query: { role: 'restaurant' },
+      },
+    }]
+    : [{ $match: { role: 'restaurant' } }, { $sort: { _id: 1 } }];
+
+  pipeline.push(
+    // Only restaurants with at least one available item
+    {
+      $lookup: {
+        from: MenuItem.collection.name,
+        localField: '_id',
+        foreignField: 'restaurantId',
+        as: 'hasMenu',
+        pipeline: [{ $match: { isAvailable: true } }, { $limit: 1 }, { $project: { _id: 1 } }],
+      },
+    },
+    { $match: { 'hasMenu.0': { $exists: true } } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        restaurants: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { name: 1, avatar: 1, restaurantDetails: 1, distance: 1 } },
+          {
+            $lookup: {
+              from: MenuItem.collection.name,
+              localField: '_id',
+              foreignField: 'restaurantId',
+              as: 'menuItems',
+              pipeline: [{ $match: { isAvailable: true } }, { $sort: { createdAt: -1 } }],
+            },
+          },
+          {
+            $lookup: {
+              from: Promotion.collection.name,
+              localField: '_id',
+              foreignField: 'restaurant',
+              as: 'promotions',
+              pipeline: [{ $match: { isActive: true } }],
+            },
+          },
+        ],
+      },
+    }
+  );
+
+  const [result] = await User.aggregate(pipeline);
+
+  return {
+    total: result.total[0]?.count || 0,
+    restaurants: result.restaurants.map(({ menuItems, promotions, distance, ...restaurant }) => ({
+      restaurant: User.hydrate(restaurant),
+      menuItems: menuItems.map((menuItem) => MenuItem.hydrate(menuItem)),
+      promotions: promotions.map((promotion) => Promotion.hydrate(promotion)),
+      distance: distance === undefined ? null : round2(distance / 1000),
+    })),
+  };
+};
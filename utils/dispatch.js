@@ -0,0 +1,374 @@
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import DispatchOffer from '../models/DispatchOffer.js';
+import { io, activeRidersPool, activeOrdersPool } from '../server.js';
+import { getDispatchConfig } from '../config/dispatch.js';
+import { transitionOrder } from './orderStateMachine.js';
+import { calculateDistance, hasCoordinates } from './geo.js';
+import { findBatchCandidate, buildBatchData } from './batching.js';
+
+// Dispatches in progress, keyed by order id:
+// { order, restaurant, distanceToCustomer, wave, open, offered, current, batchPlans, timer }
+// `offered` holds every rider offered the order so far; `current` maps the riders
+// holding a live offer to their DispatchOffer id; `batchPlans` keeps the route
+// planned for riders offered the order on top of their current delivery.
+const activeDispatches = new Map();
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Status in which an order is waiting for a rider; startDispatch moves accepted orders here
+const DISPATCHABLE_STATUSES = ['awaiting_rider'];
+
+// Rider earnings for an order:
+// - If customer paid delivery fee (order < ₹500): rider gets same amount
+// - If customer got free delivery (order ≥ ₹500): ₹8/km from restaurant to customer
+export const estimateRiderEarnings = (order, distanceToCustomer) =>
+  order.deliveryFee > 0
+    ? order.deliveryFee
+    : Math.round(distanceToCustomer * 8);
+
+// Rank available riders in activeRidersPool for a pickup at `location`.
+// Riders out of range or already at their order limit are left out; the rest are
+// scored on distance, current load, rating and time since their last assignment.
+export const rankRiders = async (location, { exclude } = {}) => {
+  const config = getDispatchConfig();
+  const now = Date.now();
+  const candidates = [];
+
+  activeRidersPool.forEach((riderData, riderId) => {
+    if (exclude?.has(riderId) || !hasCoordinates(riderData.coordinates)) return;
+
+    const activeOrders = riderData.activeOrders.length;
+    if (activeOrders >= config.maxActiveOrders) return;
+
+    const distanceKm = calculateDistance(
+      Number(location.latitude),
+      Number(location.longitude),
+      Number(riderData.coordinates.latitude),
+      Number(riderData.coordinates.longitude)
+    );
+    if (distanceKm > config.maxRadiusKm) return;
+
+    const idleSince = riderData.lastAssignedAt || riderData.joinedAt || riderData.lastUpdate;
+    candidates.push({
+      riderId,
+      name: riderData.name,
+      distanceKm: round2(distanceKm),
+      activeOrders,
+      idleMinutes: Math.max(0, Math.round((now - new Date(idleSince).getTime()) / 60000)),
+    });
+  });
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const riders = await User.find({ _id: { $in: candidates.map((c) => c.riderId) } })
+    .select('riderDetails.rating');
+  const ratings = new Map(
+    riders.map((rider) => [rider._id.toString(), rider.riderDetails?.rating?.average ?? 2.5])
+  );
+
+  const { weights } = config;
+  return candidates
+    .map((candidate) => {
+      const rating = ratings.get(candidate.riderId) ?? 2.5;
+      const score =
+        weights.distance * (1 - candidate.distanceKm / config.maxRadiusKm) +
+        weights.load * (1 - candidate.activeOrders / config.maxActiveOrders) +
+        weights.rating * (rating / 5) +
+        weights.idle * Math.min(candidate.idleMinutes / config.idleCapMinutes, 1);
+      return { ...candidate, rating, score: round2(score) };
+    })
+    .sort((a, b) => b.score - a.score)
+    .map((candidate, index) => ({ ...candidate, rank: index + 1 }));
+};
+
+// Payload of the `new_order_available` event for one offer
+const buildOfferData = (dispatch, candidate, offer) => {
+  const { order, restaurant, distanceToCustomer } = dispatch;
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    offerId: offer._id,
+    wave: offer.wave,
+    expiresAt: offer.expiresAt || null, // null once the order is open to all riders
+    restaurantName: restaurant.restaurantDetails.kitchenName,
+    restaurantAddress: restaurant.restaurantDetails.address,
+    deliveryAddress: order.deliveryAddress,
+    totalAmount: order.totalAmount,
+    distance: candidate.distanceKm.toFixed(2), // Distance from rider to restaurant
+    distanceToCustomer: distanceToCustomer.toFixed(2), // Distance from restaurant to customer
+    riderEarnings: candidate.batch
+      ? candidate.batch.earnings.find((entry) => entry.order.toString() === order._id.toString()).amount
+      : estimateRiderEarnings(order, distanceToCustomer),
+    paymentMethod: order.paymentMethod,
+    items: order.items,
+    batch: candidate.batch ? buildBatchData(candidate.batch) : null,
+  };
+};
+
+// Candidate entry for a rider offered the order on top of their current delivery
+const toBatchCandidate = ({ riderId, riderData, plan }, location) => ({
+  riderId,
+  name: riderData.name,
+  distanceKm: round2(calculateDistance(
+    Number(location.latitude),
+    Number(location.longitude),
+    Number(riderData.coordinates.latitude),
+    Number(riderData.coordinates.longitude)
+  )),
+  activeOrders: riderData.activeOrders.length,
+  rank: 0,
+  batch: plan,
+});
+
+// Withdraw every live offer for an order and forget the dispatch
+const stopDispatch = async (orderId, dispatch) => {
+  clearTimeout(dispatch.timer);
+  if (activeDispatches.get(orderId) === dispatch) {
+    activeDispatches.delete(orderId);
+  }
+
+  await DispatchOffer.updateMany(
+    { order: orderId, status: 'offered' },
+    { status: 'withdrawn', respondedAt: new Date() }
+  );
+
+  dispatch.current.forEach((offerId, riderId) => {
+    io.to(`rider_${riderId}`).emit('order_taken', { orderId });
+  });
+};
+
+// Offer the order to the next wave of riders. Once `maxWaves` waves have gone
+// unanswered the order is open: every eligible rider gets an offer that doesn't
+// expire, and later waves only add riders who have come online since.
+const runNextWave = async (orderId) => {
+  const dispatch = activeDispatches.get(orderId);
+  if (!dispatch) return;
+
+  clearTimeout(dispatch.timer);
+
+  // Stop if the order was cancelled or assigned outside the dispatcher
+  const stillNeedsRider = await Order.exists({
+    _id: orderId,
+    status: { $in: DISPATCHABLE_STATUSES },
+    rider: null,
+  });
+  if (!stillNeedsRider) {
+    await stopDispatch(orderId, dispatch);
+    return;
+  }
+
+  const config = getDispatchConfig();
+  dispatch.wave += 1;
+  dispatch.open = dispatch.wave > config.maxWaves;
+
+  const location = dispatch.restaurant.restaurantDetails.address;
+  const ranked = await rankRiders(location, { exclude: dispatch.offered });
+
+  // The first wave also offers the order to the best-fitting rider already out on a delivery
+  const batchCandidate = dispatch.wave === 1 ? await findBatchCandidate(dispatch) : null;
+  const wave = dispatch.open
+    ? ranked
+    : batchCandidate
+      ? [toBatchCandidate(batchCandidate, location), ...ranked.slice(0, Math.max(config.waveSize - 1, 0))]
+      : ranked.slice(0, config.waveSize);
+  const expiresAt = dispatch.open
+    ? undefined
+    : new Date(Date.now() + config.offerTimeoutSeconds * 1000);
+
+  if (wave.length > 0) {
+    const offers = await DispatchOffer.insertMany(
+      wave.map((candidate) => ({
+        order: orderId,
+        rider: candidate.riderId,
+        wave: dispatch.wave,
+        rank: candidate.rank,
+        score: candidate.score,
+        distanceKm: candidate.distanceKm,
+        activeOrders: candidate.activeOrders,
+        rating: candidate.rating,
+        idleMinutes: candidate.idleMinutes,
+        batch: Boolean(candidate.batch),
+        detourKm: candidate.batch?.detourKm,
+        expiresAt,
+      }))
+    );
+
+    // The order may have been taken while the offers were being written
+    if (activeDispatches.get(orderId) !== dispatch) {
+      await DispatchOffer.updateMany(
+        { _id: { $in: offers.map((offer) => offer._id) }, status: 'offered' },
+        { status: 'withdrawn', respondedAt: new Date() }
+      );
+      return;
+    }
+
+    offers.forEach((offer, index) => {
+      const candidate = wave[index];
+      dispatch.offered.add(candidate.riderId);
+      dispatch.current.set(candidate.riderId, offer._id);
+      if (candidate.batch) {
+        dispatch.batchPlans.set(candidate.riderId, candidate.batch);
+      }
+      io.to(`rider_${candidate.riderId}`).emit('new_order_available', buildOfferData(dispatch, candidate, offer));
+    });
+
+    console.log(`📤 Dispatch wave ${dispatch.wave} for order ${orderId}: ${wave.map((c) => `${c.name} (${c.batch ? 'batch' : c.score})`).join(', ')}`);
+  } else {
+    console.log(`⏳ Dispatch wave ${dispatch.wave} for order ${orderId}: no riders available`);
+  }
+
+  // Waves with nobody in range still wait, so riders who come online get the next one
+  dispatch.timer = setTimeout(() => {
+    expireWave(orderId).catch((error) => {
+      console.error(`❌ Error in dispatch for order ${orderId}:`, error);
+    });
+  }, config.offerTimeoutSeconds * 1000);
+};
+
+// Expire the current wave's unanswered offers and move on to the next wave
+const expireWave = async (orderId) => {
+  const dispatch = activeDispatches.get(orderId);
+  if (!dispatch) return;
+
+  if (!dispatch.open && dispatch.current.size > 0) {
+    await DispatchOffer.updateMany(
+      { _id: { $in: Array.from(dispatch.current.values()) }, status: 'offered' },
+      { status: 'expired', respondedAt: new Date() }
+    );
+    dispatch.current.forEach((offerId, riderId) => {
+      io.to(`rider_${riderId}`).emit('order_offer_expired', { orderId, offerId });
+    });
+    dispatch.current = new Map();
+  }
+
+  await runNextWave(orderId);
+};
+
+// Move an order the restaurant has just accepted to `awaiting_rider`, where riders
+// can see and take it, and let the customer and restaurant know
+const markAwaitingRider = async (order) => {
+  const orderId = order._id.toString();
+
+  transitionOrder(order, 'awaiting_rider', { actor: 'system' });
+  await order.save();
+
+  const orderSocket = activeOrdersPool.get(orderId);
+  if (orderSocket) {
+    orderSocket.status = 'awaiting_rider';
+    activeOrdersPool.set(orderId, orderSocket);
+  }
+
+  const statusUpdate = { orderId, status: 'awaiting_rider', message: 'Looking for a rider' };
+  io.to(`order_${orderId}`).emit('order_status_changed', statusUpdate);
+  io.to(`restaurant_${order.restaurant._id || order.restaurant}`).emit('order_status_changed', statusUpdate);
+};
+
+// Start offering an order the restaurant has accepted to riders
+export const startDispatch = async (order) => {
+  const orderId = order._id.toString();
+  if (activeDispatches.has(orderId)) return;
+
+  if (order.status === 'accepted') {
+    await markAwaitingRider(order);
+  }
+
+  const restaurant = await User.findById(order.restaurant._id || order.restaurant)
+    .select('restaurantDetails');
+
+  if (!hasCoordinates(restaurant?.restaurantDetails?.address)) {
+    console.error(`❌ Cannot dispatch order ${orderId}: restaurant has no valid coordinates`);
+    return;
+  }
+
+  const { address } = restaurant.restaurantDetails;
+  const distanceToCustomer = calculateDistance(
+    Number(address.latitude),
+    Number(address.longitude),
+    Number(order.deliveryAddress.latitude),
+    Number(order.deliveryAddress.longitude)
+  );
+
+  activeDispatches.set(orderId, {
+    order,
+    restaurant,
+    distanceToCustomer,
+    wave: 0,
+    open: false,
+    offered: new Set(),
+    current: new Map(),
+    batchPlans: new Map(),
+    timer: null,
+  });
+
+  await runNextWave(orderId);
+};
+
+// Whether a rider may accept an order. Orders without a running dispatch (e.g.
+// after a server restart) can be taken by any rider.
+export const canRiderAccept = (orderId, riderId) => {
+  const dispatch = activeDispatches.get(orderId.toString());
+  return !dispatch || dispatch.current.has(riderId.toString());
+};
+
+// Record a rider turning down an offer; the next wave goes out straight away
+// once everyone in the current wave has declined
+export const declineOffer = async (orderId, riderId) => {
+  const id = orderId.toString();
+  const dispatch = activeDispatches.get(id);
+  const offerId = dispatch?.current.get(riderId.toString());
+  if (!offerId) return false;
+
+  dispatch.current.delete(riderId.toString());
+  await DispatchOffer.updateOne(
+    { _id: offerId, status: 'offered' },
+    { status: 'declined', respondedAt: new Date() }
+  );
+
+  if (!dispatch.open && dispatch.current.size === 0) {
+    await runNextWave(id);
+  }
+  return true;
+};
+
+// Close the dispatch once a rider has been assigned: the rider's offer is marked
+// accepted and every other live offer is withdrawn. Returns the batch plan when the
+// rider accepted the order on top of their current delivery, otherwise null.
+export const completeDispatch = async (orderId, riderId) => {
+  const id = orderId.toString();
+  const now = new Date();
+  const dispatch = activeDispatches.get(id);
+
+  if (dispatch) {
+    clearTimeout(dispatch.timer);
+    activeDispatches.delete(id);
+  }
+
+  await DispatchOffer.updateOne(
+    { order: id, rider: riderId, status: 'offered' },
+    { status: 'accepted', respondedAt: now }
+  );
+  await DispatchOffer.updateMany(
+    { order: id, status: 'offered' },
+    { status: 'withdrawn', respondedAt: now }
+  );
+
+  const riderData = activeRidersPool.get(riderId.toString());
+  if (riderData) {
+    riderData.lastAssignedAt = now;
+  }
+
+  return dispatch?.batchPlans.get(riderId.toString()) || null;
+};
+
+// Stop dispatching an order that no longer needs a rider (cancelled, rejected...)
+export const cancelDispatch = async (orderId) => {
+  const id = orderId.toString();
+  const dispatch = activeDispatches.get(id);
+  if (dispatch) {
+    await stopDispatch(id, dispatch);
+  }
+};
@@ -0,0 +1,22 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getMailConfig } from '../config/mail.js';
+
+// Writes each email to a text file under MAIL_FILE_DIR, newest sorting last,
+// so tests and local setups can read what would have been sent
+const fileMailTransport = {
+  name: 'file',
+
+  async send({ from, to, subject, text }) {
+    const dir = path.resolve(getMailConfig().fileDir);
+    await fs.mkdir(dir, { recursive: true });
+
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.txt`;
+    const content = `From: ${from}\nTo: ${to}\nSubject: ${subject}\nDate: ${new Date().toUTCString()}\n\n${text}\n`;
+
+    await fs.writeFile(path.join(dir, name), content);
+  },
+};
+
+export default fileMailTransport;
@@ -0,0 +1,33 @@
+// Haversine formula to calculate distance between two coordinates (in km)
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
+// Check that a value pair is a usable latitude/longitude
+export const hasCoordinates = (point) =>
+  point != null &&
+  Number.isFinite(Number(point.latitude)) &&
+  Number.isFinite(Number(point.longitude)) &&
+  !(Number(point.latitude) === 0 && Number(point.longitude) === 0);
+
+// GeoJSON point for a latitude/longitude pair (GeoJSON puts longitude first),
+// or undefined when the pair isn't usable. 2dsphere indexes reject out-of-range points.
+export const toGeoPoint = (point) => {
+  if (!hasCoordinates(point)) return undefined;
+
+  const latitude = Number(point.latitude);
+  const longitude = Number(point.longitude);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return undefined;
+
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
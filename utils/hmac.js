@@ -0,0 +1,11 @@
+import crypto from 'crypto';
+
+// Hex HMAC-SHA256, as used by payment gateway signatures
+export const hmacSha256 = (secret, data) =>
+  crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+// Compare a received signature with the expected one in constant time
+export const signaturesMatch = (expected, received) =>
+  typeof received === 'string' &&
+  received.length === expected.length &&
+  crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
@@ -0,0 +1,36 @@
+// Create an Error carrying an HTTP status code.
+// The global error handler in server.js and the route catch blocks read
+// `statusCode` (and optional `details`) to build the JSON response.
+export const createHttpError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+// Send an error created with createHttpError, or a generic 500 otherwise
+export const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.details || {}),
+    });
+  }
+
+  // A guarded save (see transitionOrder) found the document already changed
+  if (error.name === 'DocumentNotFoundError') {
+    return res.status(409).json({
+      success: false,
+      message: 'Order was updated by someone else. Please refresh and try again.',
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
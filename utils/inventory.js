@@ -0,0 +1,202 @@
+import MenuItem from '../models/MenuItem.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { io } from '../server.js';
+import { getInventoryConfig } from '../config/inventory.js';
+import { createHttpError } from './httpError.js';
+import { getLocalParts } from './operatingHours.js';
+import { getRestaurantTimeZone } from './promotions.js';
+
+// Items with a daily quantity have their stock counted; others are unlimited
+export const isStockTracked = (menuItem) =>
+  menuItem.stock?.dailyQuantity !== null && menuItem.stock?.dailyQuantity !== undefined;
+
+// Throw 400 if `quantity` of a menu item is more than is left today
+export const assertInStock = (menuItem, quantity) => {
+  if (!isStockTracked(menuItem)) return;
+
+  const remaining = menuItem.stock.remaining ?? 0;
+
+  if (remaining <= 0) {
+    throw createHttpError(400, `${menuItem.name} is sold out for today`, {
+      menuItem: menuItem._id,
+      remaining: 0,
+    });
+  }
+  if (quantity > remaining) {
+    throw createHttpError(400, `Only ${remaining} ${menuItem.name} left today`, {
+      menuItem: menuItem._id,
+      remaining,
+    });
+  }
+};
+
+// Total quantity per menu item id across lines ({ menuItem, quantity }); the same
+// item can appear on several lines with different customizations
+const totalByItem = (lines) =>
+  lines.reduce((totals, line) => {
+    const id = (line.menuItem?._id || line.menuItem).toString();
+    totals.set(id, (totals.get(id) || 0) + Number(line.quantity));
+    return totals;
+  }, new Map());
+
+// Check lines against today's stock, with the menu items already loaded by id
+export const assertQuantitiesInStock = (lines, menuById) => {
+  for (const [menuItemId, quantity] of totalByItem(lines)) {
+    const menuItem = menuById.get(menuItemId);
+    if (menuItem) assertInStock(menuItem, quantity);
+  }
+};
+
+// Check a list of lines, such as a cart, against today's stock
+export const assertLinesInStock = async (lines) => {
+  const ids = lines.map((line) => line.menuItem?._id || line.menuItem);
+  const menuItems = await MenuItem.find({ _id: { $in: ids } });
+  assertQuantitiesInStock(lines, new Map(menuItems.map((menuItem) => [menuItem._id.toString(), menuItem])));
+};
+
+// Put stock back for every item on an order
+const putBackStock = async (totals, reservedAt) => {
+  for (const [menuItemId, quantity] of totals) {
+    // Stock refilled since the order was accepted already starts from the full quantity
+    await MenuItem.updateOne(
+      { _id: menuItemId, 'stock.lastResetAt': { $lte: reservedAt } },
+      { $inc: { 'stock.remaining': quantity }, $set: { 'stock.soldOut': false } }
+    );
+  }
+};
+
+// Take an accepted order's items out of today's stock. Each item is decremented
+// atomically only if enough is left; if any item falls short, the items already
+// taken are put back and a 409 is thrown. Items that reach zero are marked sold
+// out and the restaurant is told. Sets `order.stockReservedAt`; the caller saves.
+export const reserveOrderStock = async (order) => {
+  if (order.stockReservedAt) return;
+
+  const totals = totalByItem(order.items);
+  const reservedAt = new Date();
+  const taken = new Map();
+
+  for (const [menuItemId, quantity] of totals) {
+    const result = await MenuItem.updateOne(
+      { _id: menuItemId, 'stock.dailyQuantity': { $ne: null }, 'stock.remaining': { $gte: quantity } },
+      { $inc: { 'stock.remaining': -quantity } }
+    );
+
+    if (result.modifiedCount === 0) {
+      const menuItem = await MenuItem.findById(menuItemId);
+      if (!menuItem || !isStockTracked(menuItem)) continue;
+
+      await putBackStock(taken, reservedAt);
+      const remaining = menuItem.stock.remaining ?? 0;
+      throw createHttpError(409, `Not enough ${menuItem.name} left to accept this order`, {
+        menuItem: menuItem._id,
+        remaining,
+      });
+    }
+
+    taken.set(menuItemId, quantity);
+  }
+
+  order.stockReservedAt = reservedAt;
+
+  const soldOut = await MenuItem.find({
+    _id: { $in: Array.from(taken.keys()) },
+    'stock.remaining': { $lte: 0 },
+    'stock.soldOut': false,
+  });
+
+  for (const menuItem of soldOut) {
+    const marked = await MenuItem.updateOne(
+      { _id: menuItem._id, 'stock.remaining': { $lte: 0 }, 'stock.soldOut': false },
+      { 'stock.soldOut': true }
+    );
+    if (marked.modifiedCount === 0) continue;
+
+    io.to(`restaurant_${menuItem.restaurantId}`).emit('menu_item_sold_out', {
+      menuItemId: menuItem._id,
+      name: menuItem.name,
+      timestamp: new Date(),
+    });
+    console.log(`🚫 ${menuItem.name} sold out for today`);
+  }
+};
+
+// Put back stock taken by reserveOrderStock when the accepted order couldn't be saved
+export const undoStockReservation = async (order) => {
+  if (!order.stockReservedAt) return;
+
+  await putBackStock(totalByItem(order.items), order.stockReservedAt);
+  order.stockReservedAt = null;
+};
+
+// Give an order's stock back after it is rejected or cancelled. Only the first call
+// for an order puts anything back.
+export const restoreOrderStock = async (order) => {
+  const previous = await Order.findOneAndUpdate(
+    { _id: order._id, stockReservedAt: { $ne: null } },
+    { stockReservedAt: null }
+  );
+  if (!previous) return;
+
+  await putBackStock(totalByItem(previous.items), previous.stockReservedAt);
+  order.stockReservedAt = null;
+  console.log(`📦 Stock restored for order ${order._id}`);
+};
+
+// Refill tracked items to their daily quantity once each restaurant reaches its
+// local reset time. Each restaurant is reset at most once per local day.
+export const resetDailyStock = async (now = new Date()) => {
+  const { resetTime } = getInventoryConfig();
+  const restaurantIds = await MenuItem.distinct('restaurantId', { 'stock.dailyQuantity': { $ne: null } });
+  const restaurants = await User.find({ _id: { $in: restaurantIds } }).select('restaurantDetails.timezone');
+
+  for (const restaurant of restaurants) {
+    const local = getLocalParts(now, getRestaurantTimeZone(restaurant));
+    if (local.time < resetTime) continue;
+
+    const result = await MenuItem.updateMany(
+      {
+        restaurantId: restaurant._id,
+        'stock.dailyQuantity': { $ne: null },
+        'stock.lastResetDate': { $ne: local.date },
+      },
+      [{
+        $set: {
+          'stock.remaining': '$stock.dailyQuantity',
+          'stock.soldOut': { $lte: ['$stock.dailyQuantity', 0] },
+          'stock.lastResetDate': local.date,
+          'stock.lastResetAt': now,
+        },
+      }]
+    );
+
+    if (result.modifiedCount > 0) {
+      io.to(`restaurant_${restaurant._id}`).emit('menu_stock_reset', {
+        items: result.modifiedCount,
+        timestamp: now,
+      });
+      console.log(`🔄 Daily stock reset for ${result.modifiedCount} item(s) of restaurant ${restaurant._id}`);
+    }
+  }
+};
+
+// Set an item's daily quantity (null stops counting) and today's remaining stock,
+// which defaults to the full daily quantity. Returns the updated item.
+export const setItemStock = async (menuItem, { dailyQuantity, remaining }, restaurant, now = new Date()) => {
+  if (dailyQuantity === null) {
+    menuItem.stock = { dailyQuantity: null, remaining: null, soldOut: false };
+  } else {
+    const left = remaining ?? dailyQuantity;
+    menuItem.stock = {
+      dailyQuantity,
+      remaining: left,
+      soldOut: left === 0,
+      lastResetDate: getLocalParts(now, getRestaurantTimeZone(restaurant)).date,
+      lastResetAt: now,
+    };
+  }
+
+  await menuItem.save();
+  return menuItem;
+};
@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getMediaConfig } from '../config/media.js';
+
+// Media storage on the server's own disk, served by the static route in server.js
+const rootDir = () => path.resolve(getMediaConfig().localDir);
+
+// Keys are generated by utils/media.js, but never let one point outside the media directory
+const filePath = (key) => {
+  const root = rootDir();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid media key: ${key}`);
+  }
+  return file;
+};
+
+const localMediaStorage = {
+  name: 'local',
+
+  async put(key, buffer) {
+    const file = filePath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    const { publicUrl, publicPath } = getMediaConfig();
+    return `${publicUrl}${publicPath}/${key}`;
+  },
+
+  async remove(key) {
+    await fs.rm(filePath(key), { force: true });
+  },
+
+  // Directory for express.static
+  get staticDir() {
+    return rootDir();
+  },
+};
+
+export default localMediaStorage;
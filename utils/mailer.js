@@ -0,0 +1,29 @@
+import { getMailConfig } from '../config/mail.js';
+import { createHttpError } from './httpError.js';
+import consoleMailTransport from './consoleMailTransport.js';
+import fileMailTransport from './fileMailTransport.js';
+
+// Mail transports by name. Each implements:
+//   name
+//   send({ from, to, subject, text })
+// Add a transport for a real provider (SMTP, SES, ...) here and select it with MAIL_TRANSPORT.
+const TRANSPORTS = {
+  console: consoleMailTransport,
+  file: fileMailTransport,
+};
+
+// The transport selected by MAIL_TRANSPORT
+export const getMailTransport = () => {
+  const { transport } = getMailConfig();
+  const mailer = TRANSPORTS[transport];
+
+  if (!mailer) {
+    throw createHttpError(500, `Unknown mail transport '${transport}'`);
+  }
+  return mailer;
+};
+
+export const sendMail = async ({ to, subject, text }) => {
+  const { from } = getMailConfig();
+  await getMailTransport().send({ from, to, subject, text });
+};
@@ -0,0 +1,139 @@
+import sharp from 'sharp';
+import Media from '../models/Media.js';
+import MenuItem from '../models/MenuItem.js';
+import User from '../models/User.js';
+import { getMediaConfig } from '../config/media.js';
+import { createHttpError } from './httpError.js';
+import { getMediaStorage, getStorageForMedia } from './mediaStorage.js';
+
+// Image formats accepted for upload (checked on the file contents, not its name)
+export const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp'];
+export const ACCEPTED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Resized copies stored for every upload, all as WebP. Thumbnails and cards are
+// cropped to fill their box; full images are only scaled down.
+export const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  card: { width: 600, height: 400, fit: 'cover' },
+  full: { width: 1600, height: 1600, fit: 'inside' },
+};
+
+// Media as returned by the API: variant URLs and sizes by name
+export const formatMedia = (media) => ({
+  id: media._id,
+  purpose: media.purpose,
+  width: media.width,
+  height: media.height,
+  variants: Object.fromEntries(media.variants.map((variant) => [
+    variant.name,
+    { url: variant.url, width: variant.width, height: variant.height },
+  ])),
+  createdAt: media.createdAt,
+});
+
+// Remove a media record and its files
+export const deleteMedia = async (media) => {
+  const storage = getStorageForMedia(media);
+  for (const variant of media.variants) {
+    await storage.remove(variant.key);
+  }
+  await Media.deleteOne({ _id: media._id });
+};
+
+// Check an uploaded image, store its variants and record it. Files already
+// written are removed again if a later step fails.
+export const storeImage = async (buffer, { owner, purpose, originalName }) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw createHttpError(400, 'File is not a readable image');
+  }
+
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw createHttpError(400, 'Image must be a JPEG, PNG or WebP file');
+  }
+
+  const storage = getMediaStorage();
+  const media = new Media({
+    owner,
+    purpose,
+    storage: storage.name,
+    originalName,
+    originalSize: buffer.length,
+    width: metadata.width,
+    height: metadata.height,
+  });
+
+  try {
+    for (const [name, box] of Object.entries(IMAGE_VARIANTS)) {
+      const { data, info } = await sharp(buffer)
+        .rotate() // apply the camera's EXIF orientation
+        .resize({ ...box, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      const key = `${purpose}/${media._id}/${name}.webp`;
+      const url = await storage.put(key, data, 'image/webp');
+      media.variants.push({ name, key, url, contentType: 'image/webp', width: info.width, height: info.height, size: info.size });
+    }
+
+    await media.save();
+  } catch (error) {
+    await deleteMedia(media).catch(() => {});
+    throw error;
+  }
+
+  console.log(`🖼️ Stored ${purpose} image ${media._id} for user ${owner}`);
+  return media;
+};
+
+// Whether any menu item or profile still shows one of a media record's variants
+const isMediaInUse = async (media) => {
+  const urls = media.variants.map((variant) => variant.url);
+  return Boolean(await MenuItem.exists({ image: { $in: urls } })) ||
+    Boolean(await User.exists({ avatar: { $in: urls } }));
+};
+
+// Delete the uploaded media behind an image URL once nothing shows it any more,
+// e.g. after its menu item is deleted or given a different image. URLs hosted
+// elsewhere are ignored.
+export const releaseMediaUrl = async (url) => {
+  if (!url) return;
+
+  const media = await Media.findOne({ 'variants.url': url });
+  if (!media || await isMediaInUse(media)) return;
+
+  await deleteMedia(media);
+  console.log(`🗑️ Deleted unused image ${media._id}`);
+};
+
+// Delete uploads older than the orphan TTL that no menu item or profile uses,
+// such as images uploaded for an item that was never saved
+export const cleanupOrphanedMedia = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getMediaConfig().orphanTtlMs);
+  const inUse = (from, field) => ({
+    $lookup: {
+      from,
+      localField: 'variants.url',
+      foreignField: field,
+      as: from,
+      pipeline: [{ $limit: 1 }, { $project: { _id: 1 } }],
+    },
+  });
+
+  const orphans = await Media.aggregate([
+    { $match: { createdAt: { $lt: cutoff } } },
+    inUse(MenuItem.collection.name, 'image'),
+    inUse(User.collection.name, 'avatar'),
+    { $match: { [MenuItem.collection.name]: { $size: 0 }, [User.collection.name]: { $size: 0 } } },
+  ]);
+
+  for (const orphan of orphans) {
+    await deleteMedia(Media.hydrate(orphan));
+  }
+
+  if (orphans.length > 0) {
+    console.log(`🧹 Deleted ${orphans.length} unused image(s)`);
+  }
+};
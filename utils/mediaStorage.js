@@ -0,0 +1,27 @@
+import { getMediaConfig } from '../config/media.js';
+import { createHttpError } from './httpError.js';
+import localMediaStorage from './localMediaStorage.js';
+
+// Media storage backends by name. Each implements:
+//   name
+//   put(key, buffer, contentType) -> public URL of the stored file
+//   remove(key) (no error if the file is already gone)
+// Keys look like "menu_item/<media id>/card.webp".
+const BACKENDS = {
+  local: localMediaStorage,
+};
+
+// The backend selected by MEDIA_STORAGE
+export const getMediaStorage = () => {
+  const { storage } = getMediaConfig();
+  const backend = BACKENDS[storage];
+
+  if (!backend) {
+    throw createHttpError(500, `Unknown media storage '${storage}'`);
+  }
+  return backend;
+};
+
+// The backend that stored a media record (records outlive a change of MEDIA_STORAGE)
+export const getStorageForMedia = (media) =>
+  BACKENDS[media.storage] || getMediaStorage();
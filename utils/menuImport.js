@@ -0,0 +1,313 @@
+import MenuItem from '../models/MenuItem.js';
+import { createHttpError } from './httpError.js';
+
+// Largest menu accepted in one import
+export const MAX_IMPORT_ROWS = 500;
+
+// Columns in an exported menu, in order. Variant and add-on groups are JSON in CSV
+// cells and keep their ids, so carts and wishlists still match after a re-upload.
+export const MENU_COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'category',
+  'cuisine',
+  'subCategory',
+  'image',
+  'isVeg',
+  'isAvailable',
+  'variantGroups',
+  'addOnGroups',
+];
+
+const GROUP_COLUMNS = ['variantGroups', 'addOnGroups'];
+const BOOLEAN_COLUMNS = ['isVeg', 'isAvailable'];
+
+// Split CSV text into records of cells (RFC 4180: quoted cells may hold commas,
+// line breaks and doubled quotes)
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw createHttpError(400, 'CSV has an unclosed quoted cell');
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  // Blank lines carry no item
+  return records.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV rows as objects keyed by the header row
+export const csvToRows = (text) => {
+  const [header, ...records] = parseCsv(String(text).replace(/^\uFEFF/, ''));
+
+  if (!header) {
+    throw createHttpError(400, 'CSV is empty');
+  }
+
+  const columns = header.map((column) => column.trim());
+  const unknown = columns.filter((column) => !MENU_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw createHttpError(400, `Unknown CSV columns: ${unknown.join(', ')}`, { columns: MENU_COLUMNS });
+  }
+
+  return records.map((cells) =>
+    columns.reduce((row, column, index) => {
+      row[column] = cells[index] ?? '';
+      return row;
+    }, {})
+  );
+};
+
+// A menu item as an export row
+const toExportRow = (menuItem) => {
+  const item = menuItem.toObject();
+  return MENU_COLUMNS.reduce((row, column) => {
+    row[column] = item[column] ?? null;
+    return row;
+  }, {});
+};
+
+export const menuToJson = (menuItems) => menuItems.map(toExportRow);
+
+export const menuToCsv = (menuItems) => {
+  const lines = menuToJson(menuItems).map((row) =>
+    MENU_COLUMNS.map((column) =>
+      csvCell(GROUP_COLUMNS.includes(column) ? JSON.stringify(row[column] || []) : row[column])
+    ).join(',')
+  );
+  return [MENU_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'veg'].includes(text)) return true;
+  if (['false', 'no', 'n', '0', 'non-veg'].includes(text)) return false;
+  return undefined;
+};
+
+// Turn one CSV/JSON row into menu item fields. Blank cells are left out, so an
+// update keeps the stored value. Returns { fields, errors }.
+const readRow = (row) => {
+  const fields = {};
+  const errors = [];
+
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { fields, errors: ['Row must be an object'] };
+  }
+
+  for (const column of Object.keys(row)) {
+    if (!MENU_COLUMNS.includes(column)) {
+      errors.push(`Unknown field: ${column}`);
+    }
+  }
+
+  for (const column of MENU_COLUMNS) {
+    const value = row[column];
+    if (isBlank(value)) continue;
+
+    if (column === 'price') {
+      const price = Number(value);
+      if (Number.isNaN(price)) {
+        errors.push('Price must be a number');
+      } else {
+        fields.price = price;
+      }
+    } else if (BOOLEAN_COLUMNS.includes(column)) {
+      const flag = parseBoolean(value);
+      if (flag === undefined) {
+        errors.push(`${column} must be true or false`);
+      } else {
+        fields[column] = flag;
+      }
+    } else if (GROUP_COLUMNS.includes(column)) {
+      try {
+        const groups = typeof value === 'string' ? JSON.parse(value) : value;
+        if (!Array.isArray(groups)) throw new Error();
+        fields[column] = groups;
+      } catch {
+        errors.push(`${column} must be a JSON list of option groups`);
+      }
+    } else {
+      fields[column] = String(value).trim();
+    }
+  }
+
+  return { fields, errors };
+};
+
+const nameKey = (name) => name.trim().toLowerCase();
+
+// Validation messages from a Mongoose ValidationError, one per field
+const validationMessages = (error) =>
+  error.name === 'ValidationError'
+    ? Object.values(error.errors).map((err) => err.message)
+    : [error.message];
+
+// Check every row of an import against the restaurant's current menu and the
+// MenuItem schema without writing anything. Rows match an existing item by `sku`,
+// or by name (case-insensitive) when the sku is new or missing; matched items are
+// updated and the rest created. Returns { items, rows, summary } where `rows` has
+// per-row `action` and `errors` (row 1 is the first item) and `items` holds the
+// validated documents for applyMenuImport.
+export const previewMenuImport = async (restaurant, rows) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw createHttpError(400, 'Import must contain at least one item');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw createHttpError(400, `Import cannot contain more than ${MAX_IMPORT_ROWS} items`);
+  }
+
+  const existing = await MenuItem.find({ restaurantId: restaurant._id });
+  const bySku = new Map(existing.filter((item) => item.sku).map((item) => [item.sku, item]));
+  const byName = new Map(existing.map((item) => [nameKey(item.name), item]));
+  const seen = new Set();
+  const restaurantLocation = {
+    latitude: restaurant.restaurantDetails?.address?.latitude,
+    longitude: restaurant.restaurantDetails?.address?.longitude,
+  };
+
+  const items = [];
+  const report = [];
+
+  for (const [index, row] of rows.entries()) {
+    const { fields, errors } = readRow(row);
+
+    let match = fields.sku ? bySku.get(fields.sku) : undefined;
+    if (!match && fields.name) {
+      const named = byName.get(nameKey(fields.name));
+      // A name match only counts if the item has no other sku
+      if (named && (!named.sku || !fields.sku || named.sku === fields.sku)) match = named;
+    }
+
+    const key = match ? match._id.toString() : fields.sku || (fields.name && nameKey(fields.name));
+    if (key && seen.has(key)) {
+      errors.push('The same item appears more than once in this import');
+    }
+    if (key) seen.add(key);
+
+    const menuItem = match
+      ? MenuItem.hydrate(match.toObject())
+      : new MenuItem({ restaurantId: restaurant._id, restaurantLocation });
+
+    if (errors.length === 0) {
+      try {
+        menuItem.set(fields);
+        await menuItem.validate();
+      } catch (error) {
+        errors.push(...validationMessages(error));
+      }
+    }
+
+    items.push({ menuItem, previous: match, changed: Object.keys(fields) });
+    report.push({
+      row: index + 1,
+      name: fields.name || match?.name || null,
+      sku: fields.sku || match?.sku || null,
+      action: match ? 'update' : 'create',
+      ...(match ? { menuItemId: match._id } : {}),
+      errors,
+    });
+  }
+
+  const failed = report.filter((row) => row.errors.length > 0).length;
+
+  return {
+    items,
+    rows: report,
+    summary: {
+      total: report.length,
+      create: report.filter((row) => row.action === 'create').length,
+      update: report.filter((row) => row.action === 'update').length,
+      errors: failed,
+    },
+  };
+};
+
+// Only the imported fields are written to existing items, so stock counts and
+// anything else changed meanwhile are left alone
+const setFields = (doc, fields) => {
+  const values = doc.toObject();
+  const $set = {};
+  const $unset = {};
+  for (const field of fields) {
+    if (values[field] === undefined) {
+      $unset[field] = '';
+    } else {
+      $set[field] = values[field];
+    }
+  }
+  return { $set, ...(Object.keys($unset).length > 0 ? { $unset } : {}) };
+};
+
+// Write a previewed import. Either every row is written or, if any write fails,
+// created items are removed and updated items put back as they were.
+export const applyMenuImport = async ({ items }) => {
+  const created = items.filter(({ previous }) => !previous).map(({ menuItem }) => menuItem);
+  const updated = items.filter(({ previous, changed }) => previous && changed.length > 0);
+
+  try {
+    await MenuItem.bulkWrite([
+      ...created.map((menuItem) => ({ insertOne: { document: menuItem.toObject() } })),
+      ...updated.map(({ menuItem, changed }) => ({
+        updateOne: { filter: { _id: menuItem._id }, update: setFields(menuItem, changed) },
+      })),
+    ], { ordered: true });
+  } catch (error) {
+    await MenuItem.deleteMany({ _id: { $in: created.map((menuItem) => menuItem._id) } });
+    if (updated.length > 0) {
+      await MenuItem.bulkWrite(updated.map(({ previous, changed }) => ({
+        updateOne: { filter: { _id: previous._id }, update: setFields(previous, changed) },
+      })), { timestamps: false });
+    }
+
+    if (error.code === 11000) {
+      throw createHttpError(409, 'Menu changed during the import. Nothing was saved; please try again.');
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import { getPaymentConfig } from '../config/payment.js';
+import { createHttpError } from './httpError.js';
+import { hmacSha256, signaturesMatch } from './hmac.js';
+import { handlePaymentEvent } from './paymentWebhooks.js';
+
+// Offline payment provider for staging and tests. Gateway orders and payments live in
+// memory, checkouts are simulated with POST /api/payment/mock/checkout, and the
+// resulting webhook events are delivered in-process after MOCK_PAYMENT_DELAY_MS.
+// Ids and payloads follow Razorpay's format so the rest of the flow is unchanged.
+const orders = new Map();
+const payments = new Map();
+
+const newId = (prefix) => `${prefix}_mock${crypto.randomBytes(7).toString('hex')}`;
+
+const sign = (data) => hmacSha256(getPaymentConfig().mock.secret, data);
+
+// Deliver a simulated webhook event after the configured delay
+const deliverEvent = (event, payload) => {
+  setTimeout(() => {
+    handlePaymentEvent({ event, payload }).catch((error) => {
+      console.error(`❌ Error delivering mock ${event} event:`, error);
+    });
+  }, getPaymentConfig().mock.delayMs);
+};
+
+const requirePayment = (paymentId) => {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw createHttpError(404, 'Payment not found');
+  }
+  return payment;
+};
+
+const mockProvider = {
+  name: 'mock',
+  publicKey: 'mock',
+
+  isConfigured: () => true,
+
+  createOrder: async ({ amount, currency = 'INR', receipt, notes }) => {
+    const order = { id: newId('order'), amount, currency, receipt, notes, status: 'created' };
+    orders.set(order.id, order);
+    return { id: order.id, amount: order.amount, currency: order.currency };
+  },
+
+  verifySignature: ({ orderId, paymentId, signature }) =>
+    signaturesMatch(sign(`${orderId}|${paymentId}`), signature),
+
+  capturePayment: async (paymentId) => {
+    const payment = requirePayment(paymentId);
+    if (!['authorized', 'captured'].includes(payment.status)) {
+      throw createHttpError(400, `Payment is ${payment.status} and cannot be captured`);
+    }
+    payment.status = 'captured';
+    return payment;
+  },
+
+  refundPayment: async (paymentId, { amount, notes } = {}) => {
+    const payment = requirePayment(paymentId);
+    const refunded = payment.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+    const refundAmount = amount ?? payment.amount - refunded;
+
+    if (payment.status !== 'captured' || refundAmount <= 0 || refundAmount > payment.amount - refunded) {
+      throw createHttpError(400, 'Payment cannot be refunded for this amount');
+    }
+
+    const refund = {
+      id: newId('rfnd'),
+      payment_id: paymentId,
+      amount: refundAmount,
+      notes,
+      status: 'processed',
+    };
+    payment.refunds.push(refund);
+    deliverEvent('refund.processed', { refund: { entity: refund } });
+
+    return refund;
+  },
+
+  fetchPayment: async (paymentId) => {
+    const payment = requirePayment(paymentId);
+    return {
+      id: payment.id,
+      orderId: payment.order_id,
+      amount: payment.amount,
+      status: payment.status,
+    };
+  },
+
+  // Mock webhooks are signed with MOCK_PAYMENT_SECRET the same way Razorpay signs them
+  parseWebhook: (rawBody, signature) => {
+    if (!Buffer.isBuffer(rawBody) || !signaturesMatch(sign(rawBody), signature)) {
+      throw createHttpError(400, 'Invalid webhook signature');
+    }
+
+    try {
+      return JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw createHttpError(400, 'Invalid webhook payload');
+    }
+  },
+
+  // Simulate the customer completing (or failing) checkout for a gateway order.
+  // `amount` (paise) is taken from our Payment record if the order isn't in memory,
+  // e.g. after a restart. Returns what the checkout widget would hand the frontend.
+  simulateCheckout: (orderId, { amount, outcome = getPaymentConfig().mock.outcome } = {}) => {
+    const order = orders.get(orderId);
+    const succeeded = outcome === 'success';
+
+    const payment = {
+      id: newId('pay'),
+      order_id: orderId,
+      amount: order?.amount ?? amount,
+      currency: order?.currency || 'INR',
+      status: succeeded ? 'captured' : 'failed',
+      error_description: succeeded ? undefined : 'Payment declined by mock gateway',
+      refunds: [],
+    };
+    payments.set(payment.id, payment);
+
+    if (order && succeeded) {
+      order.status = 'paid';
+    }
+
+    deliverEvent(succeeded ? 'payment.captured' : 'payment.failed', {
+      payment: { entity: payment },
+    });
+
+    return {
+      success: succeeded,
+      razorpay_order_id: orderId,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: succeeded ? sign(`${orderId}|${payment.id}`) : undefined,
+      error: payment.error_description,
+    };
+  },
+};
+
+export default mockProvider;
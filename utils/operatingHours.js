@@ -0,0 +1,200 @@
+import { getSchedulingConfig } from '../config/scheduling.js';
+import { createHttpError } from './httpError.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+export const isValidDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value);
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Local calendar date, weekday and "HH:mm" of a moment in a timezone
+export const getLocalParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type).value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday')),
+    time: `${get('hour')}:${get('minute')}`,
+    utcEquivalent: Date.UTC(
+      Number(get('year')),
+      Number(get('month')) - 1,
+      Number(get('day')),
+      Number(get('hour')),
+      Number(get('minute')),
+      Number(get('second'))
+    ),
+  };
+};
+
+// Convert a local date ("YYYY-MM-DD") and time ("HH:mm") in a timezone to a Date
+const zonedTimeToDate = (localDate, localTime, timeZone) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const [hour, minute] = localTime.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Shift by the zone's offset at that moment; repeat once to settle DST edges
+  let result = guess;
+  for (let i = 0; i < 2; i += 1) {
+    const offset = getLocalParts(new Date(result), timeZone).utcEquivalent - result;
+    result = guess - offset;
+  }
+  return new Date(result);
+};
+
+// Add days to a "YYYY-MM-DD" date
+const addDays = (localDate, days) =>
+  new Date(Date.parse(`${localDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// The restaurant's weekly schedule, or the platform default window every day
+const getWeeklyHours = (details, config) => {
+  if (details?.weeklyHours?.length) {
+    return details.weeklyHours;
+  }
+  return [0, 1, 2, 3, 4, 5, 6].map((day) => ({
+    day,
+    slots: [{ open: config.defaultOpenTime, close: config.defaultCloseTime }],
+  }));
+};
+
+const isHoliday = (details, localDate) =>
+  (details?.holidayClosures || []).some(
+    (holiday) => localDate >= holiday.startDate && localDate <= (holiday.endDate || holiday.startDate)
+  );
+
+// Every opening slot as concrete Dates, from the day before `at` for the next `days` days.
+// A slot whose close time is not after its open time runs past midnight.
+const listSlots = (details, at, days, config) => {
+  const timeZone = details?.timezone || config.timeZone;
+  const weeklyHours = getWeeklyHours(details, config);
+  const today = getLocalParts(at, timeZone).date;
+  const slots = [];
+
+  for (let offset = -1; offset <= days; offset += 1) {
+    const localDate = addDays(today, offset);
+    if (isHoliday(details, localDate)) continue;
+
+    const day = new Date(`${localDate}T00:00:00Z`).getUTCDay();
+    const dayHours = weeklyHours.find((entry) => entry.day === day);
+
+    for (const slot of dayHours?.slots || []) {
+      const opensAt = zonedTimeToDate(localDate, slot.open, timeZone);
+      const closeDate = slot.close <= slot.open ? addDays(localDate, 1) : localDate;
+      const closesAt = zonedTimeToDate(closeDate, slot.close, timeZone);
+      slots.push({ opensAt, closesAt });
+    }
+  }
+
+  return slots.sort((a, b) => a.opensAt - b.opensAt);
+};
+
+// Work out whether a restaurant is open at a moment and when it next opens/closes.
+// The manual kitchen toggle (restaurantDetails.isKitchenOpen = false) closes the
+// restaurant regardless of its schedule unless `applyManualOverride` is false, which
+// is used when checking future slots for scheduled orders.
+export const getOpenStatus = (restaurant, at = new Date(), { applyManualOverride = true } = {}) => {
+  const config = getSchedulingConfig();
+  const details = restaurant?.restaurantDetails;
+  const timezone = details?.timezone || config.timeZone;
+  const slots = listSlots(details, at, 7, config);
+
+  const current = slots.find((slot) => slot.opensAt <= at && at < slot.closesAt);
+  const next = slots.find((slot) => slot.opensAt > at);
+
+  if (applyManualOverride && details?.isKitchenOpen === false) {
+    return {
+      isOpen: false,
+      reason: 'manual',
+      opensAt: null,
+      closesAt: null,
+      timezone,
+    };
+  }
+
+  if (current) {
+    return {
+      isOpen: true,
+      reason: 'schedule',
+      opensAt: current.opensAt,
+      closesAt: current.closesAt,
+      timezone,
+    };
+  }
+
+  return {
+    isOpen: false,
+    reason: isHoliday(details, getLocalParts(at, timezone).date) ? 'holiday' : 'schedule',
+    opensAt: next?.opensAt || null,
+    closesAt: next?.closesAt || null,
+    timezone,
+  };
+};
+
+// Check whether a restaurant accepts orders at a given moment
+export const isOpenAt = (restaurant, date, options) => getOpenStatus(restaurant, date, options).isOpen;
+
+// Throw a 400 unless the restaurant is taking orders right now
+export const assertOpenNow = (restaurant) => {
+  const status = getOpenStatus(restaurant);
+
+  if (!status.isOpen) {
+    const message = status.reason === 'manual'
+      ? 'This restaurant is currently closed and not accepting orders'
+      : 'This restaurant is closed right now';
+    throw createHttpError(400, message, {
+      opensAt: status.opensAt,
+      reason: status.reason,
+    });
+  }
+
+  return status;
+};
+
+// Validate a weekly schedule from the restaurant dashboard. Returns an error message or null.
+export const validateWeeklyHours = (weeklyHours) => {
+  if (!Array.isArray(weeklyHours)) {
+    return 'weeklyHours must be an array';
+  }
+
+  const seenDays = new Set();
+  for (const entry of weeklyHours) {
+    if (!Number.isInteger(entry?.day) || entry.day < 0 || entry.day > 6) {
+      return 'Each day must be a number from 0 (Sunday) to 6 (Saturday)';
+    }
+    if (seenDays.has(entry.day)) {
+      return 'Each day can appear only once';
+    }
+    seenDays.add(entry.day);
+
+    if (!Array.isArray(entry.slots)) {
+      return 'Each day needs a slots array';
+    }
+    for (const slot of entry.slots) {
+      if (!isValidTime(slot?.open) || !isValidTime(slot?.close)) {
+        return 'Slot times must use 24-hour HH:mm format';
+      }
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,75 @@
+import { io, activeOrdersPool, activeRidersPool } from '../server.js';
+import { cancelDispatch } from './dispatch.js';
+import { autoRefundOrder } from './refunds.js';
+import { releaseCoupon } from './coupons.js';
+import { restoreOrderStock } from './inventory.js';
+
+// What the restaurant and rider are told, by who cancelled the order
+const CANCELLED_BY_MESSAGES = {
+  customer: 'Customer cancelled the order',
+  restaurant: 'Restaurant cancelled the order',
+  rider: 'Rider cancelled the order',
+  admin: 'Order was cancelled by support',
+  system: 'Order was cancelled',
+};
+
+// Drop a finished or cancelled order from its rider's live load in activeRidersPool
+export const releaseRiderOrder = (order) => {
+  if (!order.rider) return;
+
+  const riderData = activeRidersPool.get((order.rider._id || order.rider).toString());
+  if (riderData) {
+    riderData.activeOrders = riderData.activeOrders.filter(id => id.toString() !== order._id.toString());
+  }
+};
+
+// Everything that follows saving an order as cancelled, whichever path cancelled it:
+// refund what was paid (up to `refundAmount` when the customer owes a fee), give the
+// coupon and stock back, take the order out of the live pools and dispatch, and tell
+// the customer, the restaurant and the rider (or the riders it was offered to).
+export const finishCancellation = async (order, { refundAmount } = {}) => {
+  const orderId = order._id.toString();
+
+  await autoRefundOrder(order, {
+    reason: 'cancelled',
+    actor: order.cancelledBy,
+    amount: refundAmount,
+  });
+  await releaseCoupon(order);
+  await restoreOrderStock(order);
+
+  // Remove from active pools
+  activeOrdersPool.delete(orderId);
+  await cancelDispatch(orderId);
+  releaseRiderOrder(order);
+
+  const statusUpdate = {
+    orderId: order._id,
+    status: 'cancelled',
+    cancelledBy: order.cancelledBy,
+    reason: order.cancellationReason,
+    timestamp: new Date(),
+  };
+  const notice = CANCELLED_BY_MESSAGES[order.cancelledBy] || CANCELLED_BY_MESSAGES.system;
+
+  // Notify customer tracking, restaurant dashboard and assigned rider
+  io.to(`order_${orderId}`).emit('order_status_changed', {
+    ...statusUpdate,
+    message: 'Your order has been cancelled',
+  });
+  io.to(`restaurant_${order.restaurant._id || order.restaurant}`).emit('order_status_changed', {
+    ...statusUpdate,
+    message: notice,
+  });
+  if (order.rider) {
+    io.to(`rider_${order.rider._id || order.rider}`).emit('order_status_changed', {
+      ...statusUpdate,
+      message: notice,
+    });
+  } else {
+    // Withdraw the order from riders who were offered it
+    activeRidersPool.forEach((riderData) => {
+      io.to(`rider_${riderData.riderId}`).emit('order_taken', { orderId: order._id });
+    });
+  }
+};
@@ -0,0 +1,94 @@
+import { io, activeOrdersPool } from '../server.js';
+
+// Populate the fields the restaurant dashboard needs from a new order
+export const populateForRestaurant = (order) =>
+  order.populate([
+    { path: 'customer', select: 'name email phone' },
+    { path: 'restaurant', select: 'restaurantDetails' },
+    { path: 'items.menuItem', select: 'name price image category' },
+  ]);
+
+// Build the live order payload kept in activeOrdersPool and sent with
+// `new_order_received`. Expects the order populated with populateForRestaurant().
+export const buildOrderSocketData = (order) => {
+  // Format items - handle case where menuItem might not populate
+  const formattedItems = order.items.map(item => {
+    if (!item.menuItem) {
+      console.warn(`⚠️ MenuItem not found for item, using fallback data:`, item);
+      // Use the name/price from the item itself (if they exist in schema)
+      return {
+        menuItem: null,
+        name: item.name || 'Unknown Item',
+        price: item.price || 0,
+        quantity: item.quantity,
+        customizations: item.customizations || [],
+        _id: item._id
+      };
+    }
+
+    return {
+      menuItem: {
+        _id: item.menuItem._id,
+        name: item.menuItem.name,
+        price: item.menuItem.price,
+        image: item.menuItem.image,
+        category: item.menuItem.category
+      },
+      name: item.menuItem.name,
+      price: item.price ?? item.menuItem.price,
+      quantity: item.quantity,
+      customizations: item.customizations || [],
+      _id: item._id
+    };
+  });
+
+  const restaurantDetails = order.restaurant.restaurantDetails;
+
+  return {
+    orderId: order._id.toString(),
+    orderNumber: order.orderNumber,
+    customerId: order.customer._id.toString(),
+    restaurantId: order.restaurant._id.toString(),
+    customerName: order.customer.name,
+    customerPhone: order.customer.phone,
+    restaurantName: restaurantDetails.kitchenName,
+    restaurantCoordinates: {
+      latitude: restaurantDetails.address.latitude,
+      longitude: restaurantDetails.address.longitude,
+    },
+    deliveryCoordinates: {
+      latitude: order.deliveryAddress.latitude,
+      longitude: order.deliveryAddress.longitude,
+    },
+    deliveryAddress: order.deliveryAddress,
+    status: order.status,
+    scheduledFor: order.scheduledFor || null,
+    items: formattedItems,
+    subtotal: order.subtotal,
+    deliveryFee: order.deliveryFee,
+    platformFee: order.platformFee,
+    gst: order.gst,
+    totalAmount: order.totalAmount,
+    createdAt: order.createdAt,
+    riderId: null,
+    riderDetails: null,
+    riderCoordinates: null,
+    distanceToRestaurant: 0,
+  };
+};
+
+// Add an order waiting for the restaurant to the live pool and notify the restaurant
+export const notifyRestaurantOfNewOrder = (order) => {
+  const orderSocketData = buildOrderSocketData(order);
+  const restaurantId = orderSocketData.restaurantId;
+
+  // Add to active orders pool
+  activeOrdersPool.set(orderSocketData.orderId, orderSocketData);
+  console.log(`📦 Order added to pool. Pool size: ${activeOrdersPool.size}`);
+
+  // Emit to notify restaurant
+  console.log(`🏪 Emitting new_order_received to room: restaurant_${restaurantId}`);
+  io.to(`restaurant_${restaurantId}`).emit('new_order_received', orderSocketData);
+
+  return orderSocketData;
+};
@@ -0,0 +1,23 @@
+import Counter from '../models/Counter.js';
+
+// Build the YYYYMMDD date key for a moment in the platform's timezone
+const getDateKey = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type).value;
+  return `${get('year')}${get('month')}${get('day')}`;
+};
+
+// Generate the next human-readable order number, e.g. BB-20261019-0042.
+// The sequence restarts every day and is backed by an atomic counter, so
+// concurrent orders never receive the same number.
+export const generateOrderNumber = async (date = new Date()) => {
+  const timeZone = process.env.ORDER_NUMBER_TIMEZONE || 'Asia/Kolkata';
+  const dateKey = getDateKey(date, timeZone);
+  const seq = await Counter.next(`order:${dateKey}`);
+  return `BB-${dateKey}-${String(seq).padStart(4, '0')}`;
+};
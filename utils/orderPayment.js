@@ -0,0 +1,128 @@
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import { io } from '../server.js';
+import { getPaymentConfig } from '../config/payment.js';
+import { transitionOrder } from './orderStateMachine.js';
+import { createHttpError } from './httpError.js';
+import { populateForRestaurant, notifyRestaurantOfNewOrder } from './orderNotifications.js';
+import { reverseWalletDebit } from './wallet.js';
+import { releaseCoupon } from './coupons.js';
+
+// Mark a successful payment as used by an order. The update is guarded, so of two
+// orders racing for the same payment only one gets it; the other gets a 409.
+// Claiming again for the same order is fine.
+export const claimPayment = async (payment, order) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'SUCCESS', order: { $in: [null, order._id] } },
+    { $set: { order: order._id } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw createHttpError(409, 'This payment has already been used for another order');
+  }
+  return claimed;
+};
+
+// Free a payment claimed for an order that could not be saved
+export const releasePaymentClaim = (payment, order) =>
+  Payment.updateOne({ _id: payment._id, order: order._id }, { $set: { order: null } });
+
+// Move an online order out of pending_payment once its Payment has succeeded.
+// Called by POST /api/orders/:orderId/confirm and by the Razorpay webhook; whichever
+// runs second finds the order already paid and changes nothing.
+// Returns true if this call confirmed the order.
+export const confirmOrderPayment = async (order, payment, { actor, actorId } = {}) => {
+  if (order.status !== 'pending_payment') {
+    if (order.paymentStatus === 'paid') {
+      return false;
+    }
+    throw createHttpError(409, 'Order is no longer waiting for payment', {
+      currentStatus: order.status,
+    });
+  }
+
+  if (!payment || payment.status !== 'SUCCESS') {
+    throw createHttpError(400, 'Payment verification failed');
+  }
+
+  // Payments for pending orders are created with the order as their reference,
+  // by the order's own customer
+  if (
+    payment.referenceId !== order._id.toString() ||
+    payment.customer !== (order.customer._id || order.customer).toString()
+  ) {
+    throw createHttpError(400, 'Payment does not belong to this order');
+  }
+
+  // Payment must cover the server-computed total less any wallet share (amount is stored in paise)
+  if (payment.amount !== Math.round((order.totalAmount - (order.walletAmount || 0)) * 100)) {
+    throw createHttpError(400, 'Payment amount does not match order total');
+  }
+
+  await claimPayment(payment, order);
+
+  // pending_payment -> pending (waiting for restaurant), or scheduled if the
+  // customer picked a later delivery slot
+  transitionOrder(order, order.scheduledFor ? 'scheduled' : 'pending', { actor, actorId });
+  order.paymentStatus = 'paid';
+  order.razorpay_payment_id = payment.razorpay_payment_id;
+  await order.save();
+
+  // Scheduled orders are sent to the restaurant later by the release job
+  if (order.status === 'pending') {
+    await populateForRestaurant(order);
+    notifyRestaurantOfNewOrder(order);
+  }
+
+  return true;
+};
+
+// Cancel an online order whose payment failed or never arrived, and give the
+// customer back the wallet share and coupon use taken when it was created.
+// Returns false if the order had already been paid, cancelled or otherwise moved on.
+export const cancelUnpaidOrder = async (order, reason) => {
+  if (order.status !== 'pending_payment') {
+    return false;
+  }
+
+  transitionOrder(order, 'cancelled', { actor: 'system', reason });
+  order.paymentStatus = 'failed';
+  try {
+    await order.save();
+  } catch (error) {
+    // Confirmed or cancelled by someone else in the meantime
+    if (error.name === 'DocumentNotFoundError') return false;
+    throw error;
+  }
+
+  if (order.walletAmount > 0) {
+    await reverseWalletDebit(order, `Payment for order ${order.orderNumber || order._id} was not completed`);
+  }
+  await releaseCoupon(order);
+
+  io.to(`order_${order._id}`).emit('order_status_changed', {
+    orderId: order._id,
+    status: 'cancelled',
+    cancelledBy: 'system',
+    reason,
+    message: 'Your order was cancelled because the payment was not completed',
+  });
+
+  return true;
+};
+
+// Cancel online orders left waiting for payment longer than PENDING_PAYMENT_TTL_MINUTES
+export const expireUnpaidOrders = async () => {
+  const { pendingPaymentTtlMs } = getPaymentConfig();
+  const orders = await Order.find({
+    status: 'pending_payment',
+    createdAt: { $lt: new Date(Date.now() - pendingPaymentTtlMs) },
+  });
+
+  for (const order of orders) {
+    if (await cancelUnpaidOrder(order, 'Payment was not completed in time')) {
+      console.log(`⏱️ Cancelled unpaid order: ${order._id}`);
+    }
+  }
+};
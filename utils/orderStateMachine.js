@@ -0,0 +1,135 @@
+import { createHttpError } from './httpError.js';
+
+// Who can move an order between statuses
+export const ORDER_ACTORS = ['customer', 'restaurant', 'rider', 'admin', 'system'];
+
+// Statuses an order can never leave
+export const TERMINAL_STATUSES = ['delivered', 'rejected', 'auto_rejected', 'cancelled'];
+
+// Legal transitions: from -> to -> actors allowed to trigger it
+const TRANSITIONS = {
+  pending_payment: {
+    pending: ['customer', 'system'],
+    scheduled: ['customer', 'system'],
+    cancelled: ['customer', 'admin', 'system'],
+  },
+  scheduled: {
+    pending: ['system'],
+    cancelled: ['customer', 'admin', 'system'],
+  },
+  pending: {
+    accepted: ['restaurant', 'admin'],
+    rejected: ['restaurant', 'admin'],
+    auto_rejected: ['system'],
+    cancelled: ['customer', 'admin'],
+  },
+  accepted: {
+    awaiting_rider: ['restaurant', 'admin', 'system'],
+    rider_assigned: ['rider', 'admin'],
+    cancelled: ['customer', 'restaurant', 'admin'],
+  },
+  awaiting_rider: {
+    rider_assigned: ['rider', 'admin'],
+    cancelled: ['customer', 'restaurant', 'admin'],
+  },
+  rider_assigned: {
+    preparing: ['restaurant', 'admin'],
+    ready: ['restaurant', 'admin'],
+    picked_up: ['rider', 'admin'],
+    cancelled: ['customer', 'restaurant', 'rider', 'admin'],
+  },
+  preparing: {
+    ready: ['restaurant', 'admin'],
+    picked_up: ['rider', 'admin'],
+    cancelled: ['customer', 'restaurant', 'admin'],
+  },
+  ready: {
+    picked_up: ['rider', 'admin'],
+    cancelled: ['customer', 'restaurant', 'admin'],
+  },
+  picked_up: {
+    on_the_way: ['rider', 'admin'],
+    delivered: ['rider', 'admin'],
+  },
+  on_the_way: {
+    delivered: ['rider', 'admin'],
+  },
+};
+
+// Timestamp field stamped when an order enters a status
+const STATUS_TIMESTAMPS = {
+  accepted: 'acceptedAt',
+  rider_assigned: 'riderAssignedAt',
+  preparing: 'preparingAt',
+  ready: 'readyAt',
+  picked_up: 'pickedUpAt',
+  on_the_way: 'onTheWayAt',
+  delivered: 'deliveredAt',
+  rejected: 'cancelledAt',
+  auto_rejected: 'cancelledAt',
+  cancelled: 'cancelledAt',
+};
+
+// Statuses reachable from `from`, optionally limited to one actor
+export const getAllowedTransitions = (from, actor) =>
+  Object.entries(TRANSITIONS[from] || {})
+    .filter(([, actors]) => !actor || actors.includes(actor))
+    .map(([to]) => to);
+
+export const canTransition = (from, to, actor) =>
+  Boolean(TRANSITIONS[from]?.[to]?.includes(actor));
+
+// Move an order to a new status, stamping its timestamp and appending to statusHistory.
+// Mutates the document; the caller saves it. The save only succeeds if the order is
+// still in the status it was read in, so two concurrent transitions can't both win.
+export const transitionOrder = (order, to, { actor, actorId, reason } = {}) => {
+  const from = order.status;
+
+  if (!ORDER_ACTORS.includes(actor)) {
+    throw createHttpError(400, `Unknown actor '${actor}'`);
+  }
+
+  const actors = TRANSITIONS[from]?.[to];
+
+  if (!actors) {
+    throw createHttpError(409, `Order cannot move from '${from}' to '${to}'`, {
+      currentStatus: from,
+      allowedStatuses: getAllowedTransitions(from),
+    });
+  }
+
+  if (!actors.includes(actor)) {
+    throw createHttpError(403, `A ${actor} cannot move an order from '${from}' to '${to}'`, {
+      currentStatus: from,
+    });
+  }
+
+  const now = new Date();
+  const timestampField = STATUS_TIMESTAMPS[to];
+
+  order.status = to;
+  if (timestampField) {
+    order[timestampField] = now;
+  }
+
+  if (['rejected', 'auto_rejected', 'cancelled'].includes(to)) {
+    order.cancelledBy = actor;
+    if (reason) {
+      order.cancellationReason = reason;
+    }
+  }
+
+  order.statusHistory.push({
+    from,
+    to,
+    actor,
+    actorId: actorId || undefined,
+    reason,
+    at: now,
+  });
+
+  // Keep the status the order was first read in if several transitions happen before a save
+  order.$where = { status: from, ...(order.$where || {}) };
+
+  return order;
+};
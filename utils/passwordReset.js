@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { getAuthConfig } from '../config/auth.js';
+import { createHttpError } from './httpError.js';
+import { sendMail } from './mailer.js';
+import { revokeUserSessions } from './sessions.js';
+
+// Only a hash of the reset token is stored, like refresh tokens
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Start a password reset for an email address. Does nothing, without saying so,
+// if no active account uses it; the caller answers the same way either way.
+export const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: String(email).trim().toLowerCase(), isActive: true });
+  if (!user) return;
+
+  const { passwordResetTtlMs, passwordResetUrl } = getAuthConfig();
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // A new request replaces any earlier link
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        passwordResetToken: hashResetToken(token),
+        passwordResetExpires: new Date(Date.now() + passwordResetTtlMs),
+      },
+    }
+  );
+
+  const minutes = Math.round(passwordResetTtlMs / 60000);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your BigBite password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Use this link to choose a new password. It works once and expires in ${minutes} minutes:`,
+      `${passwordResetUrl}?token=${token}`,
+      '',
+      "If you didn't ask to reset your password, you can ignore this email.",
+    ].join('\n'),
+  });
+};
+
+// Set a new password with a reset token. The token is used up, and every session
+// is signed out so a stolen login can't outlive the reset. Returns the user.
+export const resetPassword = async (token, password) => {
+  const invalid = () => createHttpError(400, 'Reset link is invalid or has expired');
+
+  if (!token) throw invalid();
+
+  const tokenHash = hashResetToken(token);
+  const user = await User.findOne({
+    passwordResetToken: tokenHash,
+    passwordResetExpires: { $gt: new Date() },
+  }).select('+password');
+
+  if (!user) throw invalid();
+
+  // Check the new password before using up the token
+  user.password = password;
+  await user.validate();
+
+  // Claim the token so it can't be used twice, even by two requests at once
+  const claimed = await User.updateOne(
+    { _id: user._id, passwordResetToken: tokenHash },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+  );
+
+  if (claimed.modifiedCount === 0) throw invalid();
+
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+
+  await revokeUserSessions(user._id, 'password_reset');
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your BigBite password was changed',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Your password was just reset and you have been signed out on all devices.',
+        "If this wasn't you, reset your password again right away and contact support.",
+      ].join('\n'),
+    });
+  } catch (error) {
+    console.error('❌ Error sending password change notice:', error);
+  }
+
+  return user;
+};
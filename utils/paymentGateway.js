@@ -0,0 +1,43 @@
+import Payment from '../models/Payment.js';
+import { getPaymentConfig } from '../config/payment.js';
+import { createHttpError } from './httpError.js';
+import razorpayProvider from './razorpay.js';
+import mockProvider from './mockPayments.js';
+
+// Payment providers by name. Each implements:
+//   name, publicKey, isConfigured()
+//   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency }
+//   verifySignature({ orderId, paymentId, signature }) -> boolean
+//   capturePayment(paymentId, amount, currency)
+//   refundPayment(paymentId, { amount, notes }) -> refund ({ id, amount, status, ... })
+//   fetchPayment(paymentId) -> { id, orderId, amount, status }
+//   parseWebhook(rawBody, signature) -> { event, payload }
+// Amounts are in paise; ids and webhook payloads use Razorpay's format.
+const PROVIDERS = {
+  razorpay: razorpayProvider,
+  mock: mockProvider,
+};
+
+// The provider selected by PAYMENT_PROVIDER
+export const getPaymentGateway = () => {
+  const { provider } = getPaymentConfig();
+  const gateway = PROVIDERS[provider];
+
+  if (!gateway) {
+    throw createHttpError(500, `Unknown payment provider '${provider}'`);
+  }
+  return gateway;
+};
+
+// The provider that handled a payment (payments outlive a change of PAYMENT_PROVIDER)
+export const getGatewayForPayment = (payment) =>
+  PROVIDERS[payment.provider] || getPaymentGateway();
+
+// Find the successful payment that paid for an order
+export const findOrderPayment = (order) => {
+  const conditions = [{ order: order._id }, { referenceId: order._id.toString() }];
+  if (order.razorpay_payment_id) {
+    conditions.push({ razorpay_payment_id: order.razorpay_payment_id });
+  }
+  return Payment.findOne({ $or: conditions, status: 'SUCCESS' });
+};
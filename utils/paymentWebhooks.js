@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Order from '../models/Order.js';
+import { confirmOrderPayment } from './orderPayment.js';
+import { applyRefundEvent, refundUnusedPayment } from './refunds.js';
+
+// The order a payment was created for, if it still exists and belongs to the
+// customer who made the payment
+const findReferencedOrder = async (payment) => {
+  if (!payment.referenceId || !mongoose.Types.ObjectId.isValid(payment.referenceId)) {
+    return null;
+  }
+
+  const order = await Order.findById(payment.referenceId);
+  if (order && order.customer.toString() !== payment.customer) {
+    console.warn(`⚠️ Payment ${payment._id} references order ${order._id} of another customer`);
+    return null;
+  }
+  return order;
+};
+
+// payment.captured / order.paid: mark the payment SUCCESS and confirm its order.
+// A capture the order can't take (it was cancelled meanwhile, or the amount is
+// wrong) is refunded, unless the payment has already paid for another order.
+const handlePaymentCaptured = async (paymentEntity) => {
+  const payment = await Payment.findOne({ razorpay_order_id: paymentEntity.order_id });
+  if (!payment) {
+    console.warn('⚠️ Webhook for unknown gateway order:', paymentEntity.order_id);
+    return;
+  }
+
+  if (payment.status !== 'SUCCESS') {
+    payment.status = 'SUCCESS';
+    payment.razorpay_payment_id = paymentEntity.id;
+    await payment.save();
+    console.log('✅ Payment captured via webhook:', paymentEntity.id);
+  }
+
+  const order = await findReferencedOrder(payment);
+  if (!order || order.paymentMethod !== 'online') return;
+
+  try {
+    if (await confirmOrderPayment(order, payment, { actor: 'system' })) {
+      console.log('✅ Order confirmed via webhook:', order._id);
+      return;
+    }
+  } catch (error) {
+    // Amount mismatches or cancelled orders can't be confirmed; retrying won't help
+    if (!error.statusCode) throw error;
+    console.warn(`⚠️ Webhook could not confirm order ${order._id}: ${error.message}`);
+  }
+
+  // The order is paid, cancelled or the wrong amount: unless this payment is the
+  // one that paid for an order, nothing will use it
+  const current = await Payment.findById(payment._id);
+  if (current && !current.order) {
+    const refund = await refundUnusedPayment(current, order);
+    console.log(`💸 Refunding unused payment ${current.razorpay_payment_id} for order ${order._id}: ${refund.status}`);
+  }
+};
+
+// payment.failed: record the failure unless the payment already succeeded. The
+// customer can retry on the same gateway order, so the order stays open; unpaid
+// orders are cancelled by the expiry job (see expireUnpaidOrders).
+const handlePaymentFailed = async (paymentEntity) => {
+  const payment = await Payment.findOne({ razorpay_order_id: paymentEntity.order_id });
+  if (!payment || payment.status === 'SUCCESS') return;
+
+  payment.status = 'FAILED';
+  payment.razorpay_payment_id = paymentEntity.id;
+  payment.errorDescription = paymentEntity.error_description;
+  await payment.save();
+
+  const order = await findReferencedOrder(payment);
+  if (order && order.status === 'pending_payment') {
+    order.paymentStatus = 'failed';
+    await order.save();
+  }
+
+  console.log('❌ Payment failed via webhook:', paymentEntity.id, paymentEntity.error_description);
+};
+
+// refund.processed: record the refund on the payment and the order
+const handleRefundProcessed = async (refundEntity) => {
+  const payment = await Payment.findOne({ razorpay_payment_id: refundEntity.payment_id });
+  if (payment && !payment.refunds.some((refund) => refund.refundId === refundEntity.id)) {
+    payment.refunds.push({
+      refundId: refundEntity.id,
+      amount: refundEntity.amount,
+      processedAt: new Date(),
+    });
+    await payment.save();
+  }
+
+  await applyRefundEvent(refundEntity, 'processed');
+
+  console.log('💸 Refund processed via webhook:', refundEntity.id);
+};
+
+// refund.failed: mark the refund failed so it can be retried
+const handleRefundFailed = async (refundEntity) => {
+  await applyRefundEvent(refundEntity, 'failed');
+
+  console.log('❌ Refund failed via webhook:', refundEntity.id);
+};
+
+// Gateway webhook events we act on, in Razorpay's event format
+const WEBHOOK_HANDLERS = {
+  'payment.captured': (payload) => handlePaymentCaptured(payload.payment.entity),
+  'order.paid': (payload) => handlePaymentCaptured(payload.payment.entity),
+  'payment.failed': (payload) => handlePaymentFailed(payload.payment.entity),
+  'refund.processed': (payload) => handleRefundProcessed(payload.refund.entity),
+  'refund.failed': (payload) => handleRefundFailed(payload.refund.entity),
+};
+
+// Apply a verified webhook event ({ event, payload }). Unknown events are ignored.
+export const handlePaymentEvent = async ({ event, payload }) => {
+  const handler = WEBHOOK_HANDLERS[event];
+
+  if (!handler) {
+    console.log('ℹ️ Ignoring payment webhook:', event);
+    return false;
+  }
+
+  console.log('🔔 Payment webhook:', event);
+  await handler(payload);
+  return true;
+};
@@ -0,0 +1,201 @@
+import mongoose from 'mongoose';
+import MenuItem from '../models/MenuItem.js';
+import { getPricingConfig } from '../config/pricing.js';
+import { calculateDistance, hasCoordinates } from './geo.js';
+import { createHttpError } from './httpError.js';
+import { resolveCustomizations } from './customizations.js';
+import { validateCoupon } from './coupons.js';
+import { getActivePromotions, applyPromotions } from './promotions.js';
+import { assertQuantitiesInStock } from './inventory.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Fields compared between the client's pricing object and the server's
+const PRICING_FIELDS = ['subtotal', 'deliveryFee', 'platformFee', 'gst', 'discount', 'totalAmount'];
+
+// Delivery fee for a given distance and food subtotal
+export const calculateDeliveryFee = (distanceKm, subtotal, config = getPricingConfig()) => {
+  if (subtotal >= config.freeDeliveryThreshold) {
+    return 0;
+  }
+
+  const extraKm = Math.max(0, distanceKm - config.deliveryBaseDistanceKm);
+  return round2(config.deliveryBaseFee + Math.ceil(extraKm) * config.deliveryFeePerKm);
+};
+
+// Recompute an order's price from the menu, the delivery distance and the fee rules.
+// `items` is the client's item list ({ menuItem, quantity, customizations }); names
+// and prices sent by the client are ignored. The restaurant's running promotions
+// are taken off the item lines, so `subtotal` is after offers. An optional
+// `couponCode` is validated for `customerId` and its discount taken off the total
+// (GST stays on the subtotal before the coupon).
+export const priceOrder = async ({ restaurant, items, deliveryAddress, couponCode, customerId }) => {
+  const config = getPricingConfig();
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createHttpError(400, 'Order must contain at least one item');
+  }
+
+  const requested = items.map((item) => ({
+    menuItemId: (item.menuItem?._id || item.menuItem)?.toString(),
+    quantity: Number(item.quantity),
+    selections: item.customizations || [],
+  }));
+
+  for (const { menuItemId, quantity } of requested) {
+    if (!menuItemId || !mongoose.Types.ObjectId.isValid(menuItemId)) {
+      throw createHttpError(400, 'Each item must reference a valid menu item');
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createHttpError(400, 'Item quantity must be a whole number of at least 1');
+    }
+  }
+
+  const menuItems = await MenuItem.find({
+    _id: { $in: requested.map((item) => item.menuItemId) },
+  });
+  const menuById = new Map(menuItems.map((menuItem) => [menuItem._id.toString(), menuItem]));
+
+  const listLines = requested.map(({ menuItemId, quantity, selections }) => {
+    const menuItem = menuById.get(menuItemId);
+
+    if (!menuItem || menuItem.restaurantId.toString() !== restaurant._id.toString()) {
+      throw createHttpError(400, 'One or more items do not belong to this restaurant');
+    }
+    if (!menuItem.isAvailable) {
+      throw createHttpError(400, `${menuItem.name} is currently unavailable`);
+    }
+
+    // Unit price includes the selected variant and add-on price deltas
+    const { customizations, unitPrice } = resolveCustomizations(menuItem, selections);
+
+    return {
+      menuItem: menuItem._id,
+      name: menuItem.name,
+      price: unitPrice,
+      quantity,
+      customizations,
+      lineTotal: round2(unitPrice * quantity),
+    };
+  });
+
+  assertQuantitiesInStock(listLines, menuById);
+
+  const promoted = applyPromotions(listLines, menuById, await getActivePromotions(restaurant));
+  const lines = promoted.lines;
+
+  const restaurantAddress = restaurant.restaurantDetails?.address;
+  if (!hasCoordinates(restaurantAddress)) {
+    throw createHttpError(400, 'Restaurant location is not configured');
+  }
+  if (!hasCoordinates(deliveryAddress)) {
+    throw createHttpError(400, 'Delivery address must include latitude and longitude');
+  }
+
+  const distanceKm = round2(
+    calculateDistance(
+      Number(restaurantAddress.latitude),
+      Number(restaurantAddress.longitude),
+      Number(deliveryAddress.latitude),
+      Number(deliveryAddress.longitude)
+    )
+  );
+
+  if (distanceKm > config.maxDeliveryDistanceKm) {
+    throw createHttpError(400, `Delivery address is outside the ${config.maxDeliveryDistanceKm}km delivery range`);
+  }
+
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const deliveryFee = calculateDeliveryFee(distanceKm, subtotal, config);
+  const platformFee = round2(config.platformFee);
+  const gst = round2(subtotal * config.gstRate);
+
+  const coupon = couponCode
+    ? await validateCoupon({ code: couponCode, customerId, restaurantId: restaurant._id, subtotal, deliveryFee })
+    : null;
+  const discount = coupon ? coupon.amount : 0;
+  const totalAmount = round2(subtotal + deliveryFee + platformFee + gst - discount);
+
+  const fees = [
+    { code: 'delivery', label: 'Delivery fee', amount: deliveryFee },
+    { code: 'platform', label: 'Platform fee', amount: platformFee },
+    { code: 'gst', label: `GST (${round2(config.gstRate * 100)}%)`, amount: gst },
+  ];
+  if (coupon) {
+    fees.push({ code: 'discount', label: `Coupon ${coupon.code}`, amount: -discount });
+  }
+
+  return {
+    items: lines,
+    subtotal,
+    deliveryFee,
+    platformFee,
+    gst,
+    discount,
+    totalAmount,
+    coupon,
+    promotionDiscount: promoted.discount,
+    promotions: promoted.promotions,
+    breakdown: {
+      distanceKm,
+      gstRate: config.gstRate,
+      fees,
+      computedAt: new Date(),
+    },
+  };
+};
+
+// Compare the client's pricing object against the server's result.
+// Returns the list of mismatching fields, or throws 409 in 'reject' mode.
+export const reconcileClientPricing = (computed, clientPricing) => {
+  if (!clientPricing) {
+    return [];
+  }
+
+  const { tolerance, mismatchMode } = getPricingConfig();
+
+  const mismatches = PRICING_FIELDS
+    .filter((field) => clientPricing[field] !== undefined)
+    .filter((field) => Math.abs(Number(clientPricing[field]) - computed[field]) > tolerance)
+    .map((field) => ({
+      field,
+      client: Number(clientPricing[field]),
+      server: computed[field],
+    }));
+
+  if (mismatches.length > 0 && mismatchMode === 'reject') {
+    throw createHttpError(409, 'Order total has changed. Please review your cart and try again.', {
+      pricing: {
+        subtotal: computed.subtotal,
+        deliveryFee: computed.deliveryFee,
+        platformFee: computed.platformFee,
+        gst: computed.gst,
+        discount: computed.discount,
+        totalAmount: computed.totalAmount,
+      },
+      mismatches,
+    });
+  }
+
+  return mismatches;
+};
+
+// Order fields for a priced order, ready to spread into `new Order({...})`
+export const toOrderPricingFields = (computed, clientPricing, mismatches) => ({
+  items: computed.items,
+  subtotal: computed.subtotal,
+  deliveryFee: computed.deliveryFee,
+  platformFee: computed.platformFee,
+  gst: computed.gst,
+  discount: computed.discount,
+  coupon: computed.coupon || undefined,
+  promotionDiscount: computed.promotionDiscount,
+  promotions: computed.promotions,
+  totalAmount: computed.totalAmount,
+  distanceToCustomer: computed.breakdown.distanceKm,
+  pricingBreakdown: {
+    ...computed.breakdown,
+    clientTotal: clientPricing?.totalAmount !== undefined ? Number(clientPricing.totalAmount) : undefined,
+    corrected: mismatches.length > 0,
+  },
+});
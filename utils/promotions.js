@@ -0,0 +1,286 @@
+import Promotion from '../models/Promotion.js';
+import MenuItem from '../models/MenuItem.js';
+import { getSchedulingConfig } from '../config/scheduling.js';
+import { getLocalParts, isValidTime } from './operatingHours.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const PRICE_CUT_TYPES = ['percentage', 'flat'];
+
+// Promotion fields restaurants can set from the dashboard
+export const PROMOTION_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'value',
+  'buyQuantity',
+  'getQuantity',
+  'comboItems',
+  'comboPrice',
+  'categories',
+  'subCategories',
+  'menuItems',
+  'daysOfWeek',
+  'startTime',
+  'endTime',
+  'validFrom',
+  'validUntil',
+  'isActive',
+];
+
+// Whether a promotion is running at a moment, in the restaurant's timezone
+export const isPromotionActive = (promotion, at = new Date(), timeZone = getSchedulingConfig().timeZone) => {
+  if (!promotion.isActive) return false;
+  if (promotion.validFrom && at < promotion.validFrom) return false;
+  if (promotion.validUntil && at > promotion.validUntil) return false;
+
+  const local = getLocalParts(at, timeZone);
+  const runsOn = (day) => !promotion.daysOfWeek?.length || promotion.daysOfWeek.includes(day);
+
+  if (!promotion.startTime || !promotion.endTime) {
+    return runsOn(local.day);
+  }
+
+  if (promotion.startTime < promotion.endTime) {
+    return runsOn(local.day) && local.time >= promotion.startTime && local.time < promotion.endTime;
+  }
+
+  // Overnight window: the early hours belong to the previous day's offer
+  if (local.time >= promotion.startTime) return runsOn(local.day);
+  if (local.time < promotion.endTime) return runsOn((local.day + 6) % 7);
+  return false;
+};
+
+export const getRestaurantTimeZone = (restaurant) =>
+  restaurant.restaurantDetails?.timezone || getSchedulingConfig().timeZone;
+
+// Promotions a restaurant is running right now
+export const getActivePromotions = async (restaurant, at = new Date()) => {
+  const timeZone = getRestaurantTimeZone(restaurant);
+  const promotions = await Promotion.find({ restaurant: restaurant._id, isActive: true });
+  return promotions.filter((promotion) => isPromotionActive(promotion, at, timeZone));
+};
+
+// Whether a menu item is covered by a percentage, flat or BOGO promotion
+const matchesItem = (promotion, menuItem) => {
+  const { categories = [], subCategories = [], menuItems = [] } = promotion;
+
+  if (categories.length === 0 && subCategories.length === 0 && menuItems.length === 0) {
+    return true;
+  }
+
+  return menuItems.some((id) => id.toString() === menuItem._id.toString()) ||
+    categories.includes(menuItem.category) ||
+    (Boolean(menuItem.subCategory) && subCategories.includes(menuItem.subCategory));
+};
+
+const isInCombo = (promotion, menuItem) =>
+  promotion.comboItems.some((entry) => entry.menuItem.toString() === menuItem._id.toString());
+
+// Short label for menus, e.g. "20% off" or "Buy 1 Get 1 Free"
+export const describePromotion = (promotion) => {
+  switch (promotion.type) {
+    case 'percentage':
+      return `${promotion.value}% off`;
+    case 'flat':
+      return `₹${promotion.value} off`;
+    case 'bogo':
+      return `Buy ${promotion.buyQuantity} Get ${promotion.getQuantity} Free`;
+    default:
+      return `Combo for ₹${promotion.comboPrice}`;
+  }
+};
+
+// The percentage/flat promotion that takes the most off a unit price, with the amount
+const bestPriceCut = (promotions, unitPrice) =>
+  promotions.reduce((best, promotion) => {
+    const cut = round2(Math.min(
+      unitPrice,
+      promotion.type === 'percentage' ? (unitPrice * promotion.value) / 100 : promotion.value
+    ));
+    return cut > 0 && (!best || cut > best.cut) ? { promotion, cut } : best;
+  }, null);
+
+// Offers shown on a menu item: the discounted price from the best percentage/flat
+// promotion (null when there is none), shown next to the struck-through `price`,
+// and labels for every promotion the item is part of
+export const getItemOffers = (menuItem, promotions) => {
+  const matching = promotions.filter((promotion) =>
+    promotion.type === 'combo' ? isInCombo(promotion, menuItem) : matchesItem(promotion, menuItem)
+  );
+  const best = bestPriceCut(matching.filter((promotion) => PRICE_CUT_TYPES.includes(promotion.type)), menuItem.price);
+
+  return {
+    offerPrice: best ? round2(menuItem.price - best.cut) : null,
+    offers: matching.map((promotion) => ({
+      promotion: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      label: describePromotion(promotion),
+    })),
+  };
+};
+
+// Apply a restaurant's running promotions to priced order lines ({ menuItem, price,
+// quantity }). Offers don't stack: each unit gets at most one. Percentage and flat
+// offers come first (the best one per item), then buy-X-get-Y on the remaining
+// units (the cheapest in each group are free), then combos. Returns the lines with
+// `discount` taken off `lineTotal`, the total discount and the amount per promotion.
+export const applyPromotions = (lines, menuById, promotions) => {
+  const discounts = lines.map(() => 0);
+  const claimed = lines.map(() => 0); // units already covered by an offer
+  const applied = new Map();
+
+  const addDiscount = (promotion, index, amount) => {
+    discounts[index] += amount;
+    const key = promotion._id.toString();
+    if (!applied.has(key)) {
+      applied.set(key, { promotion: promotion._id, name: promotion.name, type: promotion.type, amount: 0 });
+    }
+    applied.get(key).amount += amount;
+  };
+
+  // Units of matching lines not yet covered by an offer
+  const freeUnits = (matches) => lines.flatMap((line, index) =>
+    matches(line) ? Array.from({ length: line.quantity - claimed[index] }, () => ({ index, price: line.price })) : []
+  );
+
+  const priceCuts = promotions.filter((promotion) => PRICE_CUT_TYPES.includes(promotion.type));
+  lines.forEach((line, index) => {
+    const menuItem = menuById.get(line.menuItem.toString());
+    const best = bestPriceCut(priceCuts.filter((promotion) => matchesItem(promotion, menuItem)), line.price);
+    if (best) {
+      addDiscount(best.promotion, index, best.cut * line.quantity);
+      claimed[index] = line.quantity;
+    }
+  });
+
+  for (const promotion of promotions.filter((entry) => entry.type === 'bogo')) {
+    const units = freeUnits((line) => matchesItem(promotion, menuById.get(line.menuItem.toString())))
+      .sort((a, b) => b.price - a.price);
+    const groupSize = promotion.buyQuantity + promotion.getQuantity;
+
+    for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+      units.slice(start, start + groupSize).forEach((unit, position) => {
+        claimed[unit.index] += 1;
+        if (position >= promotion.buyQuantity) {
+          addDiscount(promotion, unit.index, unit.price);
+        }
+      });
+    }
+  }
+
+  for (const promotion of promotions.filter((entry) => entry.type === 'combo')) {
+    const pools = promotion.comboItems.map((entry) => ({
+      needed: entry.quantity,
+      units: freeUnits((line) => line.menuItem.toString() === entry.menuItem.toString())
+        .sort((a, b) => a.price - b.price),
+    }));
+
+    while (pools.length > 0 && pools.every((pool) => pool.units.length >= pool.needed)) {
+      const used = pools.flatMap((pool) => pool.units.splice(0, pool.needed));
+      const regular = used.reduce((sum, unit) => sum + unit.price, 0);
+      const saving = regular - promotion.comboPrice;
+      if (saving <= 0) break;
+
+      // Spread the saving over the combo's items in proportion to their price
+      used.forEach((unit) => {
+        claimed[unit.index] += 1;
+        addDiscount(promotion, unit.index, (saving * unit.price) / regular);
+      });
+    }
+  }
+
+  const discountedLines = lines.map((line, index) => {
+    const discount = round2(discounts[index]);
+    return { ...line, discount, lineTotal: round2(line.price * line.quantity - discount) };
+  });
+
+  return {
+    lines: discountedLines,
+    discount: round2(discountedLines.reduce((sum, line) => sum + line.discount, 0)),
+    promotions: Array.from(applied.values()).map((entry) => ({ ...entry, amount: round2(entry.amount) })),
+  };
+};
+
+// Validate a promotion from the restaurant dashboard (for updates, the stored
+// promotion merged with the changes). Returns an error message or null.
+export const validatePromotionInput = async (data, restaurantId) => {
+  if (!data.name || !String(data.name).trim()) {
+    return 'Promotion name is required';
+  }
+  if (!['percentage', 'flat', 'bogo', 'combo'].includes(data.type)) {
+    return 'Type must be percentage, flat, bogo or combo';
+  }
+  if (data.type === 'percentage' && !(data.value > 0 && data.value <= 100)) {
+    return 'Percentage offers need a value between 1 and 100';
+  }
+  if (data.type === 'flat' && !(data.value > 0)) {
+    return 'Flat offers need a value greater than zero';
+  }
+  if (data.type === 'bogo') {
+    for (const field of ['buyQuantity', 'getQuantity']) {
+      if (data[field] !== undefined && !(Number.isInteger(data[field]) && data[field] >= 1)) {
+        return `${field} must be a whole number of at least 1`;
+      }
+    }
+  }
+
+  if (data.type === 'combo') {
+    const comboItems = data.comboItems || [];
+    const units = comboItems.reduce((sum, entry) => sum + (entry.quantity ?? 1), 0);
+    if (units < 2) {
+      return 'Combos need at least two items';
+    }
+    if (comboItems.some((entry) => entry.quantity !== undefined && !(Number.isInteger(entry.quantity) && entry.quantity >= 1))) {
+      return 'Combo item quantities must be whole numbers of at least 1';
+    }
+    if (!(data.comboPrice >= 0)) {
+      return 'Combos need a comboPrice';
+    }
+  }
+
+  const itemIds = [
+    ...(data.menuItems || []),
+    ...(data.type === 'combo' ? data.comboItems.map((entry) => entry.menuItem) : []),
+  ].map((id) => id?.toString());
+  if (itemIds.length > 0) {
+    const uniqueIds = [...new Set(itemIds)];
+    const found = await MenuItem.countDocuments({ _id: { $in: uniqueIds }, restaurantId }).catch(() => -1);
+    if (found !== uniqueIds.length) {
+      return 'Promotions can only include items from your own menu';
+    }
+  }
+
+  const categories = MenuItem.schema.path('category').enumValues;
+  const subCategories = MenuItem.schema.path('subCategory').enumValues;
+  if ((data.categories || []).some((category) => !categories.includes(category))) {
+    return `Categories must be from: ${categories.join(', ')}`;
+  }
+  if ((data.subCategories || []).some((subCategory) => !subCategories.includes(subCategory))) {
+    return `Sub-categories must be from: ${subCategories.join(', ')}`;
+  }
+
+  if ((data.daysOfWeek || []).some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return 'Days must be numbers from 0 (Sunday) to 6 (Saturday)';
+  }
+  if (Boolean(data.startTime) !== Boolean(data.endTime)) {
+    return 'Set both a start and an end time, or neither';
+  }
+  if (data.startTime && (!isValidTime(data.startTime) || !isValidTime(data.endTime))) {
+    return 'Times must use 24-hour HH:mm format';
+  }
+  if (data.startTime && data.startTime === data.endTime) {
+    return 'Start and end time cannot be the same';
+  }
+  for (const field of ['validFrom', 'validUntil']) {
+    if (data[field] && Number.isNaN(new Date(data[field]).getTime())) {
+      return `${field} must be a date`;
+    }
+  }
+  if (data.validFrom && data.validUntil && new Date(data.validFrom) >= new Date(data.validUntil)) {
+    return 'validUntil must be after validFrom';
+  }
+
+  return null;
+};
@@ -0,0 +1,94 @@
+import Razorpay from 'razorpay';
+import { createHttpError } from './httpError.js';
+import { hmacSha256, signaturesMatch } from './hmac.js';
+
+// Lazy initialization - Razorpay instance will be created when first needed
+let razorpay = null;
+let razorpayInitialized = false;
+
+// Get the Razorpay client, or null when credentials are not configured
+const getRazorpay = () => {
+  if (razorpayInitialized) return razorpay;
+
+  const KEY_ID = process.env.RAZORPAY_KEY_ID?.trim();
+  const KEY_SECRET = process.env.RAZORPAY_KEY_SECRET?.trim();
+
+  if (KEY_ID && KEY_SECRET) {
+    razorpay = new Razorpay({
+      key_id: KEY_ID,
+      key_secret: KEY_SECRET,
+    });
+    console.log('✅ Razorpay payment gateway initialized');
+  } else {
+    console.warn('⚠️ Razorpay credentials not configured. Payment routes will return errors.');
+  }
+
+  razorpayInitialized = true;
+  return razorpay;
+};
+
+const requireRazorpay = () => {
+  const client = getRazorpay();
+  if (!client) {
+    throw createHttpError(503, 'Payment gateway not configured');
+  }
+  return client;
+};
+
+// Razorpay implementation of the payment provider interface (see utils/paymentGateway.js).
+// Amounts are in paise.
+const razorpayProvider = {
+  name: 'razorpay',
+
+  get publicKey() {
+    return process.env.RAZORPAY_KEY_ID;
+  },
+
+  isConfigured: () => Boolean(getRazorpay()),
+
+  createOrder: async (options) => {
+    const order = await requireRazorpay().orders.create(options);
+    return { id: order.id, amount: order.amount, currency: order.currency };
+  },
+
+  verifySignature: ({ orderId, paymentId, signature }) =>
+    signaturesMatch(
+      hmacSha256((process.env.RAZORPAY_KEY_SECRET || '').trim(), `${orderId}|${paymentId}`),
+      signature
+    ),
+
+  capturePayment: (paymentId, amount, currency = 'INR') =>
+    requireRazorpay().payments.capture(paymentId, amount, currency),
+
+  refundPayment: (paymentId, { amount, notes }) =>
+    requireRazorpay().payments.refund(paymentId, { amount, notes }),
+
+  fetchPayment: async (paymentId) => {
+    const payment = await requireRazorpay().payments.fetch(paymentId);
+    return {
+      id: payment.id,
+      orderId: payment.order_id,
+      amount: payment.amount,
+      status: payment.status,
+    };
+  },
+
+  // Check the X-Razorpay-Signature header and return the parsed event
+  parseWebhook: (rawBody, signature) => {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET?.trim();
+    if (!secret) {
+      throw createHttpError(503, 'Webhook secret not configured');
+    }
+    if (!Buffer.isBuffer(rawBody) || !signaturesMatch(hmacSha256(secret, rawBody), signature)) {
+      throw createHttpError(400, 'Invalid webhook signature');
+    }
+
+    try {
+      return JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw createHttpError(400, 'Invalid webhook payload');
+    }
+  },
+};
+
+export default razorpayProvider;
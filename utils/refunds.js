@@ -0,0 +1,306 @@
+import mongoose from 'mongoose';
+import Refund from '../models/Refund.js';
+import Order from '../models/Order.js';
+import { createHttpError } from './httpError.js';
+import { findOrderPayment, getGatewayForPayment } from './paymentGateway.js';
+import { postWalletTransaction } from './wallet.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Refund fields shown to customers on GET /api/orders/:id
+export const REFUND_PUBLIC_FIELDS = 'amount method reason status failureReason processedAt createdAt';
+
+// Whether any part of an order was paid: online through the gateway and/or from the wallet
+const hasPayment = (order) =>
+  order.walletAmount > 0 || (order.paymentMethod === 'online' && Boolean(order.razorpay_payment_id));
+
+// What the customer paid for an order, in rupees, split by where it came from
+const getPaidAmounts = async (order) => {
+  let payment = null;
+
+  if (order.paymentMethod === 'online' && order.razorpay_payment_id) {
+    payment = await findOrderPayment(order);
+    if (!payment || !payment.razorpay_payment_id) {
+      throw createHttpError(400, 'No captured payment found for this order');
+    }
+  }
+
+  return {
+    payment,
+    gateway: payment ? payment.amount / 100 : 0,
+    wallet: order.walletAmount || 0,
+  };
+};
+
+const sumAmounts = (refunds) => round2(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+
+// Recompute an order's refund summary (refundAmount, refundStatus, paymentStatus)
+// from its Refund records. Failed refunds don't count towards the refunded total.
+export const syncOrderRefundSummary = async (order) => {
+  const refunds = await Refund.find({ order: order._id }).sort({ createdAt: 1 });
+  if (refunds.length === 0) return null;
+
+  const active = refunds.filter((refund) => refund.status !== 'failed');
+  const refunded = sumAmounts(active);
+  const latestGateway = refunds.filter((refund) => refund.method === 'gateway').pop();
+
+  let refundStatus = 'failed';
+  if (active.some((refund) => refund.status === 'initiated')) {
+    refundStatus = 'initiated';
+  } else if (active.length > 0) {
+    refundStatus = 'processed';
+  }
+
+  const summary = {
+    refundStatus,
+    razorpay_refund_id: latestGateway?.gatewayRefundId || null,
+  };
+
+  // A failed refund keeps the amount still owed on the order
+  if (refunded > 0) {
+    const paid = await getPaidAmounts(order);
+    summary.refundAmount = refunded;
+    summary.paymentStatus = refunded >= round2(paid.gateway + paid.wallet) ? 'refunded' : 'partially_refunded';
+  }
+
+  await Order.updateOne({ _id: order._id }, summary);
+  return summary;
+};
+
+// Send a refund to the gateway and record the outcome. Gateway errors mark the
+// refund failed instead of throwing.
+const submitRefund = async (refund, payment, order) => {
+  const gateway = getGatewayForPayment(payment);
+
+  try {
+    if (!gateway.isConfigured()) {
+      throw new Error('Payment gateway not configured');
+    }
+
+    const result = await gateway.refundPayment(payment.razorpay_payment_id, {
+      amount: Math.round(refund.amount * 100), // paise
+      notes: {
+        orderId: order._id.toString(),
+        refundId: refund._id.toString(),
+        reason: refund.reason,
+      },
+    });
+
+    await Refund.updateOne({ _id: refund._id }, { gatewayRefundId: result.id });
+    // The refund.processed webhook may have got here first
+    if (result.status === 'processed') {
+      await Refund.updateOne(
+        { _id: refund._id, status: 'initiated' },
+        { status: 'processed', processedAt: new Date() }
+      );
+    }
+
+    console.log(`💸 Refund ${result.id} initiated for order ${order._id}: ₹${refund.amount}`);
+  } catch (error) {
+    const failureReason = error.error?.description || error.message;
+    await Refund.updateOne(
+      { _id: refund._id },
+      { status: 'failed', failureReason, failedAt: new Date() }
+    );
+    console.error(`❌ Refund failed for order ${order._id}: ${failureReason}`);
+  }
+};
+
+// Credit a refund to the customer's wallet. Wallet refunds complete immediately.
+const creditWalletRefund = async (refund, order) => {
+  try {
+    await postWalletTransaction({
+      user: refund.customer,
+      type: 'credit',
+      amount: refund.amount,
+      source: 'refund',
+      order: order._id,
+      refund: refund._id,
+      idempotencyKey: `refund:${refund._id}`,
+      note: `Refund for order ${order.orderNumber || order._id}`,
+    });
+    await Refund.updateOne({ _id: refund._id }, { status: 'processed', processedAt: new Date() });
+  } catch (error) {
+    await Refund.updateOne(
+      { _id: refund._id },
+      { status: 'failed', failureReason: error.message, failedAt: new Date() }
+    );
+    console.error(`❌ Wallet refund failed for order ${order._id}: ${error.message}`);
+  }
+};
+
+const processRefund = (refund, payment, order) =>
+  refund.method === 'wallet' ? creditWalletRefund(refund, order) : submitRefund(refund, payment, order);
+
+// Refund all or part (`amount`, in rupees) of what the customer paid for an order.
+// Money goes back the way it came: the online payment first, then the wallet share.
+// `toWallet` sends the whole amount to the wallet instead. `idempotencyKey` defaults
+// to one refund per order and reason; calling again with the same key returns the
+// existing refunds, or retries those that failed. Updates the order document in
+// memory as well as in the database. Returns the Refund records.
+export const refundOrder = async (order, { amount, reason, actor, note, idempotencyKey, toWallet = false } = {}) => {
+  if (!hasPayment(order)) {
+    throw createHttpError(400, 'Nothing has been paid for this order');
+  }
+
+  const paid = await getPaidAmounts(order);
+  const key = idempotencyKey || `${order._id}:${reason}`;
+  const keys = [key, `${key}:wallet`];
+
+  let refunds = await Refund.find({ idempotencyKey: { $in: keys } });
+
+  if (refunds.length > 0) {
+    // Retry refunds that failed earlier
+    for (const refund of refunds.filter((existing) => existing.status === 'failed')) {
+      refund.status = 'initiated';
+      refund.failureReason = undefined;
+      refund.failedAt = undefined;
+      await refund.save();
+      await processRefund(refund, paid.payment, order);
+    }
+  } else {
+    const active = await Refund.find({ order: order._id, status: { $ne: 'failed' } });
+    const remaining = round2(paid.gateway + paid.wallet - sumAmounts(active));
+    const gatewayRemaining = round2(
+      paid.gateway - sumAmounts(active.filter((refund) => refund.method === 'gateway'))
+    );
+    const refundAmount = round2(amount ?? remaining);
+
+    if (refundAmount <= 0 || remaining <= 0) {
+      throw createHttpError(400, 'Nothing left to refund for this order');
+    }
+    if (refundAmount > remaining) {
+      throw createHttpError(400, `At most ₹${remaining} can be refunded for this order`);
+    }
+
+    const gatewayAmount = toWallet ? 0 : round2(Math.min(refundAmount, Math.max(0, gatewayRemaining)));
+    const parts = [
+      { method: 'gateway', amount: gatewayAmount, idempotencyKey: keys[0] },
+      { method: 'wallet', amount: round2(refundAmount - gatewayAmount), idempotencyKey: keys[1] },
+    ].filter((part) => part.amount > 0);
+
+    try {
+      refunds = await Promise.all(parts.map((part) => Refund.create({
+        ...part,
+        order: order._id,
+        payment: part.method === 'gateway' ? paid.payment._id : undefined,
+        customer: order.customer?._id || order.customer,
+        reason,
+        note,
+        initiatedBy: actor,
+        provider: part.method === 'gateway' ? getGatewayForPayment(paid.payment).name : undefined,
+      })));
+    } catch (error) {
+      // Another request created the same refund first
+      if (error.code === 11000) {
+        return Refund.find({ idempotencyKey: { $in: keys } }).sort({ createdAt: 1 });
+      }
+      throw error;
+    }
+
+    for (const refund of refunds) {
+      await processRefund(refund, paid.payment, order);
+    }
+  }
+
+  const summary = await syncOrderRefundSummary(order);
+  if (summary) {
+    order.set(summary);
+  }
+
+  return Refund.find({ _id: { $in: refunds.map((refund) => refund._id) } }).sort({ createdAt: 1 });
+};
+
+// Refund an order automatically after rejection or cancellation. Does nothing for
+// unpaid orders (or a zero amount) and never throws, so the status change it
+// follows stands.
+export const autoRefundOrder = async (order, options = {}) => {
+  if (!hasPayment(order) || options.amount === 0) {
+    return null;
+  }
+
+  try {
+    return await refundOrder(order, options);
+  } catch (error) {
+    console.error(`❌ Automatic refund failed for order ${order._id}:`, error.message);
+    return null;
+  }
+};
+
+// Send a captured payment back in full when it paid for nothing: its order was
+// cancelled before the capture arrived, or the amount didn't match the order.
+// Recorded against the order the payment was made for. Safe to call again for the
+// same payment; a refund that failed earlier is retried. Returns the Refund.
+export const refundUnusedPayment = async (payment, order) => {
+  const idempotencyKey = `payment:${payment._id}:unused`;
+  let refund = await Refund.findOne({ idempotencyKey });
+
+  if (refund && refund.status !== 'failed') {
+    return refund;
+  }
+
+  if (refund) {
+    refund.status = 'initiated';
+    refund.failureReason = undefined;
+    refund.failedAt = undefined;
+    await refund.save();
+  } else {
+    try {
+      refund = await Refund.create({
+        order: order._id,
+        payment: payment._id,
+        customer: order.customer?._id || order.customer,
+        amount: round2(payment.amount / 100),
+        method: 'gateway',
+        reason: 'unused_payment',
+        initiatedBy: 'system',
+        provider: getGatewayForPayment(payment).name,
+        idempotencyKey,
+      });
+    } catch (error) {
+      // A retried webhook created it first
+      if (error.code === 11000) {
+        return Refund.findOne({ idempotencyKey });
+      }
+      throw error;
+    }
+  }
+
+  await submitRefund(refund, payment, order);
+  return Refund.findById(refund._id);
+};
+
+// Find the Refund a gateway refund event is about
+const findRefundForEvent = (refundEntity) => {
+  const conditions = [{ gatewayRefundId: refundEntity.id }];
+  const refundId = refundEntity.notes?.refundId;
+  if (refundId && mongoose.Types.ObjectId.isValid(refundId)) {
+    conditions.push({ _id: refundId });
+  }
+  return Refund.findOne({ $or: conditions });
+};
+
+// Apply a refund.processed / refund.failed webhook to our records
+export const applyRefundEvent = async (refundEntity, status) => {
+  const refund = await findRefundForEvent(refundEntity);
+  if (!refund) {
+    console.warn('⚠️ Webhook for unknown refund:', refundEntity.id);
+    return;
+  }
+
+  refund.gatewayRefundId = refundEntity.id;
+  if (status === 'processed') {
+    refund.status = 'processed';
+    refund.processedAt = refund.processedAt || new Date();
+  } else {
+    refund.status = 'failed';
+    refund.failureReason = refundEntity.error_description || refundEntity.notes?.failureReason || 'Refund failed at gateway';
+    refund.failedAt = new Date();
+  }
+  await refund.save();
+
+  const order = await Order.findById(refund.order);
+  if (order) {
+    await syncOrderRefundSummary(order);
+  }
+};
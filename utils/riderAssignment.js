@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { io, activeOrdersPool, activeRidersPool } from '../server.js';
+import { canTransition, transitionOrder } from './orderStateMachine.js';
+import { createHttpError } from './httpError.js';
+import { calculateDistance, hasCoordinates } from './geo.js';
+import { canRiderAccept, completeDispatch, estimateRiderEarnings } from './dispatch.js';
+import { assignBatch } from './batching.js';
+
+// Assign an order to the rider taking it, for both POST /api/orders/:id/accept and
+// the rider_accept_order socket event: records the delivery distance and the
+// rider's earnings, closes the dispatch (batching the order if it was offered on
+// top of a current delivery), updates the live pools and notifies the customer,
+// the restaurant and the other riders. Throws an HTTP error if the rider can't
+// take the order. Returns the saved order.
+export const acceptOrderAsRider = async (orderId, rider) => {
+  const riderId = rider._id.toString();
+
+  const order = mongoose.isValidObjectId(orderId)
+    ? await Order.findById(orderId).populate([
+      { path: 'customer', select: 'name email phone' },
+      { path: 'restaurant', select: 'restaurantDetails' },
+    ])
+    : null;
+
+  if (!order) {
+    throw createHttpError(404, 'Order not found');
+  }
+
+  if (order.rider || !canTransition(order.status, 'rider_assigned', 'rider')) {
+    throw createHttpError(400, 'Order has already been assigned or is not available');
+  }
+
+  // While the order is being dispatched only riders holding an offer can take it
+  if (!canRiderAccept(order._id, riderId)) {
+    throw createHttpError(403, 'This order was not offered to you');
+  }
+
+  // Calculate distance from restaurant to customer
+  const restaurantAddress = order.restaurant?.restaurantDetails?.address;
+  const distanceToCustomer = hasCoordinates(restaurantAddress) && hasCoordinates(order.deliveryAddress)
+    ? calculateDistance(
+      Number(restaurantAddress.latitude),
+      Number(restaurantAddress.longitude),
+      Number(order.deliveryAddress.latitude),
+      Number(order.deliveryAddress.longitude)
+    )
+    : 0;
+
+  transitionOrder(order, 'rider_assigned', { actor: 'rider', actorId: riderId });
+  order.rider = riderId;
+  order.distanceToCustomer = distanceToCustomer;
+  order.riderEarnings = estimateRiderEarnings(order, distanceToCustomer);
+  await order.save();
+
+  // Orders taken on top of a current delivery get the batch route and earnings split
+  const batchPlan = await completeDispatch(order._id, riderId);
+  if (batchPlan) {
+    await assignBatch(order, riderId, batchPlan);
+  }
+
+  const id = order._id.toString();
+
+  // Track the order against the rider's load for dispatch and batching
+  const riderData = activeRidersPool.get(riderId);
+  if (riderData && !riderData.activeOrders.some((activeId) => activeId.toString() === id)) {
+    riderData.activeOrders.push(id);
+  }
+
+  // Update order socket
+  const orderSocket = activeOrdersPool.get(id);
+  if (orderSocket) {
+    orderSocket.status = 'rider_assigned';
+    orderSocket.riderId = riderId;
+    orderSocket.riderDetails = riderData;
+    orderSocket.riderCoordinates = riderData?.coordinates;
+    activeOrdersPool.set(id, orderSocket);
+  }
+
+  // Remove from other riders' available list
+  activeRidersPool.forEach((otherRider, otherId) => {
+    if (otherId !== riderId) {
+      io.to(`rider_${otherId}`).emit('order_taken', { orderId: order._id });
+    }
+  });
+
+  const riderUpdate = {
+    orderId: order._id,
+    status: 'rider_assigned',
+    message: `Rider ${rider.name || 'A rider'} accepted your order!`,
+    riderName: rider.name,
+    riderPhone: rider.phone,
+  };
+
+  // Notify customer via order room
+  io.to(`order_${id}`).emit('order_status_changed', riderUpdate);
+  io.to(`order_${id}`).emit('order_accepted', riderUpdate);
+
+  // Notify restaurant to refresh dashboard
+  io.to(`restaurant_${order.restaurant._id}`).emit('order_status_changed', {
+    orderId: order._id,
+    status: 'rider_assigned',
+    riderName: rider.name,
+    riderPhone: rider.phone,
+  });
+
+  console.log(`🏍️ Rider ${riderId} accepted order: ${id}`);
+
+  return order;
+};
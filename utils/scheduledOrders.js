@@ -0,0 +1,69 @@
+import Order from '../models/Order.js';
+import { io } from '../server.js';
+import { getSchedulingConfig } from '../config/scheduling.js';
+import { createHttpError } from './httpError.js';
+import { isOpenAt } from './operatingHours.js';
+import { transitionOrder } from './orderStateMachine.js';
+import { populateForRestaurant, notifyRestaurantOfNewOrder } from './orderNotifications.js';
+
+// Parse and check a requested delivery slot. Returns the slot as a Date.
+export const validateScheduledSlot = (restaurant, scheduledFor, now = new Date()) => {
+  const { minLeadMinutes, maxDaysAhead } = getSchedulingConfig();
+  const slot = new Date(scheduledFor);
+
+  if (Number.isNaN(slot.getTime())) {
+    throw createHttpError(400, 'scheduledFor must be a valid date and time');
+  }
+
+  if (slot.getTime() < now.getTime() + minLeadMinutes * 60 * 1000) {
+    throw createHttpError(400, `Scheduled orders must be at least ${minLeadMinutes} minutes from now`);
+  }
+
+  if (slot.getTime() > now.getTime() + maxDaysAhead * 24 * 60 * 60 * 1000) {
+    throw createHttpError(400, `Orders can be scheduled at most ${maxDaysAhead} days ahead`);
+  }
+
+  // The manual kitchen toggle only affects the present, so it is ignored for future slots
+  if (!isOpenAt(restaurant, slot, { applyManualOverride: false })) {
+    throw createHttpError(400, 'The restaurant is closed at the selected time');
+  }
+
+  return slot;
+};
+
+// Send scheduled orders whose slot is within the release lead time to their restaurant
+export const releaseDueScheduledOrders = async () => {
+  const { releaseLeadMinutes } = getSchedulingConfig();
+  const releaseBefore = new Date(Date.now() + releaseLeadMinutes * 60 * 1000);
+
+  const dueOrders = await Order.find({
+    status: 'scheduled',
+    scheduledFor: { $lte: releaseBefore },
+  });
+
+  for (const order of dueOrders) {
+    try {
+      transitionOrder(order, 'pending', {
+        actor: 'system',
+        reason: 'Scheduled order released to restaurant',
+      });
+      order.releasedAt = new Date();
+      await order.save();
+
+      await populateForRestaurant(order);
+      notifyRestaurantOfNewOrder(order);
+
+      io.to(`order_${order._id}`).emit('order_status_changed', {
+        orderId: order._id,
+        status: 'pending',
+        message: 'Your scheduled order has been sent to the restaurant',
+      });
+
+      console.log(`⏰ Released scheduled order ${order.orderNumber || order._id} (slot ${order.scheduledFor.toISOString()})`);
+    } catch (error) {
+      console.error(`❌ Error releasing scheduled order ${order._id}:`, error);
+    }
+  }
+
+  return dueOrders.length;
+};
@@ -0,0 +1,318 @@
+import MenuItem from '../models/MenuItem.js';
+import User from '../models/User.js';
+import { getSearchConfig } from '../config/search.js';
+import { calculateDistance, hasCoordinates } from './geo.js';
+import { getOpenStatus } from './operatingHours.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// How much a match in each field counts towards a result's score
+const DISH_FIELDS = { name: 3, subCategory: 2, cuisine: 2, category: 1.5, description: 1 };
+const RESTAURANT_FIELDS = { kitchenName: 3, cuisine: 2 };
+// Restaurant fields also count for the dishes they serve, at a lower weight
+const DISH_RESTAURANT_WEIGHT = 0.5;
+
+// Match quality of a query word against an indexed word
+const EXACT = 1;
+const PREFIX = 0.8;
+const FUZZY = 0.6;
+
+// Lower-case words without accents, e.g. "Crème Brûlée" -> ["creme", "brulee"]
+export const tokenize = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Edit distance with adjacent swaps, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousRow[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = current;
+  }
+  return row[b.length];
+};
+
+// How well a query word matches an indexed word (0 = no match). Words typed so
+// far match longer words ("biryan"); short typos are forgiven ("tika" -> "tikka").
+const matchWord = (term, word) => {
+  if (word === term) return EXACT;
+  if (term.length >= 2 && word.startsWith(term)) return PREFIX;
+  if (term.length < 4) return 0;
+
+  const maxEdits = term.length >= 8 ? 2 : 1;
+  if (editDistance(term, word, maxEdits) <= maxEdits) return FUZZY;
+  // A misspelt start of a longer word ("buter" -> "butterscotch")
+  if (word.length > term.length && editDistance(term, word.slice(0, term.length), maxEdits) <= maxEdits) {
+    return FUZZY * PREFIX;
+  }
+  return 0;
+};
+
+// Word -> postings ({ doc, field }) for one kind of document
+const addPostings = (postings, docIndex, fields) => {
+  for (const [field, text] of Object.entries(fields)) {
+    for (const word of new Set(tokenize(Array.isArray(text) ? text.join(' ') : text))) {
+      if (!postings.has(word)) postings.set(word, []);
+      postings.get(word).push({ doc: docIndex, field });
+    }
+  }
+};
+
+const buildIndex = async () => {
+  const [restaurants, menuItems] = await Promise.all([
+    User.find({ role: 'restaurant' }).select('name restaurantDetails.kitchenName restaurantDetails.cuisine').lean(),
+    MenuItem.find({ isAvailable: true })
+      .select('restaurantId name description price category cuisine subCategory isVeg image')
+      .lean(),
+  ]);
+
+  const restaurantPostings = new Map();
+  const restaurantIndex = new Map();
+  restaurants.forEach((restaurant, index) => {
+    restaurantIndex.set(restaurant._id.toString(), index);
+    addPostings(restaurantPostings, index, {
+      kitchenName: restaurant.restaurantDetails?.kitchenName || restaurant.name,
+      cuisine: restaurant.restaurantDetails?.cuisine || [],
+    });
+  });
+
+  const dishes = menuItems.filter((menuItem) => restaurantIndex.has(menuItem.restaurantId.toString()));
+  const dishPostings = new Map();
+  dishes.forEach((dish, index) => {
+    addPostings(dishPostings, index, {
+      name: dish.name,
+      subCategory: dish.subCategory,
+      cuisine: dish.cuisine,
+      category: dish.category,
+      description: dish.description,
+    });
+  });
+
+  console.log(`🔎 Search index built: ${restaurants.length} restaurant(s), ${dishes.length} dish(es)`);
+
+  return { restaurants, restaurantIndex, restaurantPostings, dishes, dishPostings };
+};
+
+let currentIndex = null;
+let builtAt = 0;
+let stale = true;
+let pendingBuild = null;
+
+// Call after menus or restaurant names change; the next search rebuilds the index
+export const markSearchIndexStale = () => {
+  stale = true;
+};
+
+const getIndex = async () => {
+  if (currentIndex && !stale && Date.now() - builtAt < getSearchConfig().maxIndexAgeMs) {
+    return currentIndex;
+  }
+
+  if (!pendingBuild) {
+    // Changes made while building mark the new index stale again
+    stale = false;
+    pendingBuild = buildIndex()
+      .then((index) => {
+        currentIndex = index;
+        builtAt = Date.now();
+        return index;
+      })
+      .catch((error) => {
+        stale = true;
+        throw error;
+      })
+      .finally(() => {
+        pendingBuild = null;
+      });
+  }
+  return pendingBuild;
+};
+
+// Score documents of one kind against every query word. A document must match all
+// words; each word counts its best match in the document times the field weight.
+// Returns Map(doc index -> score).
+const scoreDocuments = (terms, postings, weights) => {
+  let scores = null;
+
+  for (const term of terms) {
+    const best = new Map();
+    for (const [word, entries] of postings) {
+      const quality = matchWord(term, word);
+      if (quality === 0) continue;
+      for (const { doc, field } of entries) {
+        best.set(doc, Math.max(best.get(doc) || 0, quality * weights[field]));
+      }
+    }
+
+    scores = scores
+      ? new Map([...scores].filter(([doc]) => best.has(doc)).map(([doc, score]) => [doc, score + best.get(doc)]))
+      : best;
+  }
+  return scores || new Map();
+};
+
+// Dishes also match on their restaurant's name and cuisine
+const scoreDishes = (terms, index) => {
+  let scores = null;
+
+  for (const term of terms) {
+    const termScores = scoreDocuments([term], index.dishPostings, DISH_FIELDS);
+    const viaRestaurant = scoreDocuments([term], index.restaurantPostings, RESTAURANT_FIELDS);
+
+    index.dishes.forEach((dish, doc) => {
+      const restaurantScore = viaRestaurant.get(index.restaurantIndex.get(dish.restaurantId.toString()));
+      if (restaurantScore) {
+        termScores.set(doc, Math.max(termScores.get(doc) || 0, restaurantScore * DISH_RESTAURANT_WEIGHT));
+      }
+    });
+
+    scores = scores
+      ? new Map([...scores].filter(([doc]) => termScores.has(doc)).map(([doc, score]) => [doc, score + termScores.get(doc)]))
+      : termScores;
+  }
+  return scores || new Map();
+};
+
+const formatDish = (dish, score) => ({
+  id: dish._id,
+  name: dish.name,
+  description: dish.description,
+  price: dish.price,
+  image: dish.image,
+  isVeg: dish.isVeg,
+  category: dish.category,
+  subCategory: dish.subCategory || null,
+  cuisine: dish.cuisine,
+  score: round2(score),
+});
+
+// Search dishes and restaurants, grouped by restaurant and best match first.
+// Filters: vegOnly, minPrice, maxPrice (dishes); minRating, openNow, and `near`
+// ({ latitude, longitude }) with maxDistanceKm (restaurants). A restaurant that
+// matches by name or cuisine lists its dishes that pass the filters even if they
+// don't mention the search words. Returns { total, results } for one page.
+export const searchMenus = async (query, filters = {}, { page = 1, limit = 10 } = {}) => {
+  const terms = [...new Set(tokenize(query))].slice(0, 8);
+  if (terms.length === 0) return { total: 0, results: [] };
+
+  const index = await getIndex();
+  const { maxDishesPerRestaurant } = getSearchConfig();
+
+  const passesDishFilters = (dish) =>
+    (!filters.vegOnly || dish.isVeg) &&
+    (filters.minPrice === undefined || dish.price >= filters.minPrice) &&
+    (filters.maxPrice === undefined || dish.price <= filters.maxPrice);
+
+  const groups = new Map();
+  const groupFor = (restaurantId) => {
+    if (!groups.has(restaurantId)) {
+      groups.set(restaurantId, { score: 0, matchedRestaurant: false, dishes: [] });
+    }
+    return groups.get(restaurantId);
+  };
+
+  for (const [doc, score] of scoreDishes(terms, index)) {
+    const dish = index.dishes[doc];
+    if (!passesDishFilters(dish)) continue;
+    const group = groupFor(dish.restaurantId.toString());
+    group.dishes.push({ dish, score });
+    group.score = Math.max(group.score, score);
+  }
+
+  for (const [doc, score] of scoreDocuments(terms, index.restaurantPostings, RESTAURANT_FIELDS)) {
+    const restaurantId = index.restaurants[doc]._id.toString();
+    const group = groups.get(restaurantId);
+    if (group) {
+      group.matchedRestaurant = true;
+      group.score = Math.max(group.score, score);
+      continue;
+    }
+
+    // Restaurant matched on its own: show what it serves
+    const dishes = index.dishes
+      .filter((dish) => dish.restaurantId.toString() === restaurantId && passesDishFilters(dish))
+      .map((dish) => ({ dish, score: 0 }));
+    if (dishes.length > 0) {
+      groups.set(restaurantId, { score, matchedRestaurant: true, dishes });
+    }
+  }
+
+  if (groups.size === 0) return { total: 0, results: [] };
+
+  // Ratings, opening hours and addresses change often, so they come from the database
+  const restaurants = await User.find({ _id: { $in: [...groups.keys()] }, role: 'restaurant' })
+    .select('name avatar restaurantDetails');
+
+  const near = filters.near && hasCoordinates(filters.near) ? filters.near : null;
+  const now = new Date();
+
+  const results = restaurants.flatMap((restaurant) => {
+    const details = restaurant.restaurantDetails || {};
+    const rating = details.rating?.average || 0;
+    if (filters.minRating !== undefined && rating < filters.minRating) return [];
+
+    let distance = null;
+    if (near) {
+      if (!hasCoordinates(details.address)) return [];
+      distance = round2(calculateDistance(
+        Number(near.latitude),
+        Number(near.longitude),
+        Number(details.address.latitude),
+        Number(details.address.longitude)
+      ));
+      if (filters.maxDistanceKm !== undefined && distance > filters.maxDistanceKm) return [];
+    }
+
+    const openStatus = getOpenStatus(restaurant, now);
+    if (filters.openNow && !openStatus.isOpen) return [];
+
+    const group = groups.get(restaurant._id.toString());
+    const dishes = group.dishes.sort((a, b) => b.score - a.score);
+
+    return [{
+      restaurant: {
+        id: restaurant._id,
+        name: details.kitchenName || restaurant.name,
+        avatar: restaurant.avatar,
+        cuisine: details.cuisine || [],
+        address: details.address || {},
+        rating: details.rating || { average: 0, count: 0 },
+        distance,
+        isOpenNow: openStatus.isOpen,
+      },
+      score: round2(group.score),
+      matchedRestaurant: group.matchedRestaurant,
+      dishCount: dishes.length,
+      dishes: dishes.slice(0, maxDishesPerRestaurant).map(({ dish, score }) => formatDish(dish, score)),
+    }];
+  });
+
+  results.sort((a, b) =>
+    b.score - a.score ||
+    (a.restaurant.distance ?? Infinity) - (b.restaurant.distance ?? Infinity)
+  );
+
+  return {
+    total: results.length,
+    results: results.slice((page - 1) * limit, page * limit),
+  };
+};
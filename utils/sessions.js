@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import AuthSession from '../models/AuthSession.js';
+import { getAuthConfig } from '../config/auth.js';
+import { createHttpError } from './httpError.js';
+import { signaturesMatch } from './hmac.js';
+
+// Refresh tokens are "<session id>.<random secret>"; only the secret's hash is stored
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret, ...rest] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret || rest.length > 0) return null;
+  return { sessionId, secret };
+};
+
+const nextExpiry = () => new Date(Date.now() + getAuthConfig().refreshTokenTtlMs);
+
+const isLive = (session) => Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+
+// Device details recorded with a session
+const describeRequest = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip || '',
+});
+
+// Start a session for a user who just signed in.
+// Returns { session, refreshToken }; the token is not stored and can't be shown again.
+export const startSession = async (user, req, method = 'password') => {
+  const secret = newSecret();
+  const session = await AuthSession.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    method,
+    expiresAt: nextExpiry(),
+    ...describeRequest(req),
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// The session behind an access token, if it is still live and belongs to the user
+export const findActiveSession = async (sessionId, userId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await AuthSession.findById(sessionId).select('user revokedAt expiresAt');
+  return isLive(session) && session.user.toString() === userId.toString() ? session : null;
+};
+
+export const revokeSession = async (sessionId, reason = 'revoked') => {
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// End every session of a user, optionally keeping one (the caller's own).
+// Returns how many were ended.
+export const revokeUserSessions = async (userId, reason = 'revoked', { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  const result = await AuthSession.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.modifiedCount;
+};
+
+// Swap a refresh token for a new one. A token that has already been swapped means
+// someone kept a copy, so the whole session ends and neither copy works any more;
+// the only exception is the token replaced moments ago (two tabs refreshing at once).
+// Returns { session, refreshToken }.
+export const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+
+  if (!parsed) {
+    throw createHttpError(401, 'Invalid refresh token');
+  }
+
+  const session = await AuthSession.findById(parsed.sessionId);
+
+  if (!isLive(session)) {
+    throw createHttpError(401, 'Session has expired. Please log in again.');
+  }
+
+  const presented = hashSecret(parsed.secret);
+
+  if (!signaturesMatch(session.tokenHash, presented)) {
+    const { refreshReuseGraceMs } = getAuthConfig();
+    const justReplaced = session.previousTokenHash &&
+      signaturesMatch(session.previousTokenHash, presented) &&
+      Date.now() - session.rotatedAt.getTime() < refreshReuseGraceMs;
+
+    if (justReplaced) {
+      throw createHttpError(409, 'Refresh token was already used. Retry with the latest token.');
+    }
+
+    await revokeSession(session._id, 'reuse_detected');
+    console.warn(`🚨 Refresh token reuse detected for session ${session._id} (user ${session.user}); session revoked`);
+    throw createHttpError(401, 'Session has been revoked. Please log in again.');
+  }
+
+  const secret = newSecret();
+  const now = new Date();
+
+  // Guarded on the current hash so two refreshes with the same token can't both succeed
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashSecret(secret),
+        previousTokenHash: session.tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: nextExpiry(),
+        ...describeRequest(req),
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw createHttpError(409, 'Refresh token was already used. Retry with the latest token.');
+  }
+
+  return { session: rotated, refreshToken: `${rotated._id}.${secret}` };
+};
+
+// Log out with a refresh token (when the access token has already expired).
+// Returns the session id, or null if the token doesn't open a live session.
+export const endSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await AuthSession.findById(parsed.sessionId);
+  if (!isLive(session) || !signaturesMatch(session.tokenHash, hashSecret(parsed.secret))) return null;
+
+  await revokeSession(session._id, 'logout');
+  return session._id;
+};
+
+// A user's live sessions, most recently used first
+export const listUserSessions = (userId) =>
+  AuthSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip method createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
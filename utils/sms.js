@@ -0,0 +1,27 @@
+import { getVerificationConfig } from '../config/verification.js';
+import { createHttpError } from './httpError.js';
+import consoleSmsProvider from './consoleSmsProvider.js';
+
+// SMS providers by name. Each implements:
+//   name
+//   send({ to, text })
+// Numbers are the 10-digit mobile numbers stored on users. Add a real gateway
+// (Twilio, MSG91, ...) here and select it with SMS_PROVIDER.
+const PROVIDERS = {
+  console: consoleSmsProvider,
+};
+
+// The provider selected by SMS_PROVIDER
+export const getSmsProvider = () => {
+  const { smsProvider } = getVerificationConfig();
+  const provider = PROVIDERS[smsProvider];
+
+  if (!provider) {
+    throw createHttpError(500, `Unknown SMS provider '${smsProvider}'`);
+  }
+  return provider;
+};
+
+export const sendSms = async ({ to, text }) => {
+  await getSmsProvider().send({ to, text });
+};
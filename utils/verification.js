@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Verification from '../models/Verification.js';
+import { getVerificationConfig } from '../config/verification.js';
+import { createHttpError } from './httpError.js';
+import { hmacSha256, signaturesMatch } from './hmac.js';
+import { sendMail } from './mailer.js';
+import { sendSms } from './sms.js';
+
+// Phone number given to users who signed up without one
+export const PLACEHOLDER_PHONE = '0000000000';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Codes and link tokens are stored as keyed hashes. Phone codes are short, so
+// theirs include the user; email tokens are looked up on their own.
+const hashPhoneCode = (userId, code) => hmacSha256(process.env.JWT_SECRET, `phone:${userId}:${code}`);
+const hashEmailToken = (token) => hmacSha256(process.env.JWT_SECRET, `email:${token}`);
+
+// "******1234"
+const maskPhone = (phone) => `${'*'.repeat(Math.max(0, phone.length - 4))}${phone.slice(-4)}`;
+
+// Store a new code for a user and channel, replacing any earlier one. Refused
+// with a 429 (and `retryAfter` seconds) if the last code went out too recently
+// or the hourly limit has been used up.
+const issueCode = async (user, channel, target, codeHash, ttlMs) => {
+  const { resendIntervalMs, maxSendsPerHour } = getVerificationConfig();
+  const now = Date.now();
+
+  const existing = await Verification.findOne({ user: user._id, channel });
+  const sends = (existing?.sentAt || []).filter((sentAt) => now - sentAt.getTime() < HOUR_MS);
+  const last = sends[sends.length - 1];
+
+  if (last && now - last.getTime() < resendIntervalMs) {
+    const retryAfter = Math.ceil((resendIntervalMs - (now - last.getTime())) / 1000);
+    throw createHttpError(429, `Please wait ${retryAfter} seconds before requesting another code`, { retryAfter });
+  }
+
+  if (sends.length >= maxSendsPerHour) {
+    const retryAfter = Math.ceil((HOUR_MS - (now - sends[0].getTime())) / 1000);
+    throw createHttpError(429, 'Too many codes requested. Please try again later.', { retryAfter });
+  }
+
+  const fields = {
+    target,
+    codeHash,
+    attempts: 0,
+    usedAt: null,
+    expiresAt: new Date(now + ttlMs),
+    sentAt: [...sends, new Date(now)],
+  };
+
+  try {
+    // Guarded on the record read above so two requests at once can't both send
+    const saved = existing
+      ? await Verification.findOneAndUpdate(
+        { _id: existing._id, updatedAt: existing.updatedAt },
+        { $set: fields },
+        { new: true }
+      )
+      : await Verification.create({ user: user._id, channel, ...fields });
+
+    if (!saved) {
+      throw createHttpError(429, 'A code was just sent. Please wait before requesting another.');
+    }
+    return saved;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createHttpError(429, 'A code was just sent. Please wait before requesting another.');
+    }
+    throw error;
+  }
+};
+
+// Text a code to the user's phone number, or to `phone` if they are changing it.
+// The number is only saved on the account once the code is entered.
+// Returns { phone (masked), expiresAt }.
+export const sendPhoneOtp = async (user, phone) => {
+  const target = phone ? String(phone).trim() : user.phone;
+
+  if (!target || target === PLACEHOLDER_PHONE) {
+    throw createHttpError(400, 'Please add your mobile number first');
+  }
+
+  if (!/^[0-9]{10}$/.test(target)) {
+    throw createHttpError(400, 'Please provide a valid 10-digit mobile number');
+  }
+
+  if (user.isPhoneVerified && target === user.phone) {
+    throw createHttpError(400, 'Your phone number is already verified');
+  }
+
+  if (await User.exists({ _id: { $ne: user._id }, phone: target, isPhoneVerified: true })) {
+    throw createHttpError(409, 'This phone number is already verified on another account');
+  }
+
+  const { otpLength, otpTtlMs } = getVerificationConfig();
+  const code = crypto.randomInt(0, 10 ** otpLength).toString().padStart(otpLength, '0');
+
+  const verification = await issueCode(user, 'phone', target, hashPhoneCode(user._id, code), otpTtlMs);
+
+  await sendSms({
+    to: target,
+    text: `${code} is your BigBite verification code. It expires in ${Math.round(otpTtlMs / 60000)} minutes. Don't share it with anyone.`,
+  });
+
+  return { phone: maskPhone(target), expiresAt: verification.expiresAt };
+};
+
+// Check a phone code. Each wrong code uses up an attempt; after the last one a new
+// code is needed. On success the number is saved and marked verified.
+// Returns the updated user.
+export const verifyPhoneOtp = async (user, code) => {
+  const { otpMaxAttempts } = getVerificationConfig();
+  const verification = await Verification.findOne({ user: user._id, channel: 'phone' });
+
+  if (!verification || verification.usedAt || verification.expiresAt <= new Date()) {
+    throw createHttpError(400, 'Code has expired. Please request a new one.');
+  }
+
+  if (verification.attempts >= otpMaxAttempts) {
+    throw createHttpError(429, 'Too many wrong codes. Please request a new one.');
+  }
+
+  if (!signaturesMatch(verification.codeHash, hashPhoneCode(user._id, String(code).trim()))) {
+    const updated = await Verification.findOneAndUpdate(
+      { _id: verification._id, attempts: { $lt: otpMaxAttempts } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    throw createHttpError(400, 'Incorrect code', {
+      attemptsLeft: updated ? otpMaxAttempts - updated.attempts : 0,
+    });
+  }
+
+  // Use the code up; guarded so guesses made at the same time still count
+  const claimed = await Verification.findOneAndUpdate(
+    { _id: verification._id, codeHash: verification.codeHash, usedAt: null, attempts: { $lt: otpMaxAttempts } },
+    { $set: { usedAt: new Date() } }
+  );
+
+  if (!claimed) {
+    throw createHttpError(400, 'Code has expired. Please request a new one.');
+  }
+
+  if (await User.exists({ _id: { $ne: user._id }, phone: verification.target, isPhoneVerified: true })) {
+    throw createHttpError(409, 'This phone number is already verified on another account');
+  }
+
+  return User.findByIdAndUpdate(
+    user._id,
+    { $set: { phone: verification.target, isPhoneVerified: true } },
+    { new: true, runValidators: true }
+  );
+};
+
+// Email the user a link that verifies their address. Returns { expiresAt }.
+export const sendEmailVerification = async (user) => {
+  if (user.isEmailVerified) {
+    throw createHttpError(400, 'Your email is already verified');
+  }
+
+  const { emailLinkTtlMs, emailVerificationUrl } = getVerificationConfig();
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const verification = await issueCode(user, 'email', user.email, hashEmailToken(token), emailLinkTtlMs);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your BigBite email',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Please confirm your email address with this link. It expires in ${Math.round(emailLinkTtlMs / HOUR_MS)} hours:`,
+      `${emailVerificationUrl}?token=${token}`,
+    ].join('\n'),
+  });
+
+  return { expiresAt: verification.expiresAt };
+};
+
+// Verify an email address with the token from the link. Returns the updated user.
+export const verifyEmailToken = async (token) => {
+  const invalid = () => createHttpError(400, 'Verification link is invalid or has expired');
+
+  if (!token) throw invalid();
+
+  const verification = await Verification.findOneAndUpdate(
+    { channel: 'email', codeHash: hashEmailToken(String(token)), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } }
+  );
+
+  if (!verification) throw invalid();
+
+  // The link only counts for the address it was sent to
+  const user = await User.findOneAndUpdate(
+    { _id: verification.user, email: verification.target },
+    { $set: { isEmailVerified: true } },
+    { new: true }
+  );
+
+  if (!user) throw invalid();
+
+  return user;
+};
@@ -0,0 +1,156 @@
+import WalletTransaction from '../models/WalletTransaction.js';
+import { createHttpError } from './httpError.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Postings retry this many times when another posting for the same user wins the race
+const MAX_POSTING_ATTEMPTS = 5;
+
+// Sources admins can use for manual adjustments
+export const ADJUSTMENT_SOURCES = ['goodwill', 'referral', 'adjustment'];
+
+// Current balance: the running balance on the user's latest posting
+export const getWalletBalance = async (userId) => {
+  const latest = await WalletTransaction.findOne({ user: userId }).sort({ sequence: -1 });
+  return latest ? latest.balanceAfter : 0;
+};
+
+// A user's postings, newest first
+export const getWalletHistory = async (userId, { page = 1, limit = 20 } = {}) => {
+  const [transactions, total] = await Promise.all([
+    WalletTransaction.find({ user: userId })
+      .sort({ sequence: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WalletTransaction.countDocuments({ user: userId }),
+  ]);
+
+  return { transactions, total, page, pages: Math.ceil(total / limit) };
+};
+
+// A key that was already used must describe the same posting
+const matchExisting = (existing, { user, type, amount }) => {
+  if (existing.user.toString() !== user.toString() || existing.type !== type || existing.amount !== amount) {
+    throw createHttpError(409, 'This idempotency key was already used for a different wallet posting');
+  }
+  return existing;
+};
+
+// Append a credit or debit (amount in rupees) to a user's ledger. Posting again
+// with the same `idempotencyKey` returns the original posting instead of applying
+// it twice. Debits never take the balance below zero.
+export const postWalletTransaction = async ({
+  user,
+  type,
+  amount,
+  source,
+  idempotencyKey,
+  order,
+  refund,
+  note,
+  createdBy,
+}) => {
+  const value = round2(Number(amount));
+
+  if (!['credit', 'debit'].includes(type)) {
+    throw createHttpError(400, 'Wallet postings must be a credit or a debit');
+  }
+  if (!(value > 0)) {
+    throw createHttpError(400, 'Wallet amount must be greater than zero');
+  }
+  if (!idempotencyKey) {
+    throw createHttpError(400, 'An idempotency key is required for wallet postings');
+  }
+
+  const posting = { user, type, amount: value };
+  const existing = await WalletTransaction.findOne({ idempotencyKey });
+  if (existing) {
+    return matchExisting(existing, posting);
+  }
+
+  for (let attempt = 0; attempt < MAX_POSTING_ATTEMPTS; attempt += 1) {
+    const latest = await WalletTransaction.findOne({ user }).sort({ sequence: -1 });
+    const balance = latest ? latest.balanceAfter : 0;
+    const balanceAfter = round2(type === 'credit' ? balance + value : balance - value);
+
+    if (balanceAfter < 0) {
+      throw createHttpError(400, 'Insufficient wallet balance', { balance });
+    }
+
+    try {
+      const transaction = await WalletTransaction.create({
+        ...posting,
+        source,
+        note,
+        order,
+        refund,
+        createdBy,
+        sequence: (latest ? latest.sequence : 0) + 1,
+        balanceAfter,
+        idempotencyKey,
+      });
+
+      console.log(`👛 Wallet ${type} of ₹${value} for user ${user} (${source}). Balance: ₹${balanceAfter}`);
+      return transaction;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // The same posting was made concurrently
+      if (error.keyPattern?.idempotencyKey) {
+        return matchExisting(await WalletTransaction.findOne({ idempotencyKey }), posting);
+      }
+      // Another posting took this sequence number; rebuild on top of it
+    }
+  }
+
+  throw createHttpError(409, 'Wallet is busy, please try again');
+};
+
+// How much of an order's total to take from the wallet. `paymentMethod: 'wallet'`
+// pays everything; with `cod` or `online` the customer can put `walletAmount`
+// towards the order and pay the rest the usual way.
+export const resolveWalletAmount = (paymentMethod, walletAmount, totalAmount) => {
+  if (paymentMethod === 'wallet') {
+    return totalAmount;
+  }
+  if (walletAmount === undefined || walletAmount === null || walletAmount === '') {
+    return 0;
+  }
+
+  const value = round2(Number(walletAmount));
+
+  if (!Number.isFinite(value) || value < 0) {
+    throw createHttpError(400, 'Wallet amount must be a positive number');
+  }
+  if (value >= totalAmount) {
+    throw createHttpError(400, "Wallet amount covers the whole order; use the 'wallet' payment method");
+  }
+
+  return value;
+};
+
+// Take an order's wallet share from the customer's balance. Safe to call again for
+// the same order.
+export const debitWalletForOrder = (order) =>
+  postWalletTransaction({
+    user: order.customer._id || order.customer,
+    type: 'debit',
+    amount: order.walletAmount,
+    source: 'order_payment',
+    order: order._id,
+    idempotencyKey: `order:${order._id}:payment`,
+    note: 'Paid towards order',
+  });
+
+// Put an order's wallet share back when the order could not be created or was
+// never paid for. Safe to call again for the same order.
+export const reverseWalletDebit = (order, note = 'Order could not be placed') =>
+  postWalletTransaction({
+    user: order.customer._id || order.customer,
+    type: 'credit',
+    amount: order.walletAmount,
+    source: 'order_reversal',
+    order: order._id,
+    idempotencyKey: `order:${order._id}:reversal`,
+    note,
+  });